@@ -75,35 +75,107 @@ class InstructionEngine {
 
 // --- 3. Navigator (State Machine) ---
 class Navigator {
-    constructor() {
+    // options.engine: anything with speak(text, force) / vibrate(pattern), e.g. a simulated one
+    constructor(options = {}) {
         this.state = 'IDLE'; // IDLE, ROTATING, MOVING, ARRIVED
         this.target = null; // { x, y }
         this.user = { x: 0, y: 0, heading: 0 };
 
-        this.engine = new InstructionEngine();
+        this.engine = options.engine || new InstructionEngine();
+
+        // options.planner: a RoutePlanner (integrated-app/js/routing.js); without one, straight-line homing
+        this.planner = options.planner || null;
+        this.route = []; // waypoints, the last one is the target
+        this.leg = 0;
+        this.routeStart = null;
+        this.announcedLeg = -1;
 
         // Thresholds
         this.arrivalThreshold = 1.5; // meters
         this.rotationThreshold = 20; // degrees (Deadband to start rotating)
         this.moveThreshold = 10; // degrees (Deadband to start moving)
+        this.waypointThreshold = 1.0; // meters
+        this.approachDistance = 2; // meters before a turn without heading corrections
+        this.offRouteDistance = 3; // meters from the segment before replanning
+        this.replanInterval = 3000; // ms between replanning attempts
+        this.replanDistance = 1; // meters moved since the last attempt
+        this.lastReplan = null; // { time, x, y, found }
+        this.announceDistance = 5; // meters before a turn
 
         this.lastInstruction = '';
     }
 
-    setTarget(x, y) {
+    // from: the user's pose (defaults to the last one passed to update)
+    setTarget(x, y, from) {
         this.target = { x, y };
         this.state = 'ROTATING'; // Assume we need to orient first
-        this.engine.speak("New destination set.");
+
+        const start = from || this.user;
+        this.lastReplan = null;
+        const route = this.planner ? this.planner.plan(start, this.target) : null;
+        this.setRoute(route ? route.waypoints : [this.target], start);
+
+        if (route && this.route.length > 1) {
+            this.engine.speak(`New destination set. Route ${Math.round(route.distance)} meters.`);
+        } else {
+            this.engine.speak("New destination set.");
+        }
     }
 
-    update(userX, userY, userHeading) {
+    setRoute(waypoints, from) {
+        this.route = waypoints.map(p => ({ x: p.x, y: p.y }));
+        this.leg = 0;
+        this.routeStart = { x: from.x, y: from.y };
+        this.announcedLeg = -1;
+    }
+
+    // Waypoint currently being walked to
+    get waypoint() {
+        return this.route[this.leg] || this.target;
+    }
+
+    // now: ms, for the replanning throttle
+    update(userX, userY, userHeading, now = Date.now()) {
         this.user = { x: userX, y: userY, heading: userHeading };
 
         if (!this.target) return;
 
-        const dist = GeometryUtils.getDistance(this.user.x, this.user.y, this.target.x, this.target.y);
-        const bearing = GeometryUtils.getBearing(this.user.x, this.user.y, this.target.x, this.target.y);
+        // Replan when the user has wandered off the current segment. Planning is costly:
+        // retried every few seconds after moving on, and a failure is only spoken once
+        if (this.planner && this.state !== 'IDLE' && this.state !== 'ARRIVED' &&
+            this.distanceFromRoute(this.user) > this.offRouteDistance && this.mayReplan(now)) {
+            const route = this.planner.plan(this.user, this.target);
+            const failedBefore = this.lastReplan && !this.lastReplan.found;
+            this.lastReplan = { time: now, x: userX, y: userY, found: !!route };
+            if (route) {
+                this.setRoute(route.waypoints, this.user);
+                this.state = 'ROTATING';
+                this.engine.speak("Off route. Recalculating.", true);
+                this.engine.vibrate([200]);
+            } else if (!failedBefore) {
+                this.engine.speak("Off route. No route found from here.", true);
+                this.engine.vibrate([200]);
+            }
+        }
+
+        // Intermediate waypoint reached (or walked past): turn onto the next segment
+        if (this.leg < this.route.length - 1 && this.state !== 'IDLE' && this.reachedWaypoint(this.user)) {
+            const prev = this.leg > 0 ? this.route[this.leg - 1] : this.routeStart;
+            const turn = RoutePlanner.describeTurn(RoutePlanner.turnAngle(prev, this.waypoint, this.route[this.leg + 1]));
+            this.leg++;
+            if (turn.event !== 'straight') {
+                this.state = 'ROTATING';
+                this.engine.speak(`Now ${turn.text}.`, true);
+            }
+        }
+
+        const wp = this.waypoint;
+        const dist = GeometryUtils.getDistance(this.user.x, this.user.y, wp.x, wp.y);
+        const bearing = GeometryUtils.getBearing(this.user.x, this.user.y, wp.x, wp.y);
         const angleDiff = GeometryUtils.getAngleDiff(this.user.heading, bearing);
+        const finalLeg = this.leg >= this.route.length - 1;
+        // Close to a turn the bearing is dominated by position noise: the turn itself corrects
+        const approaching = !finalLeg && dist < this.approachDistance;
 
         // --- State Machine Logic ---
         switch (this.state) {
@@ -130,7 +202,7 @@ class Navigator {
 
             case 'MOVING':
                 // Check arrival
-                if (dist < this.arrivalThreshold) {
+                if (finalLeg && dist < this.arrivalThreshold) {
                     this.state = 'ARRIVED';
                     this.engine.speak("You have arrived.");
                     this.engine.vibrate([500, 100, 500]);
@@ -138,18 +210,45 @@ class Navigator {
                 }
 
                 // Check if user deviated too much
-                if (Math.abs(angleDiff) > this.rotationThreshold) {
+                if (Math.abs(angleDiff) > this.rotationThreshold && !approaching) {
                     this.state = 'ROTATING';
                     this.engine.speak("Stop. Turn to correct heading.");
                     this.engine.vibrate([200]);
-                } else {
-                    // Continue moving
-                    // Optional: Give distance updates every 5m
+                } else if (!finalLeg && this.announcedLeg !== this.leg && dist <= this.announceDistance) {
+                    // Heads-up before the next turn
+                    const turnAngle = RoutePlanner.turnAngle(this.user, wp, this.route[this.leg + 1]);
+                    const turn = RoutePlanner.describeTurn(turnAngle);
+                    this.announcedLeg = this.leg;
+                    if (turn.event !== 'straight') this.engine.speak(`In ${Math.round(dist)} meters, ${turn.text}.`);
                 }
                 break;
         }
     }
 
+    // Within the waypoint radius, or past the end of the segment leading to it,
+    // as long as no wall stands between the user and the next waypoint
+    reachedWaypoint(user) {
+        const wp = this.waypoint;
+        if (this.planner && !this.planner.clearPath(user, this.route[this.leg + 1])) return false;
+        if (GeometryUtils.getDistance(user.x, user.y, wp.x, wp.y) < this.waypointThreshold) return true;
+        const prev = this.leg > 0 ? this.route[this.leg - 1] : this.routeStart;
+        const sx = wp.x - prev.x, sy = wp.y - prev.y;
+        const len2 = sx * sx + sy * sy;
+        return len2 > 0 && ((user.x - prev.x) * sx + (user.y - prev.y) * sy) / len2 > 1;
+    }
+
+    mayReplan(now) {
+        const last = this.lastReplan;
+        return !last || (now - last.time >= this.replanInterval &&
+            GeometryUtils.getDistance(this.user.x, this.user.y, last.x, last.y) > this.replanDistance);
+    }
+
+    // Distance from the segment being walked (needs Segment2D, like the planner)
+    distanceFromRoute(user) {
+        const prev = this.leg > 0 ? this.route[this.leg - 1] : this.routeStart;
+        return Segment2D.distanceToPoint(user, prev, this.waypoint);
+    }
+
     giveRotationInstruction(angleDiff) {
         let text = "";
         let pattern = [];
@@ -57,7 +57,8 @@ class HeadingEstimator {
         this.bias = 0;
     }
 
-    update(rotationRate, timestamp) {
+    // yawRate: heading rate in rad/s, clockwise from above (see YawRateEstimator)
+    update(yawRate, timestamp) {
         if (!this.lastTime) {
             this.lastTime = timestamp;
             return;
@@ -66,31 +67,19 @@ class HeadingEstimator {
         const dt = (timestamp - this.lastTime) / 1000; // Seconds
         this.lastTime = timestamp;
 
-        // Integrate Z-axis rotation (Yaw)
-        // rotationRate.alpha is usually Z-axis rotation in degrees/sec on mobile
-        // Note: Android/iOS differences exist. We assume standard web API:
-        // alpha: Z (yaw), beta: X (pitch), gamma: Y (roll)
-
-        // Simple integration: heading += rate * dt
-        // Convert to radians
-        const rateRad = (rotationRate.alpha || 0) * (Math.PI / 180);
-
-        // Invert if necessary based on device orientation (portrait/landscape)
-        // For portrait, alpha is yaw.
-        this.heading += rateRad * dt;
-
-        // Normalize to 0-2PI
-        this.heading = this.heading % (2 * Math.PI);
+        // Simple integration: heading += rate * dt, normalized to 0-2PI
+        this.heading = SE2.normalizeHeading(this.heading + yawRate * dt);
     }
 
-    // Optional: Fuse with compass (DeviceOrientationEvent.alpha)
+    // North-referenced heading from the compass fusion (see PositionTracker.onOrientation)
     setAbsoluteHeading(degrees) {
-        this.heading = degrees * (Math.PI / 180);
+        this.heading = SE2.normalizeHeading(degrees * (Math.PI / 180));
         this.isCalibrated = true;
     }
 }
 
-// --- 3. Visual Odometry (Simplified Optical Flow) ---
+// --- 3. Visual Odometry (Sparse Lucas-Kanade Optical Flow) ---
+// Requires ../integrated-app/js/{mathutils,imageops,opticalflow}.js
 class VisualOdometry {
     constructor(videoElement, canvasElement) {
         this.video = videoElement;
@@ -99,7 +88,13 @@ class VisualOdometry {
         this.prevFrame = null;
         this.width = 160; // Low res for performance
         this.height = 120;
-        this.flow = { x: 0, y: 0 };
+        this.tracker = new LucasKanadeTracker();
+        this.flow = LucasKanadeTracker.emptyResult();
+    }
+
+    // The image turns with the screen; don't track across a rotation
+    reset() {
+        this.prevFrame = null;
     }
 
     processFrame() {
@@ -117,91 +112,106 @@ class VisualOdometry {
         return this.flow;
     }
 
-    // Very simple block matching or sparse flow (Grid based)
-    // For MVP: We just calculate average pixel difference in center region to detect "movement" vs "static"
-    // A full Lucas-Kanade in JS is ~500 lines. We use a simplified "Center of Mass" of difference.
+    // Pyramidal LK between two frames.
+    // Returns per-feature vectors ({ x, y, dx, dy, inlier }) plus the dominant
+    // translation / rotation / scale and a coarse motion label.
     calculateOpticalFlow(oldFrame, newFrame) {
-        let diffX = 0;
-        let diffY = 0;
-        let totalDiff = 0;
-
-        const data1 = oldFrame.data;
-        const data2 = newFrame.data;
-        const width = this.width;
-        const height = this.height;
-
-        // Grid sampling (skip pixels for speed)
-        const step = 4;
-
-        for (let y = 0; y < height; y += step) {
-            for (let x = 0; x < width; x += step) {
-                const i = (y * width + x) * 4;
-                // Grayscale conversion: 0.299R + 0.587G + 0.114B
-                const gray1 = 0.299 * data1[i] + 0.587 * data1[i + 1] + 0.114 * data1[i + 2];
-                const gray2 = 0.299 * data2[i] + 0.587 * data2[i + 1] + 0.114 * data2[i + 2];
-
-                const diff = Math.abs(gray1 - gray2);
-
-                if (diff > 20) { // Threshold for noise
-                    totalDiff += diff;
-                    // This is NOT true optical flow vectors, but a "change magnitude"
-                    // To get direction, we'd need gradient descent (LK).
-                    // For this MVP, we just return total movement magnitude to detect "Stationary" vs "Moving".
-                }
-            }
-        }
-
-        return { magnitude: totalDiff };
+        return this.tracker.computeFlow(oldFrame, newFrame);
     }
 }
 
 // --- 4. Position Tracker (Fusion) ---
+// Requires ../integrated-app/js/{ekf,steplength,compass,attitude}.js
 class PositionTracker {
     constructor() {
-        this.x = 0;
-        this.y = 0;
-        this.stepLength = 0.7; // meters
+        this.stepModel = new StepLengthModel(); // per-user, calibrated by a known-distance walk
+        this.ekf = new PoseEKF({ stepLength: this.stepModel.defaultLength });
+        this.compass = new CompassFusion();
+        this.lastCompassUpdate = 0;
+        this.yaw = new YawRateEstimator();
         this.headingEstimator = new HeadingEstimator();
         this.stepDetector = new StepDetector({
             onStep: () => this.onStepDetected()
         });
         this.visualOdometry = null; // Init later
+        this.lastGyroTime = 0;
     }
 
+    get x() { return this.ekf.x; }
+    get y() { return this.ekf.y; }
+
     init(video, canvas) {
         this.visualOdometry = new VisualOdometry(video, canvas);
 
         // Listen to sensors
         window.addEventListener('devicemotion', (e) => {
             if (e.accelerationIncludingGravity) {
+                this.stepModel.update(e.accelerationIncludingGravity);
                 this.stepDetector.update(e.accelerationIncludingGravity);
             }
             if (e.rotationRate) {
-                this.headingEstimator.update(e.rotationRate, e.timeStamp || performance.now());
+                const now = e.timeStamp || performance.now();
+                const dt = this.lastGyroTime ? (now - this.lastGyroTime) / 1000 : 0;
+                // Rotation about the world vertical, whatever way the phone is held
+                const rateRad = this.yaw.update(e.accelerationIncludingGravity, e.rotationRate, dt);
+                if (this.lastGyroTime) {
+                    this.ekf.predict(rateRad, dt);
+                    this.compass.processGyro(rateRad, now);
+                }
+                this.lastGyroTime = now;
+                this.headingEstimator.heading = this.ekf.heading; // kept in sync for the map view
             }
         });
 
+        const orientationEvent = 'ondeviceorientationabsolute' in window ? 'deviceorientationabsolute' : 'deviceorientation';
+        window.addEventListener(orientationEvent, (e) => this.onOrientation(e));
+        YawRateEstimator.onScreenOrientationChange(() => this.visualOdometry.reset());
+
         this.updateLoop();
     }
 
-    onStepDetected() {
-        // Get current heading
-        const theta = this.headingEstimator.heading;
+    // Compass fix: the first one aligns the start direction to north, turning the steps
+    // walked so far with it about the start point; afterwards a gated heading update
+    // (at most once a second)
+    onOrientation(e) {
+        const fix = this.compass.processOrientation(e);
+        if (!fix || fix.timestamp - this.lastCompassUpdate < 1000) return;
+        this.lastCompassUpdate = fix.timestamp;
+
+        if (!this.headingEstimator.isCalibrated) {
+            this.ekf.rotateFrame(SE2.wrap(fix.heading - this.ekf.heading));
+            this.ekf.setHeading(fix.heading, fix.variance);
+            if (this.stepDetector.stepCount > 0) this.dispatchPosition();
+        } else {
+            const innovation = SE2.wrap(fix.heading - this.ekf.heading);
+            if (innovation * innovation / (this.ekf.P[EKF_H][EKF_H] + fix.variance) > 9) return;
+            this.ekf.updateHeading(fix.heading, fix.variance);
+        }
+        this.headingEstimator.setAbsoluteHeading(this.ekf.heading * 180 / Math.PI);
+    }
 
-        // Check VO: If camera says we are stationary, ignore step (it's a shake)
-        // For MVP, we assume valid step if VO magnitude > threshold
-        // const flow = this.visualOdometry.flow;
-        // if (flow.magnitude < 1000) return; // Too static
+    reset() {
+        this.ekf.setPose({ x: 0, y: 0, heading: this.ekf.heading });
+        this.stepDetector.stepCount = 0;
+    }
 
-        // Update Position
-        this.x += this.stepLength * Math.sin(theta);
-        this.y += this.stepLength * Math.cos(theta); // North is Y+
+    onStepDetected() {
+        // Check VO: if the camera sees a static scene, the "step" was a shake
+        const flow = this.visualOdometry ? this.visualOdometry.flow : null;
+        if (flow && flow.vectors.length >= 4 && flow.motion === 'static') return;
 
-        console.log(`Step! Pos: (${this.x.toFixed(2)}, ${this.y.toFixed(2)}) Heading: ${(theta * 180 / Math.PI).toFixed(0)}`);
+        const stride = this.stepModel.onStep();
+        this.ekf.updateStepLength(stride.length, stride.variance);
+        this.ekf.step();
+
+        console.log(`Step! Pos: (${this.x.toFixed(2)}, ${this.y.toFixed(2)}) Heading: ${(this.ekf.heading * 180 / Math.PI).toFixed(0)}`);
+        this.dispatchPosition();
+    }
 
-        // Dispatch event for UI
+    // Dispatch event for UI
+    dispatchPosition() {
         const event = new CustomEvent('position-update', {
-            detail: { x: this.x, y: this.y, heading: theta }
+            detail: { x: this.x, y: this.y, heading: this.ekf.heading, confidence: this.ekf.getConfidence() }
         });
         window.dispatchEvent(event);
     }
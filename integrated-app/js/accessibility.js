@@ -2,34 +2,76 @@ class AccessibilityModule {
     constructor() {
         this.synth = window.speechSynthesis;
         this.lastSpoken = 0;
+        this.lastText = null; // for "repeat"
+        this.speakingPriority = 0; // priority of the utterance being spoken, 0 when silent
+        this.critical = null; // { utterance, until } of the critical warning queued or being spoken
     }
 
     enable() {
         if (this.synth) this.synth.speak(new SpeechSynthesisUtterance(''));
     }
 
+    // priority 1: routine, throttled. 2: urgent, cuts into routine speech. 3: critical
+    // (stairs down, drop-offs): nothing lower cancels or follows it until it has finished.
     announce(text, priority = 1) {
         if (!text || !this.synth) return;
 
         const now = Date.now();
         if (priority < 2 && (now - this.lastSpoken < 3000)) return; // Throttle
+        if (this.isCritical && priority < 3) return; // dropped, it would be stale by then
 
-        if (priority === 2) this.synth.cancel(); // Critical
+        if (priority >= 2) this.synth.cancel();
 
+        this.speak(text, priority);
+    }
+
+    // Requested descriptions ("where am I"): never throttled, and they cut off routine
+    // guidance, but a critical warning already being spoken finishes first
+    describe(text) {
+        if (!text || !this.synth) return;
+        if (!this.isCritical && this.speakingPriority < 2) this.synth.cancel();
+        this.speak(text, 1);
+    }
+
+    speak(text, priority) {
         const u = new SpeechSynthesisUtterance(text);
         u.rate = 1.1;
+        u.onstart = () => { this.speakingPriority = priority; };
+        u.onend = u.onerror = () => { // onerror also covers cancel()
+            this.speakingPriority = 0;
+            if (this.critical && this.critical.utterance === u) this.critical = null;
+        };
+        // Allow about twice the time the text takes to say
+        if (priority === 3) this.critical = { utterance: u, until: Date.now() + 2000 + 120 * text.length };
         this.synth.speak(u);
-        this.lastSpoken = now;
+        this.lastSpoken = Date.now();
+        this.lastText = text;
+    }
+
+    // onend / onerror are not always fired (Chrome and Safari lose them for collected
+    // utterances, or when speech is blocked before a user gesture): a critical warning
+    // also ends once the synthesizer has nothing left to say, or when it is overdue
+    get isCritical() {
+        const c = this.critical;
+        if (c && (Date.now() > c.until || !(this.synth.speaking || this.synth.pending))) this.critical = null;
+        return !!this.critical;
+    }
+
+    repeat() {
+        this.announce(this.lastText || "Nothing to repeat.", 2);
     }
 
     vibrate(type) {
         if (!navigator.vibrate) return;
+        if (this.isCritical && type !== 'hazard') return; // keep the hazard pattern going
         const patterns = {
             'left': [100, 50, 100],
             'right': [300],
             'stop': [50, 50, 50, 50],
             'arrived': [500, 100, 500],
-            'straight': [50]
+            'straight': [50],
+            'resume': [50, 50, 50], // back on the route after avoiding an obstacle
+            'hazard': [100, 50, 100, 50, 100, 50, 600] // stairs down, drop-off
         };
         navigator.vibrate(patterns[type] || [50]);
     }
@@ -1,10 +1,17 @@
 class AppController {
     constructor() {
-        this.vision = new VisionModule();
+        // Frame processing in workers where the browser supports it (see FramePipeline),
+        // on the main thread otherwise
+        this.pipeline = FramePipeline.isSupported ? new FramePipeline() : null;
+        this.visualInWorker = !!this.pipeline;
+        this.vision = new VisionModule(this.pipeline ? {
+            registry: new ModelRegistry({ factory: (spec) => new WorkerDetector(spec, this.pipeline.stage('detect')) })
+        } : {});
         this.odometry = new OdometryModule();
         this.nav = new NavigationModule();
         this.access = new AccessibilityModule();
         this.minimap = new MiniMap('minimap');
+        this.nav.setMap(this.odometry.map);
 
         this.video = document.getElementById('video');
         this.canvas = document.getElementById('canvas');
@@ -12,6 +19,38 @@ class AppController {
 
         this.isRunning = false;
         this.lastAlertTime = 0;
+        this.obstacleTtc = 3; // s, warn about objects this close in time
+        this.avoidance = new AvoidancePlanner();
+        this.hazards = new HazardDetector({ range: this.vision.range }); // stairs and edges on the floor ahead
+        // Signs and room numbers; text is searched for in a worker, or on the VO frame
+        this.textReader = new TextReader({ range: this.vision.range, pipeline: this.pipeline, grayFrame: () => this.odometry.vo.frame });
+
+        // Session recording / replay for offline testing
+        this.recorder = new SessionRecorder();
+        this.replayer = null;
+
+        // Imported floor plans; the active one is drawn on the minimap and its
+        // POIs and rooms are the destinations offered by the picker
+        this.maps = new MapStore();
+        this.floorPlan = null;
+        this.pois = null;
+        this.picker = new DestinationPicker({
+            onSelect: (poi) => this.navigateTo(poi),
+            onNearest: (category) => this.navigateToNearest(category),
+            getPosition: () => this.odometry.getPosition()
+        });
+
+        // Voice commands, falling back to typed ones when speech recognition is missing or fails
+        const typed = new TextCommandRecognizer(document.getElementById('command-input'));
+        const speech = new WebSpeechRecognizer();
+        this.voice = new VoiceCommandController(this, speech.isAvailable ? speech : typed, { fallback: typed });
+        this.btnVoice = document.getElementById('btn-voice');
+        // The command box works whatever the microphone does
+        typed.start((alternatives) => this.voice.handleTranscript(alternatives));
+
+        // "Where am I" / surroundings description from the map and the latest detections
+        this.describer = new SurroundingsDescriber();
+        this.northAligned = false;
 
         // UI Elements
         this.elPos = document.getElementById('pos-display');
@@ -25,7 +64,48 @@ class AppController {
         this.elObjCount = document.getElementById('obj-count-display');
         this.elLogList = document.getElementById('log-list');
 
+        // Diagnostics UI Elements
+        this.elVoConfBar = document.getElementById('vo-confidence-bar');
+        this.elVoConfValue = document.getElementById('vo-confidence-value');
+
+        // Device UI Elements
+        this.btnCalibrate = document.getElementById('btn-calibrate-steps');
+        this.elStepProfile = document.getElementById('step-profile-status');
+        this.btnRecord = document.getElementById('btn-record-session');
+        this.updateStepProfile();
+        this.elCameraProfile = document.getElementById('camera-profile-status');
+        this.updateCameraProfile();
+        this.elDetectorSelect = document.getElementById('detector-select');
+        this.elDetectorStatus = document.getElementById('detector-status');
+        this.elDetectorLatency = document.getElementById('detector-latency');
+        this.elOcrStatus = document.getElementById('ocr-status');
+        this.elOcrLatency = document.getElementById('ocr-latency');
+        this.renderDetectorOptions();
+
+        // Map UI Elements
+        this.elMapGrid = document.getElementById('map-grid');
+
         this.initNavigation();
+        this.initDescribeGestures();
+        this.loadMaps();
+
+        window.addEventListener('loop-closure', (e) => {
+            const loop = e.detail;
+            this.log(`Loop closure: keyframe ${loop.queryId} matches ${loop.matchId} (${loop.inliers} inliers)`, "info");
+        });
+        window.addEventListener('trajectory-corrected', (e) => this.minimap.setPath(e.detail));
+        window.addEventListener('vo-reset', () => {
+            if (this.pipeline) this.pipeline.reset();
+        });
+        window.addEventListener('relocalized', (e) => {
+            const fix = e.detail;
+            this.log(`Relocalized on ${fix.landmark.type} ${fix.landmark.name || fix.landmark.id}: moved ${fix.shift.toFixed(1)} m`, "info");
+        });
+        window.addEventListener('compass-aligned', (e) => {
+            this.northAligned = true;
+            this.reframe(e.detail.shift);
+            this.log(`Compass: heading aligned to north (${(e.detail.heading * 180 / Math.PI).toFixed(0)}&deg;)`, "info");
+        });
     }
 
     initNavigation() {
@@ -110,15 +190,17 @@ class AppController {
             return;
         }
 
-        // 3. Load Model
-        this.updateStatus("Loading AI Model...");
-        this.log("Loading AI Model (COCO-SSD)...", "info");
-        await this.vision.load();
+        // 3. Load Model (kept across restarts; choosing another one reloads it)
+        if (!this.vision.isLoaded) await this.loadDetector();
         this.updateStatus("System Active");
         this.log("AI Model Ready. Diagnostics Online.", "info");
 
+        // Text reading loads in the background; signs are read once it is ready
+        if (!this.textReader.isLoaded) this.loadTextReader();
+
         // 4. Start Sensors
         this.odometry.start();
+        if (this.pipeline) this.pipeline.reset(); // camera restart: no tracking across it
 
         this.isRunning = true;
         this.loop();
@@ -131,6 +213,7 @@ class AppController {
 
     stop() {
         this.isRunning = false;
+        if (this.recorder.isRecording) this.toggleRecording();
         this.odometry.stop();
         this.video.pause();
         this.video.srcObject = null;
@@ -154,11 +237,18 @@ class AppController {
         if (indicator) indicator.innerText = `STATUS: ${text.toUpperCase()}`;
     }
 
+    // 📍 button: pick a destination from the active map
     setTarget() {
-        const msg = this.nav.setTarget(0, 5);
-        this.minimap.setTarget(0, 5);
-        this.access.announce(msg, 2);
-        this.log(`Target Set: Local (0, 5m).`, "info");
+        if (!this.pois) this.access.announce("No map active. Upload and activate a floor plan first.", 1);
+        this.picker.open();
+    }
+
+    navigateTo(poi) {
+        const msg = this.nav.setTarget(poi.x, poi.y, this.odometry.getPosition());
+        this.minimap.setTarget(poi.x, poi.y);
+        this.minimap.setRoute(this.nav.route);
+        this.access.announce(`Going to ${poi.name}. ${msg}`, 2);
+        this.log(`Target Set: ${poi.name} (${poi.x.toFixed(1)}, ${poi.y.toFixed(1)}).`, "info");
 
         const btn = document.getElementById('btn-set-target');
         // Visual feedback
@@ -166,6 +256,470 @@ class AppController {
         setTimeout(() => btn.style.color = '', 1000);
     }
 
+    // The odometry frame turned about its origin (north alignment): the active map and the
+    // current target turn with it so they stay where they were around the user
+    reframe(angle) {
+        if (!angle) return;
+        if (this.floorPlan) {
+            this.floorPlan.reframe(angle);
+            this.setActiveMap(this.floorPlan);
+            this.maps.save(this.floorPlan).catch(e => console.warn("Map store unavailable", e));
+        }
+        if (this.nav.target) {
+            const target = SE2.rotate(this.nav.target, angle);
+            this.nav.setTarget(target.x, target.y, this.odometry.getPosition());
+            this.minimap.setTarget(target.x, target.y);
+            this.minimap.setRoute(this.nav.route);
+        }
+    }
+
+    cancelNavigation() {
+        this.nav.clearTarget();
+        this.minimap.target = null;
+        this.minimap.setRoute([]);
+        this.access.announce("Navigation cancelled.", 2);
+        this.log("Navigation cancelled.", "info");
+    }
+
+    toggleVoice() {
+        const speech = this.voice.recognizer instanceof WebSpeechRecognizer;
+        if (!speech) {
+            this.access.announce("Voice commands are not available. Type commands instead.", 2);
+        } else if (this.voice.listening) {
+            this.voice.stop();
+            this.access.announce("Voice commands off.", 2);
+        } else {
+            this.voice.start();
+            this.access.announce("Listening. Say help for commands.", 2);
+        }
+        if (this.btnVoice) this.btnVoice.setAttribute('aria-pressed', String(speech && this.voice.listening));
+    }
+
+    // On-demand description (gesture, button, "w" key or voice). kind: 'where' for
+    // location and nearby places, 'ahead' for what lies in front, 'all' for both
+    describeSurroundings(kind = 'all') {
+        const text = kind === 'where' ? this.describeLocation() : kind === 'ahead' ? this.describeAhead() :
+            this.describer.describe(this.surroundingsContext());
+        this.access.describe(text);
+        this.log(`Described: ${text}`, "info");
+    }
+
+    // "Where am I": room, heading, nearby places and doors, the next turn
+    describeLocation() {
+        return this.describer.describe(this.surroundingsContext(), ['location', 'places', 'ahead']);
+    }
+
+    // "What's ahead": recent detections by clock direction, then the next turn or junction
+    describeAhead() {
+        const text = this.describer.describe(this.surroundingsContext(), ['detections', 'ahead']);
+        return text || "Nothing detected ahead.";
+    }
+
+    surroundingsContext() {
+        return {
+            pose: this.odometry.getPosition(),
+            plan: this.floorPlan,
+            pois: this.pois,
+            nav: this.nav,
+            detections: this.vision.lastPredictions,
+            detectionTime: this.vision.lastDetectionTime,
+            frameWidth: this.canvas.width,
+            northAligned: this.northAligned
+        };
+    }
+
+    // Long press on the camera view, or "w" outside text fields
+    initDescribeGestures() {
+        const wrapper = document.querySelector('.video-wrapper');
+        if (wrapper) {
+            let timer = null;
+            const cancel = () => clearTimeout(timer);
+            wrapper.addEventListener('pointerdown', (e) => {
+                if (e.target.closest('button')) return;
+                timer = setTimeout(() => this.describeSurroundings(), 700);
+            });
+            ['pointerup', 'pointerleave', 'pointercancel'].forEach(type => wrapper.addEventListener(type, cancel));
+        }
+        document.addEventListener('keydown', (e) => {
+            if (e.key !== 'w' || e.ctrlKey || e.metaKey || e.altKey) return;
+            if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+            this.describeSurroundings();
+        });
+    }
+
+    // "Nearest restroom": closest POI of the category by route distance
+    navigateToNearest(category) {
+        if (!this.pois) {
+            this.access.announce("No map active. Upload and activate a floor plan first.", 2);
+            return;
+        }
+        const found = this.pois.nearest(category, this.odometry.getPosition(), this.nav.planner);
+        if (!found) {
+            this.access.announce(`No reachable ${category} on this map.`, 2);
+            this.log(`Nearest ${category}: none reachable.`, "warning");
+            return;
+        }
+        this.navigateTo(found.poi);
+    }
+
+    // Calibration walk: first press starts it, second press fits the step-length model
+    calibrateSteps(distance = 10) {
+        const model = this.odometry.stepModel;
+        if (!this.isRunning) {
+            this.access.announce("Start the system before calibrating.", 1);
+            return;
+        }
+
+        if (!model.isCalibrating) {
+            model.startCalibration(distance);
+            if (this.btnCalibrate) this.btnCalibrate.innerText = 'Finish Calibration';
+            this.access.announce(`Walk ${distance} metres in a straight line, then press calibrate again.`, 2);
+            this.log(`Step calibration started (${distance}m walk).`, "info");
+            return;
+        }
+
+        const profile = model.finishCalibration();
+        if (this.btnCalibrate) this.btnCalibrate.innerText = 'Calibrate Step Length';
+        if (!profile) {
+            this.access.announce("Calibration failed. Not enough steps were detected.", 2);
+            this.log("Step calibration failed: too few steps.", "warning");
+            return;
+        }
+
+        const cm = Math.round(100 * profile.distance / profile.steps);
+        this.access.announce(`Calibration complete. Average step ${cm} centimetres.`, 2);
+        this.log(`Step calibration: ${profile.steps} steps, ${cm}cm average.`, "info");
+        this.updateStepProfile();
+    }
+
+    // Camera range calibration: the distance (m) to a person or door in view, or a
+    // field of view in degrees ("65 deg") when nothing suitable is in view
+    calibrateCamera() {
+        const range = this.vision.range;
+        const answer = prompt(`Distance in metres to the person or door in view, or the camera's horizontal field of view (e.g. "65 deg"). Current field of view: ${range.fov.toFixed(0)} deg.`, "3");
+        if (answer === null) return;
+        const value = parseFloat(answer);
+        if (!(value > 0)) return;
+
+        if (/deg|°/i.test(answer)) {
+            range.setFov(value);
+            this.log(`Camera field of view set to ${value} deg.`, "info");
+        } else {
+            const frameWidth = this.video.videoWidth;
+            // Largest detection of a class with a known size
+            const target = (this.vision.lastPredictions || [])
+                .filter(p => range.sizes[p.class])
+                .sort((a, b) => b.bbox[3] - a.bbox[3])[0];
+            const fov = target && this.isRunning ? range.calibrate(target, value, frameWidth) : null;
+            if (!fov) {
+                this.access.announce("Calibration needs a person or door in view while the system is running.", 2);
+                return;
+            }
+            this.access.announce(`Camera calibrated on ${target.class}.`, 2);
+            this.log(`Camera calibrated on ${target.class} at ${value}m: field of view ${fov.toFixed(1)} deg.`, "info");
+        }
+        this.updateCameraProfile();
+    }
+
+    updateCameraProfile() {
+        if (!this.elCameraProfile) return;
+        const range = this.vision.range;
+        this.elCameraProfile.className = `status-badge ${range.profile.calibrated ? 'success' : 'warning'}`;
+        this.elCameraProfile.innerText = range.profile.calibrated ? 'CALIBRATED' : `FOV ${range.fov.toFixed(0)}°`;
+    }
+
+    // Records sensors, frames and detections of the running system to a session file
+    toggleRecording() {
+        if (this.recorder.isRecording) {
+            const session = this.recorder.stop();
+            SessionRecorder.download(session);
+            if (this.btnRecord) this.btnRecord.innerText = 'Record Session';
+            this.log(`Session recorded: ${session.events.length} events.`, "info");
+            return;
+        }
+        if (!this.isRunning) {
+            this.access.announce("Start the system before recording.", 1);
+            return;
+        }
+        this.recorder.start();
+        if (this.btnRecord) this.btnRecord.innerText = 'Stop Recording';
+        this.log("Session recording started.", "info");
+    }
+
+    // Replays a recorded session through fresh odometry, vision and navigation state
+    async replaySession(file, speed = 1) {
+        if (!file) return;
+        if (this.isRunning) this.stop();
+        if (this.replayer) this.replayer.stop();
+
+        let session;
+        try {
+            session = await SessionRecorder.load(file);
+        } catch (e) {
+            this.log(`Replay failed: ${e.message}`, "warning");
+            return;
+        }
+
+        this.odometry = new OdometryModule();
+        this.odometry.setFloorPlan(this.floorPlan);
+        this.nav.setMap(this.odometry.map);
+        this.minimap.setPath([]);
+        this.updateStatus("Replaying Session");
+        this.log(`Replaying session from ${session.startedAt} (${session.events.length} events)...`, "info");
+
+        this.replayer = new SessionReplayer(session, {
+            odometry: this.odometry,
+            vision: this.vision,
+            nav: this.nav,
+            speed,
+            onPosition: (pos) => this.showPosition(pos),
+            onNavigation: (update) => this.handleNavUpdate(update),
+            onDetections: (predictions, timestamp) => {
+                this.odometry.observeLandmarks(predictions, this.canvas.width, timestamp);
+                if (this.elObjCount) this.elObjCount.innerText = predictions.length;
+            }
+        });
+        const report = await this.replayer.play();
+        this.replayer = null;
+
+        const end = report.finalPose;
+        this.updateStatus("System Idle");
+        this.log(`Replay done: ${report.steps} steps, ${report.frames} frames, ended at (${end.x.toFixed(1)}, ${end.y.toFixed(1)}).`, "info");
+    }
+
+    async loadMaps() {
+        try {
+            const active = await this.maps.getActive();
+            if (active) this.setActiveMap(active);
+            await this.renderMapCards();
+        } catch (e) {
+            console.warn("Map store unavailable", e);
+        }
+    }
+
+    // GeoJSON or SVG floor plan -> stored map, made active
+    async importFloorPlan(file) {
+        if (!file) return;
+        try {
+            const text = await file.text();
+            const baseName = file.name.replace(/\.[^.]+$/, '');
+            let plan;
+            if (/\.svg$/i.test(file.name) || text.trimStart().startsWith('<')) {
+                const scale = parseFloat(prompt("Metres per SVG unit (leave empty to use the file's data-scale):", ''));
+                plan = FloorPlanImporter.fromSVG(text, { scale: scale > 0 ? scale : undefined });
+            } else {
+                plan = FloorPlanImporter.fromGeoJSON(text);
+            }
+            if (plan.name === 'Untitled Map') plan.name = baseName;
+
+            await this.maps.save(plan);
+            this.log(`Floor plan imported: ${plan.name} (${plan.walls.length} walls, ${plan.rooms.length} rooms, ${plan.pois.length} POIs).`, "info");
+            await this.activateMap(plan.id);
+        } catch (e) {
+            this.log(`Floor plan import failed: ${e.message}`, "warning");
+        }
+    }
+
+    async activateMap(id) {
+        const plan = await this.maps.get(id);
+        if (!plan) return;
+        await this.maps.setActiveId(id);
+        this.setActiveMap(plan);
+        await this.renderMapCards();
+        this.access.announce(`Map ${plan.name} active.`, 1);
+    }
+
+    setActiveMap(plan) {
+        this.floorPlan = plan;
+        this.minimap.setFloorPlan(plan);
+        this.nav.setFloorPlan(plan);
+        this.odometry.setFloorPlan(plan);
+        this.pois = plan ? new PoiCatalogue(plan) : null;
+        this.picker.setCatalogue(this.pois);
+    }
+
+    async deleteMap(id) {
+        const plan = await this.maps.get(id);
+        if (!plan || !confirm(`Delete floor plan "${plan.name}"?`)) return;
+        await this.maps.remove(id);
+        if (this.floorPlan && this.floorPlan.id === id) this.setActiveMap(null);
+        await this.renderMapCards();
+        this.log(`Floor plan deleted: ${plan.name}.`, "info");
+    }
+
+    // Anchor a map to the current odometry pose: the user says where they stand on it
+    async alignMap(id) {
+        const plan = await this.maps.get(id);
+        if (!plan) return;
+        const answer = prompt("Where are you standing? Map x, y in metres and facing in degrees from map north (e.g. 2.5, 10, 90):", "0, 0, 0");
+        if (!answer) return;
+
+        const [x, y, facing] = answer.split(',').map(v => parseFloat(v));
+        if ([x, y, facing].some(v => !Number.isFinite(v))) {
+            this.access.announce("Alignment cancelled. Enter x, y and facing separated by commas.", 1);
+            return;
+        }
+
+        plan.alignTo({ x, y }, facing * Math.PI / 180, this.odometry.getPosition());
+        await this.maps.save(plan);
+        if (this.floorPlan && this.floorPlan.id === id) this.setActiveMap(plan);
+        await this.renderMapCards();
+        this.log(`Floor plan aligned: ${plan.name} at (${x}, ${y}) facing ${facing}&deg;.`, "info");
+    }
+
+    async renderMapCards() {
+        if (!this.elMapGrid) return;
+        const plans = await this.maps.list();
+        const activeId = this.floorPlan ? this.floorPlan.id : null;
+
+        this.elMapGrid.innerHTML = '';
+        if (!plans.length) {
+            this.elMapGrid.innerHTML = '<div class="map-empty">No floor plans yet. Upload a GeoJSON or SVG floor plan.</div>';
+            return;
+        }
+
+        plans.forEach(plan => {
+            const active = plan.id === activeId;
+            const card = document.createElement('div');
+            card.className = `map-card${active ? ' active' : ''}`;
+            card.innerHTML = `
+                <div class="map-preview"><canvas width="240" height="120" aria-hidden="true"></canvas></div>
+                <div class="map-info">
+                    <h4></h4>
+                    <span>Last updated: ${new Date(plan.updatedAt).toLocaleString()}</span>
+                </div>
+                ${active ? '<div class="status-badge success">ACTIVE</div>' : ''}
+                <div class="map-actions">
+                    ${active ? '' : '<button class="btn-primary-small" data-action="activate">Activate</button>'}
+                    <button class="btn-primary-small" data-action="align">Align Here</button>
+                    <button class="btn-primary-small" data-action="delete">Delete</button>
+                </div>`;
+            // Names come from user files: set as text, not markup
+            card.querySelector('h4').textContent = plan.name;
+            card.querySelectorAll('button').forEach(btn => btn.setAttribute('aria-label', `${btn.innerText} ${plan.name}`));
+            card.querySelector('.map-actions').addEventListener('click', (e) => {
+                const action = e.target.dataset.action;
+                if (action === 'activate') this.activateMap(plan.id);
+                else if (action === 'align') this.alignMap(plan.id);
+                else if (action === 'delete') this.deleteMap(plan.id);
+            });
+            this.minimap.drawPreview(card.querySelector('canvas'), plan);
+            this.elMapGrid.appendChild(card);
+        });
+    }
+
+    // Detection model: the registry's selection, COCO-SSD when it cannot be loaded
+    async loadDetector() {
+        const spec = this.vision.registry.get(this.vision.registry.selectedId);
+        this.updateStatus("Loading AI Model...");
+        this.log(`Loading AI Model (${spec.name})...`, "info");
+        this.showDetectorStatus('LOADING', 'warning');
+        let loaded = await this.vision.load();
+        if (!loaded && this.vision.registry.factory) {
+            // No model in the worker (scripts or WebGL missing there): detect on the main thread
+            this.log("Detector worker unavailable. Running detection on the main thread.", "warning");
+            this.vision.registry.factory = null;
+            loaded = await this.vision.load();
+        }
+        if (!loaded) {
+            this.showDetectorStatus('FAILED', 'error');
+            this.log("AI Model failed to load. Obstacle detection is off.", "warning");
+            return;
+        }
+        if (loaded.fallback) {
+            this.log(`${spec.name} unavailable (${loaded.fallback.message}). Using ${loaded.spec.name}.`, "warning");
+            this.access.announce("Custom detection model unavailable. Using the standard model.", 1);
+        }
+        this.showDetectorStatus(loaded.fallback ? 'FALLBACK' : 'LOADED', loaded.fallback ? 'warning' : 'success');
+    }
+
+    async selectDetector(id) {
+        this.vision.registry.select(id);
+        // Loaded on the next start otherwise
+        if (this.vision.isLoaded) await this.loadDetector();
+        if (this.isRunning) this.updateStatus("System Active");
+    }
+
+    renderDetectorOptions() {
+        if (!this.elDetectorSelect) return;
+        const registry = this.vision.registry;
+        this.elDetectorSelect.innerHTML = '';
+        registry.list().forEach(spec => {
+            const option = document.createElement('option');
+            option.value = spec.id;
+            option.textContent = spec.name;
+            option.selected = spec.id === registry.selectedId;
+            this.elDetectorSelect.appendChild(option);
+        });
+    }
+
+    // OCR engine and language data: downloaded once, then served offline
+    async loadTextReader() {
+        this.showOcrStatus('LOADING', 'warning');
+        this.log("Loading text reader...", "info");
+        const loaded = await this.textReader.load();
+        this.showOcrStatus(loaded ? 'LOADED' : 'FAILED', loaded ? 'success' : 'error');
+        this.log(loaded ? "Text reader ready." : "Text reader failed to load. Sign reading is off.", loaded ? "info" : "warning");
+        return loaded;
+    }
+
+    showOcrStatus(text, level) {
+        if (!this.elOcrStatus) return;
+        this.elOcrStatus.className = `status-badge ${level}`;
+        this.elOcrStatus.innerText = text;
+    }
+
+    // Background reading while the camera runs: a sign naming a place on the active map
+    // relocalises the user. Not awaited, OCR is much slower than a frame.
+    readSigns() {
+        if (!this.textReader.isLoaded || !this.pois) return;
+        const started = performance.now();
+        this.textReader.read(this.video).then(readings => {
+            if (!readings) return;
+            if (this.elOcrLatency) this.elOcrLatency.innerText = `${Math.round(performance.now() - started)}ms`;
+            this.odometry.observeText(readings, this.pois, this.canvas.width);
+        }).catch(e => console.warn("Text reading failed", e));
+    }
+
+    // "Read the sign": the text in view right now, by clock direction
+    async readSign() {
+        if (!this.isRunning || this.video.readyState < 2) {
+            this.access.announce("Start the camera to read signs.", 2);
+            return;
+        }
+        if (!this.textReader.isLoaded) {
+            this.access.announce("Loading the text reader.", 1);
+            if (!(await this.loadTextReader())) {
+                this.access.announce("Text reading is not available.", 2);
+                return;
+            }
+        }
+        // Waits out a background read still in progress
+        let readings = await this.textReader.read(this.video, { force: true });
+        while (readings === null && this.textReader.busy) {
+            await new Promise(r => setTimeout(r, 100));
+            readings = await this.textReader.read(this.video, { force: true });
+        }
+        const text = readings && readings.length
+            ? readings.map(r => `${r.text}, at ${SurroundingsDescriber.clock(r.bearing)} o'clock`).join('. ') + '.'
+            : "No readable text in view.";
+        this.access.describe(text);
+        this.log(`Read: ${text}`, "info");
+    }
+
+    showDetectorStatus(text, level) {
+        if (!this.elDetectorStatus) return;
+        this.elDetectorStatus.className = `status-badge ${level}`;
+        this.elDetectorStatus.innerText = text;
+    }
+
+    updateStepProfile() {
+        if (!this.elStepProfile) return;
+        const profile = this.odometry.stepModel.profile;
+        this.elStepProfile.className = `status-badge ${profile.calibrated ? 'success' : 'warning'}`;
+        this.elStepProfile.innerText = profile.calibrated ? 'CALIBRATED' : 'DEFAULT';
+    }
+
     log(msg, type = "info") {
         if (!this.elLogList) return;
 
@@ -182,47 +736,100 @@ class AppController {
         }
     }
 
-    async loop() {
+    loop() {
         if (!this.isRunning) return;
 
-        // A. Visual Odometry Update
         if (this.video.readyState >= 2) {
-            this.odometry.updateVisuals(this.video);
+            // Camera pitch for ground-contact ranging and the floor hazards
+            this.vision.range.setGravity(this.odometry.yaw.up);
+
+            // A. Visual Odometry Update: in the VO worker, applied in handleVisual when the
+            // result comes back (frames are dropped while it is busy); inline otherwise
+            const captured = performance.now();
+            if (this.visualInWorker) {
+                const pending = this.pipeline.processVisual(this.video, captured);
+                if (pending) pending.then(result => this.handleVisual(result), e => this.visualWorkerFailed(e));
+            } else {
+                this.odometry.updateVisuals(this.video, captured);
+                this.recorder.recordFrame(this.video, captured);
+                this.checkHazards();
+            }
+
+            // C. Vision (Throttled). Not awaited, so inference never holds up the loop
+            this.vision.detect(this.video)
+                .then(predictions => this.handleDetections(predictions))
+                .catch(e => console.warn("Detection failed", e));
         }
 
         // B. Odometry State
         const pos = this.odometry.getPosition();
+        this.showPosition(pos);
+
+        // D. Navigation
+        this.handleNavUpdate(this.nav.update(pos));
+
+        requestAnimationFrame(() => this.loop());
+    }
 
-        // Update UI
+    // VO worker result: what the inline path does, a little later
+    handleVisual(result) {
+        if (!this.isRunning || this.replayer) return;
+        this.odometry.applyVisualResult(result);
+        // Recorded at its capture time: the worker's latency would skew replay timing
+        this.recorder.recordGray(result.frame, result.timestamp);
+        this.checkHazards();
+    }
+
+    visualWorkerFailed(e) {
+        if (!this.visualInWorker) return;
+        this.visualInWorker = false;
+        console.warn("VO worker failed", e);
+        this.log(`VO worker failed (${e.message}). Running visual odometry on the main thread.`, "warning");
+    }
+
+    handleDetections(predictions) {
+        if (!predictions || !this.isRunning) return;
+        const pos = this.odometry.getPosition();
+        this.recorder.recordDetections(predictions);
+        this.drawPredictions(this.vision.tracks);
+        const avoid = this.avoidance.update(this.vision.tracks, {
+            frameWidth: this.video.videoWidth,
+            range: this.vision.range,
+            desired: this.nav.routeDirection(pos),
+            pose: pos,
+            plan: this.floorPlan
+        });
+        this.handleAvoidance(avoid, this.checkObstacles(this.vision.tracks));
+        this.odometry.observeLandmarks(predictions, this.canvas.width);
+        this.readSigns();
+
+        // Update Dashboard Stat
+        if (this.elObjCount) this.elObjCount.innerText = predictions.length;
+        if (this.elDetectorLatency) this.elDetectorLatency.innerText = `${Math.round(this.vision.latency)}ms`;
+    }
+
+    showPosition(pos) {
         if (this.elPos) this.elPos.innerText = `${pos.x.toFixed(1)}, ${pos.y.toFixed(1)}`;
         if (this.elHdg) this.elHdg.innerHTML = `${(pos.heading * 180 / Math.PI).toFixed(0)}&deg;`;
+        this.updateConfidence();
 
         // Update MiniMap
+        this.minimap.setLandmarks(this.odometry.map.getLandmarksNear(pos, 10));
         this.minimap.update(pos);
+    }
 
-        // C. Vision (Throttled)
-        if (this.video.readyState >= 2) {
-            const predictions = await this.vision.detect(this.video);
-            if (predictions) {
-                this.drawPredictions(predictions);
-                this.checkObstacles(predictions);
-
-                // Update Dashboard Stat
-                if (this.elObjCount) this.elObjCount.innerText = predictions.length;
-            }
-        }
-
-        // D. Navigation
-        const navUpdate = this.nav.update(pos);
+    handleNavUpdate(navUpdate) {
         if (navUpdate) {
             if (navUpdate.instruction) {
-                const priority = (navUpdate.event === 'stop' || navUpdate.event === 'arrived') ? 2 : 1;
+                const priority = ['stop', 'arrived', 'left', 'right', 'resume'].includes(navUpdate.event) ? 2 : 1;
                 this.access.announce(navUpdate.instruction, priority);
                 this.log(`Nav: ${navUpdate.instruction}`, "info");
             }
             if (navUpdate.event) {
                 this.access.vibrate(navUpdate.event);
             }
+            // Replanning may have replaced the route
+            this.minimap.setRoute(this.nav.route);
 
             // Continuous feedback for rotation
             if (navUpdate.state === 'ROTATING' && Math.abs(navUpdate.diff) > 20) {
@@ -230,25 +837,83 @@ class AppController {
                 // Throttle this announcement in a real app, keeping simple here
             }
         }
+    }
 
-        requestAnimationFrame(() => this.loop());
+    // Diagnostics bar driven by the EKF covariance
+    updateConfidence() {
+        if (!this.elVoConfBar) return;
+        const pct = Math.round(this.odometry.getConfidence() * 100);
+        this.elVoConfBar.style.width = `${pct}%`;
+        this.elVoConfBar.classList.toggle('warning', pct < 60 && pct >= 30);
+        this.elVoConfBar.classList.toggle('error', pct < 30);
+        if (this.elVoConfValue) this.elVoConfValue.innerText = `${pct}%`;
+    }
+
+    // Veer cues while an obstacle blocks the way; navigation holds its heading
+    // corrections meanwhile and steers back to the route once the way is clear. One cue
+    // per frame: an obstacle warning (checkObstacles) carries the planner's advice along
+    handleAvoidance(avoid, warning = null) {
+        this.nav.setAvoiding(avoid.state !== 'CLEAR');
+        if (warning) {
+            const advice = avoid.event === 'stop' ? ' Stop.' : avoid.side ? ` Veer ${avoid.side}.` : '';
+            this.access.announce(`${warning}${advice}`, 2);
+            this.access.vibrate(avoid.event || avoid.side || 'stop');
+        } else if (avoid.cue) {
+            this.access.announce(avoid.cue, avoid.event === 'stop' ? 2 : 1);
+            this.access.vibrate(avoid.event);
+            this.log(`Avoid: ${avoid.cue}`, "info");
+        }
+        if (avoid.cleared && !this.nav.target) this.access.announce("Path clear.", 1);
     }
 
-    checkObstacles(predictions) {
+    // Stairs and edges ahead, on the latest VO frame. Going down is the dangerous case:
+    // it is spoken at critical priority, which no other message interrupts, and has its
+    // own vibration.
+    checkHazards() {
+        const frame = this.odometry.vo.frame;
+        if (!frame) return;
+        const hazard = this.hazards.update(frame, {
+            videoWidth: this.video.videoWidth,
+            videoHeight: this.video.videoHeight,
+            flow: this.odometry.flow
+        });
+        if (!hazard) return;
+
+        const where = hazard.distance ? `, ${SurroundingsDescriber.metres(hazard.distance)}` : '';
+        const messages = {
+            'stairs-down': `Stairs down ahead${where}. Stop.`,
+            'drop-off': `Drop-off ahead${where}. Stop.`,
+            'stairs-up': `Stairs up ahead${where}.`
+        };
+        const critical = hazard.type !== 'stairs-up';
+        this.access.announce(messages[hazard.type], critical ? 3 : 1);
+        if (critical) this.access.vibrate('hazard');
+        this.log(`HAZARD: ${hazard.type} (${hazard.distance ? hazard.distance.toFixed(1) + 'm' : 'range unknown'}, ${hazard.source})`, critical ? "obstacle" : "info");
+    }
+
+    // Tracked objects in the walking path: warned about once each, when the time to
+    // collision drops below obstacleTtc or the object is already close. -> the warning
+    // text, spoken by handleAvoidance with the side to veer to, or null
+    checkObstacles(tracks) {
         const now = Date.now();
-        if (now - this.lastAlertTime < 2000) return; // Throttle alerts
+        if (now - this.lastAlertTime < 2000) return null; // Throttle alerts
 
         const centerX = this.canvas.width / 2;
 
-        for (let p of predictions) {
-            const [x, y, w, h] = p.bbox;
+        for (let t of tracks) {
+            if (t.alerted || t.missed > 0) continue;
+            const [x, y, w, h] = t.bbox;
             const isCentral = (x < centerX && (x + w) > centerX);
-            const isClose = p.depth ? (p.depth < 1.5) : (h > this.canvas.height * 0.3);
+            // Err on the near side: close if it may be within 1.5 m at one sigma
+            const isClose = t.depth ? (t.depth - t.depthSigma < 1.5) : (h > this.canvas.height * 0.3);
+            const isApproaching = t.ttc < this.obstacleTtc;
 
-            if (isCentral && isClose) {
-                this.access.announce(`Obstacle: ${p.class} ahead!`, 2);
-                this.access.vibrate('stop');
-                this.log(`OBSTACLE DETECTED: ${p.class} (${p.depth ? p.depth.toFixed(1) + 'm' : 'Close'})`, "obstacle");
+            if (isCentral && (isClose || isApproaching)) {
+                const moving = t.closingSpeed > 0.5 && t.class === 'person' ? 'approaching' : 'ahead';
+                const range = t.depth ? `${t.depth.toFixed(1)}m &plusmn;${t.depthSigma.toFixed(1)}` : 'Close';
+                const ttc = Number.isFinite(t.ttc) ? `, TTC ${t.ttc.toFixed(1)}s` : '';
+                this.log(`OBSTACLE DETECTED: ${t.class} #${t.id} (${range}${ttc})`, "obstacle");
+                this.vision.tracker.markAlerted(t.id);
 
                 // Visual Alert
                 const vPanel = document.querySelector('.video-panel');
@@ -258,11 +923,13 @@ class AppController {
                 }
 
                 this.lastAlertTime = now;
-                break;
+                return `Obstacle: ${t.class} ${moving}!`;
             }
         }
+        return null;
     }
 
+    // Tracked boxes, labelled with the track id and range
     drawPredictions(predictions) {
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
         this.ctx.font = '14px JetBrains Mono';
@@ -276,7 +943,9 @@ class AppController {
             this.ctx.strokeRect(x, y, w, h);
 
             // Label Box
-            const text = `${p.class.toUpperCase()} ${(p.score * 100).toFixed(0)}%`;
+            const id = p.id ? `#${p.id} ` : '';
+            const range = p.depth ? ` ${p.depth.toFixed(1)}m` : '';
+            const text = `${id}${p.class.toUpperCase()} ${(p.score * 100).toFixed(0)}%${range}`;
             const textWidth = this.ctx.measureText(text).width;
 
             this.ctx.fillStyle = color;
@@ -0,0 +1,58 @@
+// Heading rate from the gyro in any holding posture. rotationRate is in device axes
+// (alpha about z, beta about x, gamma about y), so its yaw part is the projection onto
+// the world vertical. The vertical is tracked in device axes: the gyro rotates it and
+// accelerationIncludingGravity (which points up at rest) slowly pulls it back.
+class YawRateEstimator {
+    constructor(options = {}) {
+        this.accelWeight = options.accelWeight || 0.02; // per sample; walking bounces the accelerometer
+        this.up = null; // unit vector in device axes
+    }
+
+    reset() {
+        this.up = null;
+    }
+
+    // accel: accelerationIncludingGravity (m/s^2), rotationRate: deg/s, dt: s.
+    // Returns the heading rate in rad/s, clockwise seen from above (like the EKF heading).
+    update(accel, rotationRate, dt) {
+        const d = Math.PI / 180;
+        const w = rotationRate
+            ? [(rotationRate.beta || 0) * d, (rotationRate.gamma || 0) * d, (rotationRate.alpha || 0) * d]
+            : [0, 0, 0];
+
+        // Gravity is fixed in the world, so in device axes it turns the other way: du/dt = -w x u
+        if (this.up && dt > 0 && dt < 1) {
+            const c = LinAlg.cross(w, this.up);
+            this.up = this.up.map((v, i) => v - c[i] * dt);
+        }
+
+        if (accel) {
+            const a = LinAlg.normalize([accel.x || 0, accel.y || 0, accel.z || 0]);
+            if (a.some(v => v !== 0)) {
+                this.up = this.up
+                    ? this.up.map((v, i) => (1 - this.accelWeight) * v + this.accelWeight * a[i])
+                    : a;
+            }
+        }
+        if (!this.up) return -w[2]; // no gravity yet: assume the phone is flat, screen up
+        this.up = LinAlg.normalize(this.up);
+
+        // Counter-clockwise about "up" is a left turn
+        return -LinAlg.dot(w, this.up);
+    }
+
+    // Screen rotation relative to the natural orientation, degrees (0, 90, 180, 270)
+    static screenAngle() {
+        if (typeof screen !== 'undefined' && screen.orientation) return screen.orientation.angle || 0;
+        return (typeof window !== 'undefined' && window.orientation) || 0;
+    }
+
+    // Calls back with the new screen angle whenever the screen rotates
+    static onScreenOrientationChange(callback) {
+        if (typeof screen !== 'undefined' && screen.orientation && screen.orientation.addEventListener) {
+            screen.orientation.addEventListener('change', () => callback(YawRateEstimator.screenAngle()));
+        } else {
+            window.addEventListener('orientationchange', () => callback(YawRateEstimator.screenAngle()));
+        }
+    }
+}
@@ -0,0 +1,147 @@
+// Steering around obstacles. Builds a free-space estimate over walking directions in
+// front of the user (tracked detections, widened by the user's body, plus the walls of
+// the active floor plan and, where a segmenter exists, the visible floor) and, when the
+// way towards the route is blocked, picks the clear direction closest to it.
+// Directions are relative to the heading in rad, + = right, like the tracks' bearing.
+//
+// Floor segmenter interface (optional): freeDistance(bearing) -> m of floor visible in
+// that direction, or Infinity / undefined when unknown.
+class AvoidancePlanner {
+    constructor(options = {}) {
+        this.halfWidth = options.halfWidth || 0.4; // m, half the user's body plus margin
+        this.lookAhead = options.lookAhead || 3; // m of free space wanted along the way
+        this.stopDistance = options.stopDistance || 1; // m, less than this everywhere: stop
+        this.maxVeer = (options.maxVeer || 45) * Math.PI / 180;
+        this.step = 5 * Math.PI / 180;
+        this.clearTime = options.clearTime || 1000; // ms the way must stay free to end avoidance
+        this.segmenter = options.segmenter || null;
+
+        this.state = 'CLEAR'; // 'CLEAR' | 'AVOIDING' | 'BLOCKED'
+        this.side = null;
+        this.clearSince = null;
+    }
+
+    reset() {
+        this.state = 'CLEAR';
+        this.side = null;
+        this.clearSince = null;
+    }
+
+    // Obstacles as angular intervals: { from, to, range, class }. Tracks without a range
+    // are left out; the near end of the range uncertainty is used.
+    obstacles(tracks, frameWidth, range) {
+        return tracks
+            .filter(t => t.depth > 0 && t.missed === 0)
+            .map(t => {
+                const near = Math.max(0.3, t.depth - (t.depthSigma || 0));
+                const widen = Math.atan(this.halfWidth / near);
+                return {
+                    from: range.bearing(t.bbox[0], frameWidth) - widen,
+                    to: range.bearing(t.bbox[0] + t.bbox[2], frameWidth) + widen,
+                    range: near,
+                    class: t.class
+                };
+            });
+    }
+
+    // Free distance along a relative direction, with the obstacle that limits it
+    freeAlong(angle, obstacles, context) {
+        let free = Infinity, blocker = null;
+        for (const o of obstacles) {
+            if (angle >= o.from && angle <= o.to && o.range < free) {
+                free = o.range;
+                blocker = o;
+            }
+        }
+        if (context.plan && context.pose) {
+            // Walls count at the body's edges too, not only along the centre line
+            const h = context.pose.heading + angle;
+            const side = { x: Math.cos(h) * this.halfWidth, y: -Math.sin(h) * this.halfWidth };
+            for (const s of [-1, 0, 1]) {
+                const origin = { x: context.pose.x + s * side.x, y: context.pose.y + s * side.y };
+                for (const w of context.plan.walls) {
+                    const d = Segment2D.rayDistance(origin, h, { x: w.x1, y: w.y1 }, { x: w.x2, y: w.y2 });
+                    if (d < free) {
+                        free = d;
+                        blocker = { class: 'wall', range: d };
+                    }
+                }
+            }
+        }
+        if (this.segmenter) {
+            const floor = this.segmenter.freeDistance(angle);
+            if (floor < free) {
+                free = floor;
+                blocker = { class: 'obstacle', range: floor };
+            }
+        }
+        return { free, blocker };
+    }
+
+    // tracks: ObjectTracker output. context: { frameWidth, range (RangeEstimator),
+    // desired (rad, direction of the route relative to the heading; 0 without one),
+    // pose, plan (FloorPlan), timestamp }.
+    // -> { state, veer (rad), side, cue, event, blocker, cleared }
+    update(tracks, context) {
+        const now = context.timestamp || Date.now();
+        const desired = Math.max(-this.maxVeer, Math.min(this.maxVeer, context.desired || 0));
+        const obstacles = this.obstacles(tracks, context.frameWidth, context.range);
+        const ahead = this.freeAlong(desired, obstacles, context);
+        const prevState = this.state, prevSide = this.side;
+        const result = { state: this.state, veer: 0, side: this.side, cue: null, event: null, blocker: ahead.blocker, cleared: false };
+
+        // Only detected obstacles start an avoidance; walls are what the route is for
+        const obstructed = ahead.free < this.lookAhead && ahead.blocker && ahead.blocker.class !== 'wall';
+        if (!obstructed) {
+            if (this.state === 'CLEAR') return result;
+            this.clearSince = this.clearSince || now;
+            if (now - this.clearSince < this.clearTime) {
+                result.veer = this.side === 'left' ? -this.step : this.side === 'right' ? this.step : 0;
+                return result;
+            }
+            this.reset();
+            return { ...result, state: 'CLEAR', side: null, cleared: true };
+        }
+        this.clearSince = null;
+
+        // Clear directions, the one nearest the route first; the side already taken wins ties
+        let best = null, widest = null;
+        for (let a = -this.maxVeer; a <= this.maxVeer + 1e-9; a += this.step) {
+            const { free } = this.freeAlong(a, obstacles, context);
+            if (!widest || free > widest.free) widest = { angle: a, free };
+            if (free < this.lookAhead) continue;
+            const side = a < desired ? 'left' : 'right';
+            const cost = Math.abs(a - desired) - (side === this.side ? this.step : 0);
+            if (!best || cost < best.cost) best = { angle: a, cost, side };
+        }
+        if (!best && widest.free > this.stopDistance) {
+            best = { angle: widest.angle, side: widest.angle < desired ? 'left' : 'right' };
+        }
+
+        if (!best) {
+            this.state = 'BLOCKED';
+            this.side = null;
+            if (prevState !== 'BLOCKED') {
+                result.cue = "Path blocked. Stop.";
+                result.event = 'stop';
+            }
+            return { ...result, state: this.state, side: null };
+        }
+
+        this.state = 'AVOIDING';
+        this.side = best.side;
+        result.veer = best.angle - desired;
+        if (prevState !== 'AVOIDING') {
+            result.cue = `${AvoidancePlanner.capitalize(ahead.blocker.class)} ahead, veer ${best.side}.`;
+            result.event = best.side;
+        } else if (prevSide !== best.side) {
+            result.cue = `Veer ${best.side}.`;
+            result.event = best.side;
+        }
+        return { ...result, state: this.state, side: this.side };
+    }
+
+    static capitalize(text) {
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+}
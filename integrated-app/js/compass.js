@@ -0,0 +1,134 @@
+// Absolute heading from DeviceOrientation (and the Magnetometer sensor when present),
+// with indoor magnetic disturbance detection. Everything is driven by plain event
+// objects carrying their own timestamps, so recorded sessions replay deterministically.
+// Headings are radians clockwise from magnetic north, like the EKF.
+class CompassFusion {
+    constructor(options = {}) {
+        this.baseSigma = (options.baseSigma || 10) * Math.PI / 180; // indoor compasses are coarse
+        this.window = options.window || 1000; // ms, gyro vs compass comparison window
+        this.maxRateMismatch = (options.maxRateMismatch || 15) * Math.PI / 180; // rad over the window
+        this.minField = options.minField || 25; // uT, Earth's field is 25-65 uT
+        this.maxField = options.maxField || 65;
+        this.maxFieldDeviation = options.maxFieldDeviation || 0.15; // fraction of the reference
+        this.holdOff = options.holdOff || 1500; // ms of clean readings needed after a disturbance
+
+        this.reset();
+    }
+
+    reset() {
+        this.history = []; // { t, compass, gyro } within the comparison window
+        this.gyroHeading = 0; // integrated gyro heading, only its changes matter
+        this.lastGyroTime = 0;
+        this.fieldReference = null; // uT, slow average of undisturbed magnitudes
+        this.fieldDisturbed = false;
+        this.disturbedUntil = 0;
+        this.disturbed = false;
+        this.reason = null;
+        this.lastFix = null;
+    }
+
+    // Heading rate in the filter's convention (rad/s), timestamp in ms
+    processGyro(rate, timestamp) {
+        if (this.lastGyroTime) {
+            const dt = (timestamp - this.lastGyroTime) / 1000;
+            if (dt > 0 && dt < 1) this.gyroHeading += rate * dt;
+        }
+        this.lastGyroTime = timestamp;
+    }
+
+    // Magnetometer reading { x, y, z } in uT (Generic Sensor API)
+    processMagnetometer(field) {
+        const magnitude = Math.hypot(field.x || 0, field.y || 0, field.z || 0);
+        const inRange = magnitude >= this.minField && magnitude <= this.maxField;
+        const ref = this.fieldReference;
+        const deviates = ref !== null && Math.abs(magnitude - ref) > this.maxFieldDeviation * ref;
+
+        this.fieldDisturbed = !inRange || deviates;
+        if (!this.fieldDisturbed || ref === null) {
+            this.fieldReference = ref === null ? magnitude : 0.98 * ref + 0.02 * magnitude;
+        }
+        return magnitude;
+    }
+
+    // DeviceOrientation / deviceorientationabsolute event (or a recorded copy).
+    // Returns { heading, variance, timestamp } when the reading is usable, else null.
+    processOrientation(event) {
+        const timestamp = event.timeStamp;
+        const reading = CompassFusion.headingFromEvent(event);
+        if (!reading) return null;
+
+        this.history.push({ t: timestamp, compass: reading.heading, gyro: this.gyroHeading });
+        while (this.history.length && this.history[0].t < timestamp - this.window) this.history.shift();
+
+        const reason = this.checkDisturbance();
+        if (reason) {
+            this.disturbed = true;
+            this.reason = reason;
+            this.disturbedUntil = timestamp + this.holdOff;
+            return null;
+        }
+        if (timestamp < this.disturbedUntil) return null;
+        this.disturbed = false;
+        this.reason = null;
+
+        const sigma = Math.max(this.baseSigma, reading.accuracy || 0);
+        this.lastFix = { heading: reading.heading, variance: sigma * sigma, timestamp };
+        return this.lastFix;
+    }
+
+    // 'field' when the magnitude is off, 'rate' when the compass turns differently from the gyro
+    checkDisturbance() {
+        if (this.fieldDisturbed) return 'field';
+        if (!this.lastGyroTime || this.history.length < 2) return null; // nothing to compare with
+
+        const first = this.history[0];
+        const last = this.history[this.history.length - 1];
+        const compassDelta = SE2.wrap(last.compass - first.compass);
+        const gyroDelta = last.gyro - first.gyro;
+        if (Math.abs(SE2.wrap(compassDelta - gyroDelta)) > this.maxRateMismatch) return 'rate';
+        return null;
+    }
+
+    // Absolute heading of the camera (back of the phone), falling back to the top edge
+    // when the phone is held flat. Relative (non-absolute) alpha is ignored.
+    static headingFromEvent(event) {
+        if (typeof event.webkitCompassHeading === 'number' && event.webkitCompassHeading >= 0) {
+            // iOS: already clockwise from north and tilt compensated
+            const accuracy = event.webkitCompassAccuracy > 0 ? event.webkitCompassAccuracy * Math.PI / 180 : 0;
+            return { heading: SE2.normalizeHeading(event.webkitCompassHeading * Math.PI / 180), accuracy };
+        }
+        if (!event.absolute || event.alpha === null || event.alpha === undefined) return null;
+
+        const d = Math.PI / 180;
+        const a = event.alpha * d, b = (event.beta || 0) * d, g = (event.gamma || 0) * d;
+        const cA = Math.cos(a), sA = Math.sin(a);
+        const cB = Math.cos(b), sB = Math.sin(b);
+        const cG = Math.cos(g), sG = Math.sin(g);
+
+        // East / north components of the device -z axis (W3C DeviceOrientation, Z-X'-Y'')
+        const east = -cA * sG - sA * sB * cG;
+        const north = -sA * sG + cA * sB * cG;
+        if (Math.hypot(east, north) > 0.5) {
+            return { heading: SE2.normalizeHeading(Math.atan2(east, north)), accuracy: 0 };
+        }
+        // Flat phone: use the device +y axis instead
+        return { heading: SE2.normalizeHeading(Math.atan2(-cB * sA, cB * cA)), accuracy: 0 };
+    }
+
+    // Runs recorded events through a fresh filter. events: [{ type: 'orientation' | 'gyro' |
+    // 'magnetometer', timeStamp, ...fields }], gyro events carry `rate` (rad/s).
+    // Returns one entry per orientation event: { timeStamp, fix, disturbed, reason }.
+    static replay(events, options = {}) {
+        const compass = new CompassFusion(options);
+        const out = [];
+        for (const e of events) {
+            if (e.type === 'gyro') compass.processGyro(e.rate, e.timeStamp);
+            else if (e.type === 'magnetometer') compass.processMagnetometer(e);
+            else if (e.type === 'orientation') {
+                const fix = compass.processOrientation(e);
+                out.push({ timeStamp: e.timeStamp, fix, disturbed: compass.disturbed, reason: compass.reason });
+            }
+        }
+        return out;
+    }
+}
@@ -0,0 +1,185 @@
+// Monocular range to detected objects, in metres with a 1-sigma uncertainty.
+// Two pinhole estimates, fused by inverse variance when both apply:
+//   size:   range = f * realHeight / bboxHeight, from a per-class size table
+//   ground: floor-standing objects touch the floor at the bbox bottom; with the camera
+//           height and pitch that image row is a ray meeting the floor at
+//           range = cameraHeight / tan(pitch + atan((yBottom - cy) / f))
+// The focal length comes from a field-of-view setting or a calibration against an object
+// at a known distance, and persists on the device.
+const CAMERA_PROFILE_KEY = 'indoorNav.cameraProfile';
+
+// Typical size (m) per detector class. sigma: relative spread of the size within the
+// class; grounded: stands on the floor, so the ground-contact estimate applies.
+// COCO-SSD names, plus the indoor landmark classes of custom detectors and OCR text lines.
+const OBJECT_SIZES = {
+    'person': { height: 1.7, width: 0.5, sigma: 0.1, grounded: true },
+    'chair': { height: 0.9, width: 0.5, sigma: 0.2, grounded: true },
+    'couch': { height: 0.85, width: 2.0, sigma: 0.2, grounded: true },
+    'bench': { height: 0.5, width: 1.5, sigma: 0.3, grounded: true },
+    'dining table': { height: 0.75, width: 1.2, sigma: 0.2, grounded: true },
+    'bed': { height: 0.6, width: 1.6, sigma: 0.3, grounded: true },
+    'toilet': { height: 0.75, width: 0.4, sigma: 0.1, grounded: true },
+    'refrigerator': { height: 1.8, width: 0.7, sigma: 0.1, grounded: true },
+    'potted plant': { height: 0.6, width: 0.4, sigma: 0.4, grounded: true },
+    'suitcase': { height: 0.6, width: 0.4, sigma: 0.3, grounded: true },
+    'bicycle': { height: 1.0, width: 1.7, sigma: 0.15, grounded: true },
+    'dog': { height: 0.5, width: 0.8, sigma: 0.4, grounded: true },
+    'fire hydrant': { height: 0.6, width: 0.3, sigma: 0.2, grounded: true },
+    'tv': { height: 0.5, width: 0.9, sigma: 0.3, grounded: false },
+    'backpack': { height: 0.5, width: 0.3, sigma: 0.2, grounded: false },
+    'laptop': { height: 0.25, width: 0.35, sigma: 0.2, grounded: false },
+    'bottle': { height: 0.25, width: 0.08, sigma: 0.3, grounded: false },
+    'door': { height: 2.0, width: 0.9, sigma: 0.05, grounded: true },
+    'elevator': { height: 2.1, width: 1.0, sigma: 0.1, grounded: true },
+    'exit sign': { height: 0.2, width: 0.35, sigma: 0.2, grounded: false },
+    'sign text': { height: 0.04, sigma: 0.5, grounded: false } // one line of lettering read by OCR
+};
+
+class RangeEstimator {
+    constructor(options = {}) {
+        this.storage = options.storage !== undefined ? options.storage : (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.sizes = { ...OBJECT_SIZES, ...(options.sizes || {}) };
+        this.unknownSize = { height: 1.0, width: 0.6, sigma: 0.6, grounded: false };
+        this.pixelNoise = options.pixelNoise || 0.01; // bbox edge jitter, fraction of the image height
+        this.pitchNoise = (options.pitchNoise || 3) * Math.PI / 180;
+        this.cameraHeightNoise = options.cameraHeightNoise || 0.1; // m
+        this.minGroundAngle = 2 * Math.PI / 180; // rays flatter than this hit the floor too far out
+
+        // focal: fx / image width, so it holds for any resolution of the same camera
+        this.profile = {
+            focal: RangeEstimator.focalFromFov(options.fov || 65),
+            cameraHeight: options.cameraHeight || 1.4, // m, phone held at chest height
+            calibrated: false,
+            calibratedAt: null
+        };
+        this.load();
+        this.pitch = null; // rad below the horizon, null while unknown
+    }
+
+    // Normalised focal length of a horizontal field of view (degrees)
+    static focalFromFov(fovDeg) {
+        return 0.5 / Math.tan((fovDeg * Math.PI / 180) / 2);
+    }
+
+    get fov() {
+        return 2 * Math.atan(0.5 / this.profile.focal) * 180 / Math.PI;
+    }
+
+    // Extends or overrides the size table (custom detector classes)
+    registerClass(name, size) {
+        this.sizes[name] = { sigma: 0.3, grounded: false, ...size };
+    }
+
+    setFov(fovDeg) {
+        this.profile.focal = RangeEstimator.focalFromFov(fovDeg);
+        this.profile.calibrated = false;
+        this.profile.calibratedAt = null;
+        this.save();
+    }
+
+    setCameraHeight(height) {
+        this.profile.cameraHeight = height;
+        this.save();
+    }
+
+    // Camera pitch from the vertical in device axes (YawRateEstimator.up). The back camera
+    // looks along -z, so the optical axis dips below the horizon by asin(up.z).
+    setGravity(up) {
+        this.pitch = up ? Math.asin(Math.max(-1, Math.min(1, up[2]))) : null;
+    }
+
+    // Calibration: an object of a known class in view at a known distance (m).
+    // Returns the new horizontal field of view (degrees), or null when unusable.
+    calibrate(prediction, distance, frameWidth) {
+        const size = this.sizes[prediction.class];
+        const h = prediction.bbox[3];
+        if (!size || !(h > 0) || !(distance > 0) || !frameWidth) return null;
+        this.profile.focal = (h * distance / size.height) / frameWidth;
+        this.profile.calibrated = true;
+        this.profile.calibratedAt = new Date().toISOString();
+        this.save();
+        return this.fov;
+    }
+
+    // Horizontal angle of an image column from the optical axis (rad, + = right)
+    bearing(x, width) {
+        return Math.atan((x - width / 2) / (this.profile.focal * width));
+    }
+
+    // Distance along the floor to the point seen at image row `row` (pixels of a frame
+    // `height` rows high whose vertical focal length is fy), or null above the horizon
+    // or while the pitch is unknown
+    groundDistance(row, height, fy) {
+        if (this.pitch === null) return null;
+        const angle = this.pitch + Math.atan((row - height / 2) / fy);
+        return angle > this.minGroundAngle ? this.profile.cameraHeight / Math.tan(angle) : null;
+    }
+
+    // prediction: { class, bbox: [x, y, w, h] } in pixels of a width x height frame.
+    // -> { depth, sigma, method: 'size' | 'ground' | 'fused' }
+    estimate(prediction, width, height) {
+        const f = this.profile.focal * width;
+        const cy = height / 2;
+        const [, y, w, h] = prediction.bbox;
+        const size = this.sizes[prediction.class] || this.unknownSize;
+        const pixelNoise = this.pixelNoise * height;
+        const touchesTop = y <= 1, touchesBottom = y + h >= height - 1;
+
+        const estimates = [];
+
+        // Size: height unless the box is cut off by the frame, then width
+        if (!(touchesTop || touchesBottom) && h > 0) {
+            const range = f * size.height / h;
+            estimates.push({ range, sigma: range * Math.hypot(size.sigma, pixelNoise / h) });
+        } else if (size.width && w > 0) {
+            const range = f * size.width / w;
+            estimates.push({ range, sigma: range * Math.hypot(size.sigma * 1.5, pixelNoise / w) });
+        }
+
+        // Ground contact: only with a known pitch and the bottom edge in the frame
+        if (size.grounded && this.pitch !== null && !touchesBottom) {
+            const angle = this.pitch + Math.atan((y + h - cy) / f);
+            if (angle > this.minGroundAngle) {
+                const camH = this.profile.cameraHeight;
+                const range = camH / Math.tan(angle);
+                const angleVar = this.pitchNoise ** 2 + (pixelNoise / f) ** 2;
+                const dAngle = camH / (Math.sin(angle) ** 2);
+                estimates.push({ range, sigma: Math.sqrt((range / camH * this.cameraHeightNoise) ** 2 + dAngle * dAngle * angleVar), ground: true });
+            }
+        }
+
+        if (!estimates.length) return null;
+        if (estimates.length === 1) {
+            const e = estimates[0];
+            return { depth: e.range, sigma: e.sigma, method: e.ground ? 'ground' : 'size' };
+        }
+        const weights = estimates.map(e => 1 / (e.sigma * e.sigma));
+        const total = weights.reduce((s, v) => s + v, 0);
+        // When the two disagree (object not on the floor, odd size) the spread stays in the sigma
+        const spread = Math.abs(estimates[0].range - estimates[1].range) / 2;
+        return {
+            depth: estimates.reduce((s, e, i) => s + e.range * weights[i], 0) / total,
+            sigma: Math.max(Math.sqrt(1 / total), spread),
+            method: 'fused'
+        };
+    }
+
+    load() {
+        if (!this.storage) return;
+        try {
+            const saved = JSON.parse(this.storage.getItem(CAMERA_PROFILE_KEY));
+            if (saved && saved.focal > 0 && saved.cameraHeight > 0) this.profile = saved;
+        } catch (e) {
+            console.warn("RangeEstimator: stored camera profile unreadable", e);
+        }
+    }
+
+    save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(CAMERA_PROFILE_KEY, JSON.stringify(this.profile));
+        } catch (e) {
+            console.warn("RangeEstimator: could not persist camera profile", e);
+        }
+    }
+}
@@ -0,0 +1,225 @@
+// Extended Kalman filter for pedestrian pose.
+// State: [x, y, heading, stepLength, gyroBias, cloneHeading] with heading clockwise from
+// north (rad) and gyroBias in rad/s. Gyro drives the prediction; steps move the position;
+// compass and loop closures / relocalisation come in as updates. cloneHeading is a copy
+// of the heading taken at the previous VO frame (stochastic cloning), so the VO rotation
+// since then is fused as a relative measurement, heading - cloneHeading.
+const EKF_X = 0, EKF_Y = 1, EKF_H = 2, EKF_L = 3, EKF_B = 4, EKF_C = 5;
+const EKF_N = 6;
+
+class PoseEKF {
+    constructor(options = {}) {
+        this.state = [0, 0, 0, options.stepLength || 0.7, 0, 0];
+        this.P = PoseEKF.diag([0.01, 0.01, 0.01, 0.1 ** 2, (0.5 * Math.PI / 180) ** 2, 0]);
+        this.cloneHeading();
+
+        // Process noise
+        this.gyroNoise = options.gyroNoise || 0.02; // rad/s, white noise on the rate
+        this.biasWalk = options.biasWalk || 0.0005; // rad/s per sqrt(s)
+        this.stepLengthWalk = options.stepLengthWalk || 0.01; // m per step
+        this.stepLengthNoise = options.stepLengthNoise || 0.05; // m, stride-to-stride variation
+        this.lateralNoise = options.lateralNoise || 0.05; // m per step, sideways sway
+    }
+
+    get x() { return this.state[EKF_X]; }
+    get y() { return this.state[EKF_Y]; }
+    get heading() { return this.state[EKF_H]; }
+    get stepLength() { return this.state[EKF_L]; }
+    get gyroBias() { return this.state[EKF_B]; }
+
+    // Gyro prediction: heading += (rate - bias) * dt
+    predict(rate, dt) {
+        if (!(dt > 0) || dt > 1) return; // ignore gaps (tab in background etc.)
+
+        const s = this.state;
+        s[EKF_H] = SE2.normalizeHeading(s[EKF_H] + (rate - s[EKF_B]) * dt);
+
+        const F = PoseEKF.identity(EKF_N);
+        F[EKF_H][EKF_B] = -dt;
+
+        // White rate noise: the heading variance grows linearly with time
+        const Q = PoseEKF.zeros(EKF_N);
+        Q[EKF_H][EKF_H] = this.gyroNoise ** 2 * dt;
+        Q[EKF_B][EKF_B] = this.biasWalk ** 2 * dt;
+
+        this.P = PoseEKF.add(PoseEKF.mul(PoseEKF.mul(F, this.P), PoseEKF.transpose(F)), Q);
+    }
+
+    // One detected step along `offset` radians from the heading (direction of travel)
+    step(offset = 0) {
+        const s = this.state;
+        const h = s[EKF_H] + offset;
+        const L = s[EKF_L];
+        const sin = Math.sin(h), cos = Math.cos(h);
+        s[EKF_X] += L * sin;
+        s[EKF_Y] += L * cos;
+
+        const F = PoseEKF.identity(EKF_N);
+        F[EKF_X][EKF_H] = L * cos;
+        F[EKF_X][EKF_L] = sin;
+        F[EKF_Y][EKF_H] = -L * sin;
+        F[EKF_Y][EKF_L] = cos;
+
+        // Along-track (stride variation) and cross-track (sway) noise rotated into the world
+        const a = this.stepLengthNoise ** 2, c = this.lateralNoise ** 2;
+        const Q = PoseEKF.zeros(EKF_N);
+        Q[EKF_X][EKF_X] = a * sin * sin + c * cos * cos;
+        Q[EKF_Y][EKF_Y] = a * cos * cos + c * sin * sin;
+        Q[EKF_X][EKF_Y] = Q[EKF_Y][EKF_X] = (a - c) * sin * cos;
+        Q[EKF_L][EKF_L] = this.stepLengthWalk ** 2;
+
+        this.P = PoseEKF.add(PoseEKF.mul(PoseEKF.mul(F, this.P), PoseEKF.transpose(F)), Q);
+    }
+
+    // Absolute heading observation (compass...). variance in rad^2.
+    // Returns the normalised innovation squared so callers can gate outliers.
+    updateHeading(measured, variance) {
+        const innovation = SE2.wrap(measured - this.state[EKF_H]);
+        return this.updateScalar(EKF_H, innovation, variance);
+    }
+
+    // Start a relative heading interval: the clone takes the current heading and its
+    // correlations with the rest of the state
+    cloneHeading() {
+        this.state[EKF_C] = this.state[EKF_H];
+        for (let i = 0; i < EKF_N; i++) this.P[i][EKF_C] = this.P[EKF_C][i] = this.P[i][EKF_H];
+        this.P[EKF_C][EKF_C] = this.P[EKF_H][EKF_H];
+    }
+
+    // Heading change since cloneHeading (VO rotation), variance in rad^2. Only the drift
+    // over the interval is corrected; the absolute heading uncertainty stays.
+    updateHeadingChange(measured, variance) {
+        const h = new Array(EKF_N).fill(0);
+        h[EKF_H] = 1;
+        h[EKF_C] = -1;
+        const innovation = SE2.wrap(measured - (this.state[EKF_H] - this.state[EKF_C]));
+        return this.update(h, innovation, variance);
+    }
+
+    // Direct step-length observation (calibration walk, step-length model), variance in m^2
+    updateStepLength(measured, variance) {
+        return this.updateScalar(EKF_L, measured - this.state[EKF_L], variance);
+    }
+
+    // Position fix (relocalisation), variance in m^2 per axis
+    updatePosition(x, y, variance) {
+        this.updateScalar(EKF_X, x - this.state[EKF_X], variance);
+        this.updateScalar(EKF_Y, y - this.state[EKF_Y], variance);
+    }
+
+    // Hard reset of the pose part (e.g. after a pose-graph correction)
+    setPose(pose, positionVariance = 0.05, headingVariance = 0.005) {
+        this.state[EKF_X] = pose.x;
+        this.state[EKF_Y] = pose.y;
+        this.state[EKF_H] = SE2.normalizeHeading(pose.heading);
+        for (let i = 0; i < EKF_N; i++) {
+            for (const k of [EKF_X, EKF_Y, EKF_H]) {
+                if (i !== k) this.P[i][k] = this.P[k][i] = 0;
+            }
+        }
+        this.P[EKF_X][EKF_X] = this.P[EKF_Y][EKF_Y] = positionVariance;
+        this.P[EKF_H][EKF_H] = headingVariance;
+        this.cloneHeading();
+    }
+
+    // Re-reference the heading (e.g. aligning the start direction to north); keeps position
+    setHeading(heading, variance) {
+        this.state[EKF_H] = SE2.normalizeHeading(heading);
+        for (let i = 0; i < EKF_N; i++) {
+            if (i !== EKF_H) this.P[i][EKF_H] = this.P[EKF_H][i] = 0;
+        }
+        this.P[EKF_H][EKF_H] = variance;
+        this.cloneHeading();
+    }
+
+    // Turn the whole frame about its origin (aligning the start direction to north once
+    // the pose has moved): position and heading rotate, and so does the position covariance
+    rotateFrame(angle) {
+        const s = Math.sin(angle), c = Math.cos(angle);
+        const moved = SE2.rotate({ x: this.x, y: this.y, heading: this.heading }, angle);
+        this.state[EKF_X] = moved.x;
+        this.state[EKF_Y] = moved.y;
+        this.state[EKF_H] = moved.heading;
+        this.state[EKF_C] = SE2.normalizeHeading(this.state[EKF_C] + angle);
+        const J = PoseEKF.identity(EKF_N);
+        J[EKF_X][EKF_X] = c; J[EKF_X][EKF_Y] = s;
+        J[EKF_Y][EKF_X] = -s; J[EKF_Y][EKF_Y] = c;
+        this.P = PoseEKF.mul(PoseEKF.mul(J, this.P), PoseEKF.transpose(J));
+    }
+
+    // Measurement of a single state component: z = state[index] + noise
+    updateScalar(index, innovation, variance) {
+        const h = new Array(EKF_N).fill(0);
+        h[index] = 1;
+        return this.update(h, innovation, variance);
+    }
+
+    // Scalar linear measurement z = h . state + noise
+    update(h, innovation, variance) {
+        const Ph = this.P.map(row => row.reduce((sum, v, j) => sum + v * h[j], 0));
+        const S = h.reduce((sum, v, i) => sum + v * Ph[i], 0) + variance;
+        if (!(S > 0)) return Infinity;
+
+        const K = Ph.map(v => v / S);
+        for (let i = 0; i < EKF_N; i++) this.state[i] += K[i] * innovation;
+        this.state[EKF_H] = SE2.normalizeHeading(this.state[EKF_H]);
+
+        // Joseph form: P = (I - K H) P (I - K H)^T + K R K^T
+        const IKH = PoseEKF.identity(EKF_N);
+        for (let i = 0; i < EKF_N; i++) {
+            for (let j = 0; j < EKF_N; j++) IKH[i][j] -= K[i] * h[j];
+        }
+        const KRK = K.map(ki => K.map(kj => ki * variance * kj));
+        this.P = PoseEKF.add(PoseEKF.mul(PoseEKF.mul(IKH, this.P), PoseEKF.transpose(IKH)), KRK);
+
+        return (innovation * innovation) / S;
+    }
+
+    getCovariance() {
+        return this.P.map(row => row.slice());
+    }
+
+    // Standard deviations of the pose: { position (m), heading (rad) }
+    getUncertainty() {
+        return {
+            position: Math.sqrt(Math.max(0, (this.P[EKF_X][EKF_X] + this.P[EKF_Y][EKF_Y]) / 2)),
+            heading: Math.sqrt(Math.max(0, this.P[EKF_H][EKF_H]))
+        };
+    }
+
+    // 0..1 summary used by the diagnostics view: 1 = certain, drops as the
+    // position (scale 3 m) or heading (scale 20 deg) uncertainty grows
+    getConfidence() {
+        const u = this.getUncertainty();
+        return Math.exp(-u.position / 3) * Math.exp(-u.heading / (20 * Math.PI / 180));
+    }
+
+    // --- Small dense helpers (6x6) ---
+    static zeros(n) {
+        return Array.from({ length: n }, () => new Array(n).fill(0));
+    }
+
+    static identity(n) {
+        const m = PoseEKF.zeros(n);
+        for (let i = 0; i < n; i++) m[i][i] = 1;
+        return m;
+    }
+
+    static diag(values) {
+        const m = PoseEKF.zeros(values.length);
+        values.forEach((v, i) => m[i][i] = v);
+        return m;
+    }
+
+    static mul(a, b) {
+        return a.map(row => b[0].map((_, j) => row.reduce((sum, v, k) => sum + v * b[k][j], 0)));
+    }
+
+    static add(a, b) {
+        return a.map((row, i) => row.map((v, j) => v + b[i][j]));
+    }
+
+    static transpose(a) {
+        return a[0].map((_, j) => a.map(row => row[j]));
+    }
+}
@@ -0,0 +1,223 @@
+// Keypoints for the SLAM pipeline: FAST-9 corners + ORB-style rotated BRIEF descriptors.
+// Operates on plain ImageData so it runs headless (no canvas / WebGL needed).
+
+// Bresenham circle of radius 3 used by FAST
+const FAST_CIRCLE = [
+    [0, -3], [1, -3], [2, -2], [3, -1], [3, 0], [3, 1], [2, 2], [1, 3],
+    [0, 3], [-1, 3], [-2, 2], [-3, 1], [-3, 0], [-3, -1], [-2, -2], [-1, -3]
+];
+
+class FeatureDetector {
+    constructor(options = {}) {
+        this.threshold = options.threshold || 20; // intensity difference for FAST
+        this.arcLength = options.arcLength || 9; // FAST-9
+        this.maxFeatures = options.maxFeatures || 200;
+        this.downscale = options.downscale !== undefined ? options.downscale : 1; // halvings before detection
+        this.patchRadius = 15; // 31x31 patch, as in ORB
+        this.descriptorBits = 256;
+        this.pattern = FeatureDetector.buildPattern(this.descriptorBits, this.patchRadius, options.seed || 42);
+    }
+
+    // Returns [{ x, y, score, angle, descriptor: Uint32Array(8) }] in input image coordinates
+    detectAndCompute(imageData) {
+        let gray = imageData.data instanceof Float32Array ? imageData : ImageOps.toGrayscale(imageData);
+        for (let i = 0; i < this.downscale; i++) gray = ImageOps.downsample(gray);
+        const factor = 1 << this.downscale;
+
+        const corners = this.detect(gray);
+        const smooth = ImageOps.boxBlur(gray, 2); // BRIEF tests are noise-sensitive
+
+        return corners.map(c => {
+            const angle = this.orientation(gray, c.x, c.y);
+            return {
+                x: c.x * factor,
+                y: c.y * factor,
+                score: c.score,
+                angle,
+                descriptor: this.describe(smooth, c.x, c.y, angle)
+            };
+        });
+    }
+
+    // FAST-9 with 3x3 non-maximum suppression on the corner score
+    detect(gray) {
+        const { width, height, data } = gray;
+        const border = this.patchRadius + 1;
+        const scores = new Float32Array(width * height);
+        const t = this.threshold;
+
+        for (let y = border; y < height - border; y++) {
+            for (let x = border; x < width - border; x++) {
+                const c = data[y * width + x];
+
+                // High-speed test on compass points: any 9-arc covers at least 2 of them
+                let bright = 0, dark = 0;
+                for (let k = 0; k < 16; k += 4) {
+                    const v = data[(y + FAST_CIRCLE[k][1]) * width + x + FAST_CIRCLE[k][0]];
+                    if (v > c + t) bright++;
+                    else if (v < c - t) dark++;
+                }
+                if (bright < 2 && dark < 2) continue;
+
+                scores[y * width + x] = this.cornerScore(data, width, x, y, c);
+            }
+        }
+
+        const corners = [];
+        for (let y = border; y < height - border; y++) {
+            for (let x = border; x < width - border; x++) {
+                const s = scores[y * width + x];
+                if (s <= 0) continue;
+                let isMax = true;
+                for (let v = -1; v <= 1 && isMax; v++) {
+                    for (let u = -1; u <= 1; u++) {
+                        if ((u || v) && scores[(y + v) * width + x + u] > s) { isMax = false; break; }
+                    }
+                }
+                if (isMax) corners.push({ x, y, score: s });
+            }
+        }
+
+        corners.sort((a, b) => b.score - a.score);
+        return corners.slice(0, this.maxFeatures);
+    }
+
+    // 0 if no contiguous arc of `arcLength` pixels is all brighter or all darker,
+    // else the sum of absolute differences over the arc pixels (higher = stronger)
+    cornerScore(data, width, x, y, c) {
+        const t = this.threshold;
+        const diffs = new Array(16);
+        for (let k = 0; k < 16; k++) {
+            diffs[k] = data[(y + FAST_CIRCLE[k][1]) * width + x + FAST_CIRCLE[k][0]] - c;
+        }
+
+        let best = 0;
+        for (const sign of [1, -1]) {
+            let run = 0, sum = 0;
+            // Walk the circle twice so arcs can wrap around
+            for (let k = 0; k < 32; k++) {
+                const d = sign * diffs[k & 15];
+                if (d > t) {
+                    run++;
+                    sum += d - t;
+                    if (run >= this.arcLength && sum > best) best = sum;
+                    if (run >= 16) break;
+                } else {
+                    run = 0;
+                    sum = 0;
+                }
+            }
+        }
+        return best;
+    }
+
+    // Intensity-centroid orientation over a circular patch
+    orientation(gray, x, y) {
+        const { width, data } = gray;
+        const r = this.patchRadius;
+        let m01 = 0, m10 = 0;
+        for (let v = -r; v <= r; v++) {
+            const span = Math.floor(Math.sqrt(r * r - v * v));
+            const row = (y + v) * width + x;
+            for (let u = -span; u <= span; u++) {
+                const val = data[row + u];
+                m10 += u * val;
+                m01 += v * val;
+            }
+        }
+        return Math.atan2(m01, m10);
+    }
+
+    // Steered BRIEF: rotate the sampling pattern by the keypoint angle
+    describe(smooth, x, y, angle) {
+        const { width, height, data } = smooth;
+        const desc = new Uint32Array(this.descriptorBits / 32);
+        const cos = Math.cos(angle), sin = Math.sin(angle);
+        const at = (px, py) => {
+            const rx = Math.round(x + cos * px - sin * py);
+            const ry = Math.round(y + sin * px + cos * py);
+            if (rx < 0 || ry < 0 || rx >= width || ry >= height) return 0;
+            return data[ry * width + rx];
+        };
+
+        for (let b = 0; b < this.descriptorBits; b++) {
+            const [x1, y1, x2, y2] = this.pattern[b];
+            if (at(x1, y1) < at(x2, y2)) desc[b >> 5] |= 1 << (b & 31);
+        }
+        return desc;
+    }
+
+    // Deterministic Gaussian-distributed point pairs inside the patch circle
+    static buildPattern(bits, radius, seed) {
+        const rng = new SeededRandom(seed);
+        const sigma = radius / 2.5;
+        const gauss = () => {
+            // Box-Muller
+            const u = Math.max(rng.next(), 1e-9), v = rng.next();
+            return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v) * sigma;
+        };
+        const point = () => {
+            let px, py;
+            do {
+                px = Math.round(gauss());
+                py = Math.round(gauss());
+            } while (px * px + py * py > radius * radius);
+            return [px, py];
+        };
+
+        const pattern = [];
+        for (let i = 0; i < bits; i++) pattern.push([...point(), ...point()]);
+        return pattern;
+    }
+}
+
+class FeatureMatcher {
+    constructor(options = {}) {
+        this.ratio = options.ratio || 0.8; // Lowe's ratio test
+        this.maxDistance = options.maxDistance || 64; // bits out of 256
+        this.crossCheck = options.crossCheck !== undefined ? options.crossCheck : true;
+    }
+
+    // Returns [{ queryIndex, trainIndex, distance }]
+    match(query, train) {
+        if (!query.length || !train.length) return [];
+
+        const forward = query.map(q => this.bestTwo(q.descriptor, train));
+        const backward = this.crossCheck ? train.map(t => this.bestTwo(t.descriptor, query)) : null;
+
+        const matches = [];
+        forward.forEach((m, queryIndex) => {
+            if (m.best < 0 || m.d1 > this.maxDistance) return;
+            if (m.second >= 0 && m.d1 >= this.ratio * m.d2) return;
+            if (backward && backward[m.best].best !== queryIndex) return;
+            matches.push({ queryIndex, trainIndex: m.best, distance: m.d1 });
+        });
+        return matches;
+    }
+
+    bestTwo(desc, candidates) {
+        let best = -1, second = -1, d1 = Infinity, d2 = Infinity;
+        for (let i = 0; i < candidates.length; i++) {
+            const d = FeatureMatcher.hamming(desc, candidates[i].descriptor);
+            if (d < d1) {
+                second = best; d2 = d1;
+                best = i; d1 = d;
+            } else if (d < d2) {
+                second = i; d2 = d;
+            }
+        }
+        return { best, second, d1, d2 };
+    }
+
+    static hamming(a, b) {
+        let dist = 0;
+        for (let i = 0; i < a.length; i++) dist += FeatureMatcher.popcount(a[i] ^ b[i]);
+        return dist;
+    }
+
+    static popcount(v) {
+        v = v - ((v >>> 1) & 0x55555555);
+        v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+        return (((v + (v >>> 4)) & 0x0F0F0F0F) * 0x01010101) >>> 24;
+    }
+}
@@ -0,0 +1,484 @@
+// Indoor map model: walls, rooms, doors and points of interest of one floor, in metres.
+// Geometry is kept in the map's own frame (x right / east, y up / north) and an
+// alignment places it in the odometry frame: rotated clockwise by `rotation` (rad,
+// same sense as the heading) then shifted by (x, y). Aligned copies are exposed as
+// walls / rooms / doors / pois / bounds, the shape NavigationSimulator also uses.
+// `landmarks` is the registry of things the camera can recognise (exit signs, doors,
+// elevators, stairs) used for relocalisation, see LandmarkRelocalizer.
+class FloorPlan {
+    constructor(data = {}) {
+        this.id = data.id || `map-${Date.now().toString(36)}-${Math.floor(Math.random() * 1e4)}`;
+        this.name = data.name || 'Untitled Map';
+        this.level = data.level || 0;
+        this.source = data.source || null; // 'geojson' | 'svg'
+        this.updatedAt = data.updatedAt || new Date().toISOString();
+
+        const g = data.geometry || {};
+        this.geometry = {
+            walls: g.walls || [], // { x1, y1, x2, y2 }
+            rooms: g.rooms || [], // { id, name, category, polygon: [{ x, y }] }
+            doors: g.doors || [], // { x, y, width }
+            pois: g.pois || [], // { id, name, category, aliases, x, y }
+            landmarks: g.landmarks || [] // { id, type, x, y, name? }, see FloorPlan.landmarkType
+        };
+        this.alignment = { rotation: 0, x: 0, y: 0, ...(data.alignment || {}) };
+        this.applyAlignment();
+    }
+
+    // Map point -> odometry frame
+    toOdometry(p) {
+        const { rotation, x, y } = this.alignment;
+        const s = Math.sin(rotation), c = Math.cos(rotation);
+        return { x: x + p.x * c + p.y * s, y: y - p.x * s + p.y * c };
+    }
+
+    // Odometry point -> map frame
+    toMap(p) {
+        const { rotation, x, y } = this.alignment;
+        const s = Math.sin(rotation), c = Math.cos(rotation);
+        const dx = p.x - x, dy = p.y - y;
+        return { x: dx * c - dy * s, y: dx * s + dy * c };
+    }
+
+    // The user stands at mapPoint facing mapHeading (rad, clockwise from map north)
+    // while odometry reads `pose`: solve the alignment from that correspondence.
+    alignTo(mapPoint, mapHeading, pose) {
+        const rotation = SE2.wrap(pose.heading - mapHeading);
+        const s = Math.sin(rotation), c = Math.cos(rotation);
+        this.alignment = {
+            rotation,
+            x: pose.x - (mapPoint.x * c + mapPoint.y * s),
+            y: pose.y - (-mapPoint.x * s + mapPoint.y * c)
+        };
+        this.updatedAt = new Date().toISOString();
+        this.applyAlignment();
+    }
+
+    // The odometry frame was turned about its origin by angle (north alignment): keep the
+    // map where it was relative to the user
+    reframe(angle) {
+        const { x, y } = SE2.rotate(this.alignment, angle);
+        this.alignment = { rotation: SE2.wrap(this.alignment.rotation + angle), x, y };
+        this.applyAlignment();
+    }
+
+    applyAlignment() {
+        const g = this.geometry;
+        this.walls = g.walls.map(w => {
+            const a = this.toOdometry({ x: w.x1, y: w.y1 });
+            const b = this.toOdometry({ x: w.x2, y: w.y2 });
+            return { x1: a.x, y1: a.y, x2: b.x, y2: b.y };
+        });
+        this.rooms = g.rooms.map(r => ({ ...r, polygon: r.polygon.map(p => this.toOdometry(p)) }));
+        this.doors = g.doors.map(d => ({ ...d, ...this.toOdometry(d) }));
+        this.pois = g.pois.map(p => ({ ...p, ...this.toOdometry(p) }));
+        this.landmarks = this.buildLandmarks();
+        this.bounds = FloorPlan.boundsOf(this.walls, this.rooms, this.pois);
+    }
+
+    static boundsOf(walls, rooms, pois) {
+        const xs = [], ys = [];
+        walls.forEach(w => { xs.push(w.x1, w.x2); ys.push(w.y1, w.y2); });
+        rooms.forEach(r => r.polygon.forEach(p => { xs.push(p.x); ys.push(p.y); }));
+        pois.forEach(p => { xs.push(p.x); ys.push(p.y); });
+        if (!xs.length) return { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+        return { minX: Math.min(...xs), minY: Math.min(...ys), maxX: Math.max(...xs), maxY: Math.max(...ys) };
+    }
+
+    // Explicit landmarks plus the recognisable features the map already has:
+    // every door, and exit / elevator / stairs POIs
+    buildLandmarks() {
+        const landmarks = [];
+        this.geometry.landmarks.forEach((l, i) => {
+            const type = FloorPlan.landmarkType(l.type);
+            if (type) landmarks.push({ id: l.id || `landmark-${i}`, type, name: l.name || null, ...this.toOdometry(l) });
+        });
+        this.doors.forEach((d, i) => landmarks.push({ id: `door-${i}`, type: 'door', x: d.x, y: d.y }));
+        this.pois.forEach(p => {
+            const type = FloorPlan.landmarkType(p.category);
+            if (type && type !== 'door') landmarks.push({ id: p.id, type, x: p.x, y: p.y });
+        });
+        return landmarks;
+    }
+
+    landmarksOf(type) {
+        return this.landmarks.filter(l => l.type === type);
+    }
+
+    // Landmark type of a map category or detector class ("Exit_Sign", "lift",
+    // IMDF "stairs.escalator"): 'exit sign' | 'room sign' | 'door' | 'elevator' | 'stairs' |
+    // null. A room sign names a place, matched by the text it carries (its name)
+    static landmarkType(raw) {
+        const value = String(raw || '').toLowerCase().split('.')[0].replace(/[_-]/g, ' ').trim();
+        if (/^(exit|exit sign|emergency exit|fire exit|way out)$/.test(value)) return 'exit sign';
+        if (/^(room sign|door sign|name sign|text sign)$/.test(value)) return 'room sign';
+        if (/^(doors?|doorway)$/.test(value)) return 'door';
+        if (/^(elevators?|lifts?)$/.test(value)) return 'elevator';
+        if (/^(stairs?|stairway|staircase|stairwell|escalator)$/.test(value)) return 'stairs';
+        return null;
+    }
+
+    // Room containing an odometry-frame point, or null
+    roomAt(p) {
+        return this.rooms.find(r => FloorPlan.pointInPolygon(p, r.polygon)) || null;
+    }
+
+    static pointInPolygon(p, polygon) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i], b = polygon[j];
+            if ((a.y > p.y) !== (b.y > p.y) && p.x < (b.x - a.x) * (p.y - a.y) / (b.y - a.y) + a.x) inside = !inside;
+        }
+        return inside;
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            level: this.level,
+            source: this.source,
+            updatedAt: this.updatedAt,
+            geometry: this.geometry,
+            alignment: this.alignment
+        };
+    }
+
+    static fromJSON(json) {
+        return new FloorPlan(json);
+    }
+}
+
+// GeoJSON / SVG -> FloorPlan geometry in metres
+class FloorPlanImporter {
+    // Feature kind from its properties (plain, IMDF-style feature_type, or category)
+    static kindOf(props = {}) {
+        const type = String(props.type || props.feature_type || props.kind || '').toLowerCase();
+        if (/^(walls?|level|building|footprint)$/.test(type)) return 'wall'; // outlines bound the floor
+        if (/^(rooms?|unit|space|corridor|hallway)$/.test(type)) return 'room';
+        if (/^(doors?|opening)$/.test(type)) return 'door';
+        if (/^(pois?|amenity|anchor|point)$/.test(type)) return 'poi';
+        if (/^(landmarks?|signs?|exit[_ ]sign)$/.test(type)) return 'landmark';
+        return null;
+    }
+
+    // options: { name, scale (metres per unit, local coordinates), geographic (force lon/lat) }
+    static fromGeoJSON(input, options = {}) {
+        const json = typeof input === 'string' ? JSON.parse(input) : input;
+        const features = json.type === 'FeatureCollection' ? json.features : [json];
+        const meta = json.properties || {};
+        const project = FloorPlanImporter.projection(features, { scale: meta.scale, ...options });
+
+        const geometry = { walls: [], rooms: [], doors: [], pois: [], landmarks: [] };
+        features.forEach((f, i) => {
+            if (!f || !f.geometry) return;
+            const props = f.properties || {};
+            const { type, coordinates } = f.geometry;
+            const kind = FloorPlanImporter.kindOf(props);
+            const label = props.name || props.label || null;
+            // IMDF names are localised objects: { en: "Reception" }
+            const name = label && typeof label === 'object' ? (label.en || Object.values(label)[0]) : label;
+            const id = String(f.id || props.id || `f${i}`);
+
+            const lines = type === 'LineString' ? [coordinates]
+                : type === 'MultiLineString' ? coordinates
+                    : type === 'Polygon' ? coordinates
+                        : type === 'MultiPolygon' ? coordinates.flat() : [];
+            const points = type === 'Point' ? [coordinates] : type === 'MultiPoint' ? coordinates : [];
+
+            if (points.length) {
+                points.forEach((c, k) => {
+                    const p = project(c);
+                    if (kind === 'door') geometry.doors.push({ ...p, width: props.width || 0.9 });
+                    else if (kind === 'landmark') geometry.landmarks.push(FloorPlanImporter.landmark(`${id}${k ? '-' + k : ''}`, props.landmark || props.category || props.type, p, name));
+                    else if (kind === 'poi' || (!kind && name)) {
+                        geometry.pois.push(FloorPlanImporter.poi(`${id}${k ? '-' + k : ''}`, name, props, p));
+                    }
+                });
+                return;
+            }
+
+            const polylines = lines.map(line => line.map(project));
+            if (kind === 'door') {
+                // A door drawn as a line across the opening
+                const line = polylines[0];
+                const a = line[0], b = line[line.length - 1];
+                geometry.doors.push({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, width: Math.hypot(b.x - a.x, b.y - a.y) || 0.9 });
+            } else if (kind === 'room' || (!kind && type.endsWith('Polygon'))) {
+                const polygon = polylines[0].slice(0, -1); // GeoJSON rings repeat the first point
+                geometry.rooms.push({ id, name, category: props.category || 'room', polygon });
+            } else if (kind === 'wall' || !kind) {
+                polylines.forEach(line => FloorPlanImporter.addPolyline(geometry.walls, line));
+            }
+        });
+
+        return FloorPlanImporter.finish(geometry, { name: options.name || meta.name, level: meta.level, source: 'geojson' });
+    }
+
+    // Geographic (lon / lat) coordinates are projected to metres around their centre;
+    // anything else is taken as local units times `scale`.
+    static projection(features, options) {
+        const coords = [];
+        const collect = (c) => Array.isArray(c[0]) ? c.forEach(collect) : coords.push(c);
+        features.forEach(f => f && f.geometry && collect(f.geometry.coordinates));
+
+        const lons = coords.map(c => c[0]), lats = coords.map(c => c[1]);
+        const spanLon = Math.max(...lons) - Math.min(...lons);
+        const spanLat = Math.max(...lats) - Math.min(...lats);
+        // A building spans well under 0.01 degrees; local plans in metres span far more
+        const geographic = options.geographic !== undefined ? options.geographic
+            : coords.length > 0 && lons.every(v => Math.abs(v) <= 180) && lats.every(v => Math.abs(v) <= 90) &&
+            spanLon + spanLat > 0 && spanLon < 0.01 && spanLat < 0.01;
+
+        if (geographic) {
+            const lon0 = (Math.max(...lons) + Math.min(...lons)) / 2;
+            const lat0 = (Math.max(...lats) + Math.min(...lats)) / 2;
+            const mx = 111320 * Math.cos(lat0 * Math.PI / 180), my = 110540;
+            return (c) => ({ x: (c[0] - lon0) * mx, y: (c[1] - lat0) * my });
+        }
+        const scale = options.scale || 1;
+        return (c) => ({ x: c[0] * scale, y: c[1] * scale });
+    }
+
+    // options: { name, scale (metres per SVG unit; defaults to the root's data-scale, else 0.05) }
+    // Elements are classified by their own or an ancestor's class / id / data-type:
+    // wall(s), room(s), door(s), poi(s), landmark(s) / sign(s). SVG y points down, so it is flipped.
+    static fromSVG(text, options = {}) {
+        const doc = new DOMParser().parseFromString(text, 'image/svg+xml');
+        const svg = doc.documentElement;
+        if (!svg || svg.nodeName.toLowerCase() !== 'svg') throw new Error("Not an SVG document");
+
+        const scale = options.scale || parseFloat(svg.getAttribute('data-scale')) || 0.05;
+        const pt = (x, y) => ({ x: x * scale, y: -y * scale });
+        const num = (el, attr) => parseFloat(el.getAttribute(attr)) || 0;
+
+        const geometry = { walls: [], rooms: [], doors: [], pois: [], landmarks: [] };
+        const elements = svg.querySelectorAll('line, polyline, polygon, rect, path, circle, ellipse, text');
+        elements.forEach((el, i) => {
+            const kind = FloorPlanImporter.svgKind(el);
+            if (!kind) return;
+            const tag = el.nodeName.toLowerCase();
+            const id = el.getAttribute('id') || `e${i}`;
+            const name = el.getAttribute('data-name') || (tag === 'text' ? el.textContent.trim() : null) ||
+                (el.querySelector('title') ? el.querySelector('title').textContent.trim() : null);
+
+            if (tag === 'circle' || tag === 'ellipse' || tag === 'text') {
+                const p = tag === 'text' ? pt(num(el, 'x'), num(el, 'y')) : pt(num(el, 'cx'), num(el, 'cy'));
+                if (kind === 'door') geometry.doors.push({ ...p, width: num(el, 'data-width') || 0.9 }); // metres
+                else if (kind === 'poi') geometry.pois.push(FloorPlanImporter.poi(id, name, FloorPlanImporter.dataset(el), p));
+                else if (kind === 'landmark') geometry.landmarks.push(FloorPlanImporter.landmark(id, el.getAttribute('data-landmark') || el.getAttribute('data-category') || 'exit sign', p, name));
+                return;
+            }
+
+            let points, closed = false;
+            if (tag === 'line') {
+                points = [pt(num(el, 'x1'), num(el, 'y1')), pt(num(el, 'x2'), num(el, 'y2'))];
+            } else if (tag === 'rect') {
+                const x = num(el, 'x'), y = num(el, 'y'), w = num(el, 'width'), h = num(el, 'height');
+                points = [pt(x, y), pt(x + w, y), pt(x + w, y + h), pt(x, y + h)];
+                closed = true;
+            } else if (tag === 'path') {
+                const parsed = FloorPlanImporter.parsePath(el.getAttribute('d') || '');
+                points = parsed.points.map(p => pt(p.x, p.y));
+                closed = parsed.closed;
+            } else {
+                const values = (el.getAttribute('points') || '').trim().split(/[\s,]+/).map(parseFloat);
+                points = [];
+                for (let k = 0; k + 1 < values.length; k += 2) points.push(pt(values[k], values[k + 1]));
+                closed = tag === 'polygon';
+            }
+            if (points.length < 2) return;
+
+            if (kind === 'door') {
+                // Door: the opening is the longest side of the shape
+                let best = null;
+                for (let k = 0; k + 1 < points.length; k++) {
+                    const len = Math.hypot(points[k + 1].x - points[k].x, points[k + 1].y - points[k].y);
+                    if (!best || len > best.len) best = { len, a: points[k], b: points[k + 1] };
+                }
+                geometry.doors.push({ x: (best.a.x + best.b.x) / 2, y: (best.a.y + best.b.y) / 2, width: best.len });
+            } else if (kind === 'room') {
+                geometry.rooms.push({ id, name, category: el.getAttribute('data-category') || 'room', polygon: points });
+            } else if (kind === 'poi') {
+                const c = points.reduce((s, p) => ({ x: s.x + p.x / points.length, y: s.y + p.y / points.length }), { x: 0, y: 0 });
+                geometry.pois.push(FloorPlanImporter.poi(id, name, FloorPlanImporter.dataset(el), c));
+            } else {
+                FloorPlanImporter.addPolyline(geometry.walls, closed ? [...points, points[0]] : points);
+            }
+        });
+
+        return FloorPlanImporter.finish(geometry, { name: options.name || svg.getAttribute('data-name'), source: 'svg' });
+    }
+
+    static svgKind(el) {
+        for (let node = el; node && node.getAttribute; node = node.parentNode) {
+            const label = `${node.getAttribute('data-type') || ''} ${node.getAttribute('class') || ''} ${node.getAttribute('id') || ''}`;
+            const kind = label.trim().split(/\s+/).map(t => FloorPlanImporter.kindOf({ type: t })).find(k => k);
+            if (kind) return kind;
+        }
+        return null;
+    }
+
+    static dataset(el) {
+        return {
+            category: el.getAttribute('data-category'),
+            aliases: el.getAttribute('data-aliases')
+        };
+    }
+
+    // Absolute / relative M, L, H, V and Z. Curves are reduced to their end points.
+    static parsePath(d) {
+        const tokens = d.match(/[a-zA-Z]|-?\d*\.?\d+(?:e[-+]?\d+)?/g) || [];
+        const points = [];
+        let cmd = null, x = 0, y = 0, closed = false, i = 0;
+        const argCount = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+
+        while (i < tokens.length) {
+            if (/[a-zA-Z]/.test(tokens[i])) cmd = tokens[i++];
+            if (!cmd) break;
+            const upper = cmd.toUpperCase();
+            const rel = cmd !== upper;
+            if (upper === 'Z') { closed = true; cmd = null; continue; }
+
+            const args = tokens.slice(i, i + argCount[upper]).map(parseFloat);
+            if (args.length < argCount[upper] || args.some(isNaN)) break;
+            i += argCount[upper];
+
+            if (upper === 'H') x = rel ? x + args[0] : args[0];
+            else if (upper === 'V') y = rel ? y + args[0] : args[0];
+            else {
+                const ex = args[args.length - 2], ey = args[args.length - 1];
+                x = rel ? x + ex : ex;
+                y = rel ? y + ey : ey;
+            }
+            points.push({ x, y });
+            if (upper === 'M') cmd = rel ? 'l' : 'L'; // further pairs after M are line-tos
+        }
+        return { points, closed };
+    }
+
+    static poi(id, name, props, p) {
+        const aliases = Array.isArray(props.aliases) ? props.aliases
+            : (props.aliases ? String(props.aliases).split(',').map(a => a.trim()).filter(Boolean) : []);
+        return { id, name: name || id, category: props.category || props.amenity || 'poi', aliases, x: p.x, y: p.y };
+    }
+
+    // A bare "sign" is taken to be an exit sign, the kind every building has, unless it is
+    // named after something else ("Room 204"): then it is a room sign
+    static landmark(id, type, p, name = null) {
+        const named = name && !FloorPlan.landmarkType(name) ? 'room sign' : 'exit sign';
+        return { id, type: FloorPlan.landmarkType(type) || named, name, x: p.x, y: p.y };
+    }
+
+    static addPolyline(walls, points) {
+        for (let k = 0; k + 1 < points.length; k++) {
+            const a = points[k], b = points[k + 1];
+            if (a.x !== b.x || a.y !== b.y) walls.push({ x1: a.x, y1: a.y, x2: b.x, y2: b.y });
+        }
+    }
+
+    // Without explicit walls, room outlines are the walls; doors then cut openings into them
+    static finish(geometry, meta) {
+        if (!geometry.walls.length) {
+            geometry.rooms.forEach(r => FloorPlanImporter.addPolyline(geometry.walls, [...r.polygon, r.polygon[0]]));
+        }
+        geometry.walls = FloorPlanImporter.cutDoors(geometry.walls, geometry.doors);
+        return new FloorPlan({ ...meta, geometry });
+    }
+
+    static cutDoors(walls, doors, tolerance = 0.25) {
+        let result = walls;
+        for (const door of doors) {
+            const next = [];
+            for (const w of result) {
+                const a = { x: w.x1, y: w.y1 }, b = { x: w.x2, y: w.y2 };
+                const len = Math.hypot(b.x - a.x, b.y - a.y);
+                if (!len || Segment2D.distanceToPoint(door, a, b) > tolerance) {
+                    next.push(w);
+                    continue;
+                }
+                const t = ((door.x - a.x) * (b.x - a.x) + (door.y - a.y) * (b.y - a.y)) / (len * len);
+                const half = (door.width || 0.9) / 2 / len;
+                const lerp = (u) => ({ x: a.x + u * (b.x - a.x), y: a.y + u * (b.y - a.y) });
+                const minPiece = 0.05 / len;
+                if (t - half > minPiece) {
+                    const e = lerp(t - half);
+                    next.push({ x1: a.x, y1: a.y, x2: e.x, y2: e.y });
+                }
+                if (1 - (t + half) > minPiece) {
+                    const s = lerp(t + half);
+                    next.push({ x1: s.x, y1: s.y, x2: b.x, y2: b.y });
+                }
+            }
+            result = next;
+        }
+        return result;
+    }
+}
+
+// Floor plans persisted in IndexedDB, plus which one is active
+class MapStore {
+    constructor(dbName = 'indoor-nav-maps') {
+        this.dbName = dbName;
+        this.db = null;
+    }
+
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+        return new Promise((resolve, reject) => {
+            const req = indexedDB.open(this.dbName, 1);
+            req.onupgradeneeded = () => {
+                const db = req.result;
+                if (!db.objectStoreNames.contains('maps')) db.createObjectStore('maps', { keyPath: 'id' });
+                if (!db.objectStoreNames.contains('settings')) db.createObjectStore('settings');
+            };
+            req.onsuccess = () => resolve(this.db = req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    async transaction(storeName, mode, fn) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const req = fn(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(req ? req.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            // Quota exceeded and similar failures abort the transaction without an error event
+            tx.onabort = () => reject(tx.error || new Error(`Transaction on ${storeName} aborted`));
+        });
+    }
+
+    // Most recently updated first
+    async list() {
+        const all = await this.transaction('maps', 'readonly', store => store.getAll());
+        return (all || []).map(m => FloorPlan.fromJSON(m)).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    async get(id) {
+        const json = await this.transaction('maps', 'readonly', store => store.get(id));
+        return json ? FloorPlan.fromJSON(json) : null;
+    }
+
+    save(plan) {
+        return this.transaction('maps', 'readwrite', store => store.put(plan.toJSON()));
+    }
+
+    async remove(id) {
+        await this.transaction('maps', 'readwrite', store => store.delete(id));
+        if (await this.getActiveId() === id) await this.setActiveId(null);
+    }
+
+    getActiveId() {
+        return this.transaction('settings', 'readonly', store => store.get('activeMap'));
+    }
+
+    setActiveId(id) {
+        return this.transaction('settings', 'readwrite', store => store.put(id, 'activeMap'));
+    }
+
+    async getActive() {
+        const id = await this.getActiveId();
+        return id ? this.get(id) : null;
+    }
+}
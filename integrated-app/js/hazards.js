@@ -0,0 +1,237 @@
+// Floor hazards ahead: descending stairs, ascending stairs and drop-offs, from the low-res
+// gray frame of the visual odometry. In the central part of the frame:
+//   floor:  a floor model (intensity of the patch at the user's feet) is grown upwards to
+//           find where the walkable surface ends; tile lines before it are ignored
+//   lines:  in a band just past that edge, rows where horizontal edges span most of the
+//           walking corridor
+//   shape:  each line row is projected onto the floor plane with the camera pitch. Treads
+//           below the floor's level project too close, so descending nosings pile up with
+//           gaps well under a tread depth; risers stand above it and spread out.
+//   depth:  a bare edge looks the same as the foot of a wall in a single frame, but not
+//           while walking: past the foot of a wall the flow says the same depth as the
+//           floor before it, past a drop-off the lower floor is much further away.
+//
+// Model interface (optional): predict(frame) -> { label, score } or a Promise of it, e.g.
+// a TF.js classifier over the frame. Labels like 'stairs_down', 'drop-off', 'ledge' or
+// 'stairs up' are mapped with HazardDetector.hazardType; a pending result is used on a
+// later frame.
+class HazardDetector {
+    constructor(options = {}) {
+        this.range = options.range || null; // RangeEstimator: pitch, focal, camera height
+        this.model = options.model || null;
+        this.modelThreshold = options.modelThreshold || 0.6;
+        this.corridor = options.corridor || 0.5; // fraction of the width searched, centred
+        this.lineSpan = options.lineSpan || 0.6; // fraction of the corridor a line must cross
+        this.edgeThreshold = options.edgeThreshold || 6; // vertical gradient, gray levels per px
+        this.minLines = options.minLines || 3;
+        this.maxDistance = options.maxDistance || 4; // m, floor edges further out are too coarse to judge
+        this.maxTread = options.maxTread || 0.2; // m, projected gap between descending nosings
+        this.beyondEdge = options.beyondEdge || 0.15; // fraction of the height searched past the floor's end
+        this.dropRatio = options.dropRatio || 0.65; // inverse depth past the edge vs before it, below = drop-off
+        this.minFlowPoints = options.minFlowPoints || 4; // tracked points needed on each side of the edge
+        this.persistence = options.persistence || 3; // frames in a row before an alert
+        this.rearm = options.rearm || 5000; // ms without the hazard before it is announced again
+
+        this.lastFloorEnd = null; // m to where the floor region ends, for model alerts
+        this.candidate = null; // { type, count, missed }
+        this.lastSeen = {}; // type -> timestamp of the last frame showing it
+        this.alerted = {}; // type -> true until re-armed
+        this.modelResult = null;
+        this.modelBusy = false;
+    }
+
+    reset() {
+        this.candidate = null;
+        this.lastSeen = {};
+        this.alerted = {};
+        this.modelResult = null;
+    }
+
+    // Model label -> 'stairs-down' | 'stairs-up' | 'drop-off' | null
+    static hazardType(label) {
+        const name = String(label || '').toLowerCase();
+        if (/stair.*down|down.*stair|descend/.test(name)) return 'stairs-down';
+        if (/stair.*up|up.*stair|ascend/.test(name)) return 'stairs-up';
+        if (/drop|edge|ledge|cliff|platform/.test(name)) return 'drop-off';
+        return null;
+    }
+
+    // frame: ImageData or gray image at the VO resolution. context: { videoWidth,
+    // videoHeight, timestamp, flow (LucasKanadeTracker result on that frame) }.
+    // -> { type, distance (m or null), source } once per approach to a hazard, otherwise null
+    update(frame, context = {}) {
+        const now = context.timestamp || Date.now();
+        const gray = frame.data instanceof Float32Array ? frame : ImageOps.toGrayscale(frame);
+
+        const geometry = this.analyse(gray, context);
+        const found = this.fromModel(frame) || geometry;
+        if (found) this.lastSeen[found.type] = now;
+        for (const type of Object.keys(this.alerted)) {
+            if (now - this.lastSeen[type] > this.rearm) delete this.alerted[type];
+        }
+
+        // One frame without it (noise, a shake) does not break the run
+        if (!found) {
+            if (this.candidate && ++this.candidate.missed > 1) this.candidate = null;
+            return null;
+        }
+        this.candidate = this.candidate && this.candidate.type === found.type
+            ? { type: found.type, count: this.candidate.count + 1, missed: 0 }
+            : { type: found.type, count: 1, missed: 0 };
+        if (this.candidate.count < this.persistence || this.alerted[found.type]) return null;
+        this.alerted[found.type] = true;
+        return found;
+    }
+
+    // Latest model verdict above the threshold; a new prediction is started when none is running
+    fromModel(frame) {
+        if (!this.model) return null;
+        if (!this.modelBusy) {
+            const result = this.model.predict(frame);
+            if (result && typeof result.then === 'function') {
+                this.modelBusy = true;
+                result
+                    .then(r => { this.modelResult = r; })
+                    .catch(e => console.warn("HazardDetector: model failed", e))
+                    .finally(() => { this.modelBusy = false; });
+            } else {
+                this.modelResult = result;
+            }
+        }
+        const r = this.modelResult;
+        const type = r && r.score >= this.modelThreshold ? HazardDetector.hazardType(r.label) : null;
+        return type ? { type, distance: this.lastFloorEnd, source: 'model' } : null;
+    }
+
+    // Geometric detection on one frame -> { type, distance, source, lines } or null
+    analyse(gray, context) {
+        const { width, height } = gray;
+        const blurred = ImageOps.boxBlur(gray, 1);
+        const x0 = Math.round(width * (1 - this.corridor) / 2);
+        const x1 = Math.round(width * (1 + this.corridor) / 2);
+
+        const floorEnd = this.floorBoundary(blurred, x0, x1);
+        const fy = this.focalRows(context, height);
+        const edgeDistance = fy && floorEnd > 0 ? this.range.groundDistance(floorEnd, height, fy) : null;
+        this.lastFloorEnd = edgeDistance;
+        if (edgeDistance === null || edgeDistance > this.maxDistance) return null;
+
+        // Only the band just past the floor's end: the edge itself and what lies beyond
+        const top = Math.max(1, floorEnd - Math.round(this.beyondEdge * height));
+        const lines = this.lineRows(blurred, x0, x1, top, Math.min(height - 2, floorEnd + 2))
+            .map(row => ({ row, distance: this.range.groundDistance(row, height, fy) }))
+            .filter(l => l.distance !== null);
+        const shape = this.classify(lines) || this.dropOff(context.flow, floorEnd, x0, x1, gray, fy);
+        return shape ? { type: shape, distance: edgeDistance, source: 'geometry', lines } : null;
+    }
+
+    // Motion parallax across the floor's end while walking forward. Flow about the focus
+    // of expansion e is (p - e) * t / Z, so |flow| / |p - e| goes with inverse depth.
+    // -> 'drop-off' when the points just past the edge are much further than those before it
+    dropOff(flow, edge, x0, x1, gray, fy) {
+        if (!flow || flow.motion !== 'forward') return null;
+        const band = Math.max(4, Math.round(this.beyondEdge * gray.height));
+        // Walking level: the focus of expansion is on the horizon, straight ahead
+        const ex = gray.width / 2, ey = gray.height / 2 - fy * Math.tan(this.range.pitch);
+
+        const before = [], beyond = [];
+        for (const v of flow.vectors) {
+            if (v.x < x0 || v.x >= x1) continue;
+            const r = Math.hypot(v.x - ex, v.y - ey);
+            if (r < 5) continue;
+            const inverseDepth = Math.hypot(v.dx, v.dy) / r;
+            if (v.y > edge && v.y <= edge + band) before.push(inverseDepth);
+            else if (v.y < edge - 1 && v.y >= edge - band) beyond.push(inverseDepth);
+        }
+        if (before.length < this.minFlowPoints || beyond.length < this.minFlowPoints) return null;
+        return HazardDetector.median(beyond) < this.dropRatio * HazardDetector.median(before) ? 'drop-off' : null;
+    }
+
+    static median(values) {
+        const sorted = values.slice().sort((a, b) => a - b);
+        return sorted[sorted.length >> 1];
+    }
+
+    // Vertical focal length in rows of the gray frame, null while the pitch is unknown
+    focalRows(context, height) {
+        if (!this.range || this.range.pitch === null || !context.videoWidth || !context.videoHeight) return null;
+        return this.range.profile.focal * context.videoWidth * height / context.videoHeight;
+    }
+
+    // Going up from the bottom, the first row where most of the corridor stops looking like
+    // the floor at the user's feet and mostly keeps doing so over the band beyond it (a
+    // grout line is a few rows with floor again past them); 0 when the floor reaches the top
+    floorBoundary(img, x0, x1) {
+        const { width, height, data } = img;
+        let sum = 0, sumSq = 0, n = 0;
+        for (let y = height - 8; y < height - 1; y++) {
+            for (let x = x0; x < x1; x++) {
+                const v = data[y * width + x];
+                sum += v;
+                sumSq += v * v;
+                n++;
+            }
+        }
+        const mean = sum / n;
+        const limit = Math.max(3 * Math.sqrt(Math.max(0, sumSq / n - mean * mean)), 20);
+
+        const off = new Uint8Array(height);
+        for (let y = 0; y < height - 8; y++) {
+            let count = 0;
+            for (let x = x0; x < x1; x++) {
+                if (Math.abs(data[y * width + x] - mean) > limit) count++;
+            }
+            off[y] = count > 0.6 * (x1 - x0) ? 1 : 0;
+        }
+
+        const band = Math.max(4, Math.round(this.beyondEdge * height));
+        for (let y = height - 9; y >= band; y--) {
+            if (!off[y] || !off[y - 1]) continue;
+            let count = 0;
+            for (let k = 0; k < band; k++) count += off[y - k];
+            if (count >= 0.4 * band) return y;
+        }
+        return 0;
+    }
+
+    // Rows between top and bottom (bottom first) where near-horizontal edges cross
+    // lineSpan of the corridor; one row per edge, at its strongest
+    lineRows(img, x0, x1, top, bottom) {
+        const { width } = img;
+        const { gx, gy } = ImageOps.gradients(img);
+        const strength = new Float32Array(img.height);
+        for (let y = top; y <= bottom; y++) {
+            let count = 0, sum = 0;
+            for (let x = x0; x < x1; x++) {
+                const i = y * width + x;
+                const g = Math.abs(gy[i]);
+                if (g > this.edgeThreshold && g > 2 * Math.abs(gx[i])) {
+                    count++;
+                    sum += g;
+                }
+            }
+            strength[y] = count >= this.lineSpan * (x1 - x0) ? sum : 0;
+        }
+
+        const rows = [];
+        for (let y = bottom; y >= top; y--) {
+            const s = strength[y];
+            if (s > 0 && s >= strength[y + 1] && s > (y > 0 ? strength[y - 1] : 0)) rows.push(y);
+        }
+        return rows;
+    }
+
+    // lines: the edge and beyond, near to far, with their floor-plane distances.
+    // Descending: a dense stack, every gap under a tread depth. Ascending: risers and
+    // treads, gaps of at least a tread that keep growing. -> type or null
+    classify(lines) {
+        if (lines.length < this.minLines) return null;
+        const run = lines.slice(0, this.minLines);
+        const gaps = run.slice(1).map((l, k) => l.distance - run[k].distance);
+        if (gaps.some(g => g <= 0)) return null;
+
+        if (gaps.every(g => g < this.maxTread)) return 'stairs-down';
+        if (gaps[0] >= this.maxTread && gaps.every((g, k) => k === 0 || g > gaps[k - 1])) return 'stairs-up';
+        return null;
+    }
+}
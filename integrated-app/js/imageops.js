@@ -0,0 +1,101 @@
+// Grayscale image helpers shared by the CPU vision pipeline.
+// A "gray image" is { width, height, data: Float32Array } with values 0-255.
+class ImageOps {
+    // Accepts RGBA ImageData (or any { width, height, data } with 4 channels)
+    static toGrayscale(imageData) {
+        const { width, height, data } = imageData;
+        const gray = new Float32Array(width * height);
+        for (let i = 0, j = 0; j < gray.length; i += 4, j++) {
+            // 0.299R + 0.587G + 0.114B
+            gray[j] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+        }
+        return { width, height, data: gray };
+    }
+
+    // Halve resolution with a 2x2 box filter
+    static downsample(img) {
+        const width = Math.max(1, img.width >> 1);
+        const height = Math.max(1, img.height >> 1);
+        const out = new Float32Array(width * height);
+        const src = img.data;
+        const w = img.width;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = (y * 2) * w + x * 2;
+                out[y * width + x] = (src[i] + src[i + 1] + src[i + w] + src[i + w + 1]) / 4;
+            }
+        }
+        return { width, height, data: out };
+    }
+
+    // Level 0 is the full-resolution image
+    static buildPyramid(img, levels) {
+        const pyramid = [img];
+        for (let l = 1; l < levels; l++) {
+            const prev = pyramid[l - 1];
+            if (prev.width < 16 || prev.height < 16) break;
+            pyramid.push(ImageOps.downsample(prev));
+        }
+        return pyramid;
+    }
+
+    // Central-difference gradients (borders are left at 0)
+    static gradients(img) {
+        const { width, height, data } = img;
+        const gx = new Float32Array(width * height);
+        const gy = new Float32Array(width * height);
+
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const i = y * width + x;
+                gx[i] = (data[i + 1] - data[i - 1]) / 2;
+                gy[i] = (data[i + width] - data[i - width]) / 2;
+            }
+        }
+        return { gx, gy };
+    }
+
+    // Separable box blur of radius r (edges clamp)
+    static boxBlur(img, r) {
+        const { width, height, data } = img;
+        const tmp = new Float32Array(width * height);
+        const out = new Float32Array(width * height);
+        const norm = 1 / (2 * r + 1);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let sum = 0;
+                for (let k = -r; k <= r; k++) {
+                    const xx = Math.min(width - 1, Math.max(0, x + k));
+                    sum += data[y * width + xx];
+                }
+                tmp[y * width + x] = sum * norm;
+            }
+        }
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let sum = 0;
+                for (let k = -r; k <= r; k++) {
+                    const yy = Math.min(height - 1, Math.max(0, y + k));
+                    sum += tmp[yy * width + x];
+                }
+                out[y * width + x] = sum * norm;
+            }
+        }
+        return { width, height, data: out };
+    }
+
+    // Bilinear sample of any single-channel buffer laid out like img
+    static sample(buffer, width, height, x, y) {
+        const x0 = Math.floor(x);
+        const y0 = Math.floor(y);
+        if (x0 < 0 || y0 < 0 || x0 >= width - 1 || y0 >= height - 1) return 0;
+
+        const ax = x - x0;
+        const ay = y - y0;
+        const i = y0 * width + x0;
+        return (1 - ay) * ((1 - ax) * buffer[i] + ax * buffer[i + 1]) +
+            ay * ((1 - ax) * buffer[i + width] + ax * buffer[i + width + 1]);
+    }
+}
@@ -0,0 +1,339 @@
+// Loop closure: bag-of-binary-words place recognition over keyframe descriptors,
+// with geometric verification and a relative SE(2) transform for the pose correction.
+
+// Hierarchical k-majority tree over 256-bit descriptors (DBoW2-style)
+class BinaryVocabulary {
+    constructor(options = {}) {
+        this.branching = options.branching || 8;
+        this.depth = options.depth || 3; // up to branching^depth words
+        this.iterations = options.iterations || 5;
+        this.rng = new SeededRandom(options.seed || 23);
+        this.nodes = []; // { center, children: [nodeIndex], wordId }
+        this.idf = []; // per word
+        this.wordCount = 0;
+    }
+
+    get isTrained() {
+        return this.wordCount > 0;
+    }
+
+    // documents: array of descriptor arrays (one per keyframe); idf is computed over them
+    train(documents) {
+        const all = documents.flat();
+        this.nodes = [];
+        this.wordCount = 0;
+        if (!all.length) return;
+
+        this.nodes.push({ center: null, children: [], wordId: -1 });
+        this.split(0, all, 1);
+
+        const seen = new Array(this.wordCount).fill(0);
+        for (const doc of documents) {
+            const words = new Set(doc.map(d => this.lookup(d)));
+            words.forEach(w => seen[w]++);
+        }
+        this.idf = seen.map(n => Math.log(documents.length / Math.max(1, n)));
+    }
+
+    split(nodeIndex, descriptors, level) {
+        const node = this.nodes[nodeIndex];
+        if (level > this.depth || descriptors.length <= this.branching) {
+            node.wordId = this.wordCount++;
+            return;
+        }
+
+        const clusters = this.kMajority(descriptors);
+        for (const cluster of clusters) {
+            if (!cluster.members.length) continue;
+            const child = this.nodes.length;
+            this.nodes.push({ center: cluster.center, children: [], wordId: -1 });
+            node.children.push(child);
+            this.split(child, cluster.members, level + 1);
+        }
+        if (!node.children.length) node.wordId = this.wordCount++;
+    }
+
+    // k-means++ seeding, then assign / per-bit majority updates
+    kMajority(descriptors) {
+        const k = this.branching;
+        const centers = [descriptors[this.rng.nextInt(descriptors.length)]];
+        while (centers.length < k) {
+            const d2 = descriptors.map(d => Math.min(...centers.map(c => FeatureMatcher.hamming(c, d))) ** 2);
+            const total = d2.reduce((a, b) => a + b, 0);
+            if (total === 0) break;
+            let r = this.rng.next() * total;
+            let i = 0;
+            while (r > d2[i]) r -= d2[i++];
+            centers.push(descriptors[Math.min(i, descriptors.length - 1)]);
+        }
+
+        let clusters = [];
+        for (let it = 0; it < this.iterations; it++) {
+            clusters = centers.map(center => ({ center, members: [] }));
+            for (const d of descriptors) clusters[this.nearest(centers, d)].members.push(d);
+            clusters.forEach((c, i) => {
+                if (c.members.length) centers[i] = c.center = BinaryVocabulary.majority(c.members);
+            });
+        }
+        return clusters;
+    }
+
+    nearest(centers, d) {
+        let best = 0, bestDist = Infinity;
+        centers.forEach((c, i) => {
+            const dist = FeatureMatcher.hamming(c, d);
+            if (dist < bestDist) { bestDist = dist; best = i; }
+        });
+        return best;
+    }
+
+    static majority(members) {
+        const words = members[0].length;
+        const out = new Uint32Array(words);
+        for (let w = 0; w < words; w++) {
+            for (let b = 0; b < 32; b++) {
+                let ones = 0;
+                for (const m of members) if (m[w] & (1 << b)) ones++;
+                if (ones * 2 > members.length) out[w] |= 1 << b;
+            }
+        }
+        return out;
+    }
+
+    lookup(descriptor) {
+        let node = this.nodes[0];
+        while (node.children.length) {
+            const centers = node.children.map(c => this.nodes[c].center);
+            node = this.nodes[node.children[this.nearest(centers, descriptor)]];
+        }
+        return node.wordId;
+    }
+
+    // tf-idf weighted, L1-normalised bag of words: Map(wordId -> weight)
+    transform(descriptors) {
+        const bow = new Map();
+        for (const d of descriptors) {
+            const w = this.lookup(d);
+            bow.set(w, (bow.get(w) || 0) + this.idf[w]);
+        }
+        let norm = 0;
+        bow.forEach(v => norm += Math.abs(v));
+        if (norm > 0) bow.forEach((v, w) => bow.set(w, v / norm));
+        return bow;
+    }
+
+    // L1 similarity in [0, 1]
+    static score(a, b) {
+        let s = 0;
+        const [small, large] = a.size < b.size ? [a, b] : [b, a];
+        small.forEach((va, w) => {
+            const vb = large.get(w);
+            if (vb !== undefined) s += Math.abs(va) + Math.abs(vb) - Math.abs(va - vb);
+        });
+        return s / 2;
+    }
+
+    toJSON() {
+        return {
+            branching: this.branching,
+            depth: this.depth,
+            wordCount: this.wordCount,
+            idf: this.idf,
+            nodes: this.nodes.map(n => ({ center: n.center ? Array.from(n.center) : null, children: n.children, wordId: n.wordId }))
+        };
+    }
+
+    static fromJSON(json) {
+        const voc = new BinaryVocabulary({ branching: json.branching, depth: json.depth });
+        voc.wordCount = json.wordCount;
+        voc.idf = json.idf;
+        voc.nodes = json.nodes.map(n => ({ center: n.center ? Uint32Array.from(n.center) : null, children: n.children, wordId: n.wordId }));
+        return voc;
+    }
+}
+
+class PlaceRecognizer {
+    constructor(options = {}) {
+        this.vocabulary = options.vocabulary || new BinaryVocabulary();
+        this.trainAfter = options.trainAfter || 15; // keyframes collected before building the vocabulary
+        this.minScore = options.minScore || 0.3; // normalised against the previous keyframe's score
+        this.excludeRecent = options.excludeRecent || 20; // keyframes too recent to count as a loop
+        this.maxEntries = options.maxEntries || 400; // beyond this the older places are thinned out
+        this.minInliers = options.minInliers || 20;
+        this.intrinsics = options.intrinsics || MonocularVO.intrinsicsFromFov(160, 120, 65);
+        this.slamMap = options.slamMap || null; // landmark depths give the loop transform metric scale
+        this.onLoopClosure = options.onLoopClosure || (() => { });
+
+        this.matcher = new FeatureMatcher();
+        this.estimator = new EssentialMatrixEstimator(options);
+        // Only what detection and verification need, not the keyframes themselves:
+        // { id, pose, keypoints: [{ x, y, descriptor }], bow, depths }
+        this.entries = [];
+        this.invertedIndex = new Map(); // wordId -> [entry index]
+        this.lastKeyframe = null; // its depths are refreshed once the next one is triangulated
+    }
+
+    // Feed every new keyframe. Returns the loop-closure event or null.
+    process(keyframe) {
+        const entry = {
+            id: keyframe.id,
+            pose: { ...keyframe.pose },
+            keypoints: keyframe.keypoints.map(k => ({ x: k.x, y: k.y, descriptor: k.descriptor })),
+            bow: null,
+            depths: this.snapshotDepths(keyframe)
+        };
+        // The previous keyframe has just been triangulated against this one; refresh its depths
+        const prev = this.entries[this.entries.length - 1];
+        if (prev && this.lastKeyframe) prev.depths = this.snapshotDepths(this.lastKeyframe);
+        this.lastKeyframe = keyframe;
+        this.entries.push(entry);
+
+        if (!this.vocabulary.isTrained) {
+            if (this.entries.length < this.trainAfter) return null;
+            this.vocabulary.train(this.entries.map(e => e.keypoints.map(k => k.descriptor)));
+            this.entries.forEach((e, i) => this.index(e, i));
+            return null;
+        }
+
+        this.index(entry, this.entries.length - 1);
+        const loop = this.detect(this.entries.length - 1);
+        if (loop) this.onLoopClosure(loop);
+        if (this.entries.length > this.maxEntries) this.thin();
+        return loop;
+    }
+
+    index(entry, i) {
+        if (!entry.bow) entry.bow = this.vocabulary.transform(entry.keypoints.map(k => k.descriptor));
+        entry.bow.forEach((_, w) => {
+            if (!this.invertedIndex.has(w)) this.invertedIndex.set(w, []);
+            this.invertedIndex.get(w).push(i);
+        });
+    }
+
+    // Drops every other place outside the recent window and reindexes: a long session
+    // keeps a sparser but bounded database, while the recent keyframes stay contiguous
+    thin() {
+        const old = this.entries.length - this.excludeRecent - 1;
+        this.entries = this.entries.filter((_, i) => i >= old || i % 2 === 0);
+        this.reindex();
+    }
+
+    // Keyframes the pose graph has dropped: a loop with them could not be closed
+    forget(ids) {
+        if (!ids.length) return;
+        const gone = new Set(ids);
+        this.entries = this.entries.filter(e => !gone.has(e.id));
+        this.reindex();
+    }
+
+    reindex() {
+        this.invertedIndex.clear();
+        if (this.vocabulary.isTrained) this.entries.forEach((e, i) => this.index(e, i));
+    }
+
+    // Pose graph corrections (keyframe id -> { before, after }), as SlamMap.applyCorrections
+    applyCorrections(corrections) {
+        this.entries.forEach(e => {
+            const c = corrections.get(e.id);
+            if (c) e.pose = { ...c.after };
+        });
+    }
+
+    detect(queryIndex) {
+        const query = this.entries[queryIndex];
+        const prev = this.entries[queryIndex - 1];
+        // Normalise by how similar consecutive views are (DBoW2's eta)
+        const reference = prev ? BinaryVocabulary.score(query.bow, prev.bow) : 1;
+        if (reference < 0.01) return null;
+
+        // Candidates sharing words, outside the recent window
+        const candidates = new Set();
+        query.bow.forEach((_, w) => {
+            for (const i of this.invertedIndex.get(w) || []) {
+                if (i < queryIndex - this.excludeRecent) candidates.add(i);
+            }
+        });
+
+        const scored = [...candidates]
+            .map(i => ({ i, score: BinaryVocabulary.score(query.bow, this.entries[i].bow) / reference }))
+            .filter(c => c.score >= this.minScore)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, 3);
+
+        for (const cand of scored) {
+            const verified = this.verify(this.entries[cand.i], query);
+            if (verified) {
+                return {
+                    queryId: query.id,
+                    matchId: this.entries[cand.i].id,
+                    matchPose: { ...this.entries[cand.i].pose },
+                    score: cand.score,
+                    ...verified
+                };
+            }
+        }
+        return null;
+    }
+
+    // Essential-matrix check between the candidate and the query entry.
+    // The relative transform is expressed in the candidate's frame:
+    // { forward, right } metres and dtheta radians (+ = turned right).
+    verify(candidate, query) {
+        const matches = this.matcher.match(candidate.keypoints, query.keypoints);
+        if (matches.length < this.minInliers) return null;
+
+        const K = this.intrinsics;
+        const b1s = matches.map(m => EpipolarGeometry.bearing(candidate.keypoints[m.queryIndex], K));
+        const b2s = matches.map(m => EpipolarGeometry.bearing(query.keypoints[m.trainIndex], K));
+        const result = this.estimator.estimate(b1s, b2s, K.fx);
+        if (!result || result.inlierCount < this.minInliers) return null;
+
+        const dtheta = EpipolarGeometry.yawFromRotation(result.R);
+        let forward = 0, right = 0, scaleKnown = false;
+
+        if (result.t) {
+            const scale = this.metricScale(candidate.depths, matches, b1s, b2s, result);
+            if (scale) {
+                const C = LinAlg.mat3Vec(LinAlg.mat3T(result.R), result.t).map(v => -v * scale);
+                right = C[0];
+                forward = C[2];
+                scaleKnown = true;
+            }
+        }
+
+        const transform = { forward, right, dtheta };
+        return {
+            inliers: result.inlierCount,
+            transform,
+            scaleKnown,
+            expectedPose: SE2.compose(candidate.pose, transform)
+        };
+    }
+
+    // Landmark depths seen from a keyframe (keypoint index -> metres). Snapshotted because
+    // the local map forgets old keyframes long before we revisit them.
+    snapshotDepths(keyframe) {
+        const depths = new Map();
+        if (!this.slamMap || !keyframe.landmarkIds) return depths;
+        keyframe.landmarkIds.forEach((id, i) => {
+            const lm = id >= 0 ? this.slamMap.landmarks.get(id) : null;
+            const p = lm ? this.slamMap.project(keyframe.pose, lm.position) : null;
+            if (p) depths.set(i, p.depth);
+        });
+        return depths;
+    }
+
+    // Ratio between the snapshotted landmark depths and the up-to-scale triangulation
+    metricScale(depths, matches, b1s, b2s, result) {
+        if (!depths || !depths.size) return null;
+        const ratios = [];
+        matches.forEach((m, i) => {
+            if (!result.inliers[i] || !depths.has(m.queryIndex)) return;
+            const tri = EpipolarGeometry.triangulate(b1s[i], b2s[i], result.R, result.t);
+            if (tri && tri.depth1 > 0) ratios.push(depths.get(m.queryIndex) / tri.depth1);
+        });
+        if (ratios.length < 3) return null;
+        ratios.sort((a, b) => a - b);
+        return ratios[ratios.length >> 1];
+    }
+}
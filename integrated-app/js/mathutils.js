@@ -0,0 +1,251 @@
+// Deterministic PRNG (mulberry32) so RANSAC and sampling patterns are reproducible
+class SeededRandom {
+    constructor(seed = 1) {
+        this.state = seed >>> 0;
+    }
+
+    // Float in [0, 1)
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Integer in [0, n)
+    nextInt(n) {
+        return Math.floor(this.next() * n);
+    }
+
+    // Normal deviate (Box-Muller)
+    gaussian(mean = 0, sd = 1) {
+        const u = 1 - this.next(); // (0, 1]
+        const v = this.next();
+        return mean + sd * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    // k distinct indices from [0, n)
+    sample(n, k) {
+        const picked = [];
+        while (picked.length < k) {
+            const i = this.nextInt(n);
+            if (!picked.includes(i)) picked.push(i);
+        }
+        return picked;
+    }
+}
+
+// Small dense linear algebra. 3x3 matrices are flat row-major arrays of length 9.
+class LinAlg {
+    static mat3Mul(a, b) {
+        const out = new Array(9);
+        for (let r = 0; r < 3; r++) {
+            for (let c = 0; c < 3; c++) {
+                out[r * 3 + c] = a[r * 3] * b[c] + a[r * 3 + 1] * b[3 + c] + a[r * 3 + 2] * b[6 + c];
+            }
+        }
+        return out;
+    }
+
+    static mat3T(a) {
+        return [a[0], a[3], a[6], a[1], a[4], a[7], a[2], a[5], a[8]];
+    }
+
+    static mat3Vec(a, v) {
+        return [
+            a[0] * v[0] + a[1] * v[1] + a[2] * v[2],
+            a[3] * v[0] + a[4] * v[1] + a[5] * v[2],
+            a[6] * v[0] + a[7] * v[1] + a[8] * v[2]
+        ];
+    }
+
+    static det3(a) {
+        return a[0] * (a[4] * a[8] - a[5] * a[7]) -
+            a[1] * (a[3] * a[8] - a[5] * a[6]) +
+            a[2] * (a[3] * a[7] - a[4] * a[6]);
+    }
+
+    static cross(a, b) {
+        return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+    }
+
+    static dot(a, b) {
+        let s = 0;
+        for (let i = 0; i < a.length; i++) s += a[i] * b[i];
+        return s;
+    }
+
+    static normalize(v) {
+        const n = Math.sqrt(LinAlg.dot(v, v)) || 1;
+        return v.map(x => x / n);
+    }
+
+    // Cyclic Jacobi for a symmetric n x n matrix (array of rows).
+    // Returns eigenvalues ascending and matching eigenvectors (as arrays).
+    static symmetricEigen(m, maxSweeps = 50) {
+        const n = m.length;
+        const a = m.map(row => row.slice());
+        const v = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+
+        for (let sweep = 0; sweep < maxSweeps; sweep++) {
+            let off = 0;
+            for (let p = 0; p < n; p++) for (let q = p + 1; q < n; q++) off += a[p][q] * a[p][q];
+            if (off < 1e-22) break;
+
+            for (let p = 0; p < n; p++) {
+                for (let q = p + 1; q < n; q++) {
+                    if (Math.abs(a[p][q]) < 1e-300) continue;
+                    const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+                    const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                    const c = 1 / Math.sqrt(t * t + 1);
+                    const s = t * c;
+
+                    for (let k = 0; k < n; k++) {
+                        const akp = a[k][p], akq = a[k][q];
+                        a[k][p] = c * akp - s * akq;
+                        a[k][q] = s * akp + c * akq;
+                    }
+                    for (let k = 0; k < n; k++) {
+                        const apk = a[p][k], aqk = a[q][k];
+                        a[p][k] = c * apk - s * aqk;
+                        a[q][k] = s * apk + c * aqk;
+                    }
+                    for (let k = 0; k < n; k++) {
+                        const vkp = v[k][p], vkq = v[k][q];
+                        v[k][p] = c * vkp - s * vkq;
+                        v[k][q] = s * vkp + c * vkq;
+                    }
+                }
+            }
+        }
+
+        const order = a.map((row, i) => i).sort((i, j) => a[i][i] - a[j][j]);
+        return {
+            values: order.map(i => a[i][i]),
+            vectors: order.map(i => v.map(row => row[i]))
+        };
+    }
+
+    // Null-space direction of an m x n system (least-squares solution of A x = 0, |x| = 1)
+    static nullVector(rows) {
+        const n = rows[0].length;
+        const ata = Array.from({ length: n }, () => new Array(n).fill(0));
+        for (const r of rows) {
+            for (let i = 0; i < n; i++) {
+                for (let j = i; j < n; j++) ata[i][j] += r[i] * r[j];
+            }
+        }
+        for (let i = 0; i < n; i++) for (let j = 0; j < i; j++) ata[i][j] = ata[j][i];
+        return LinAlg.symmetricEigen(ata).vectors[0];
+    }
+
+    // SVD of a 3x3 matrix: a = U diag(s) V^T with s descending and det(U) = +1.
+    // The last column of U is always completed by a cross product (stable for rank-2 inputs
+    // such as essential matrices); the sign of the last column of V is matched to it.
+    static svd3(a) {
+        const ata = [0, 1, 2].map(i => [0, 1, 2].map(j => a[i] * a[j] + a[3 + i] * a[3 + j] + a[6 + i] * a[6 + j]));
+        const eig = LinAlg.symmetricEigen(ata);
+        const vs = [eig.vectors[2], eig.vectors[1], eig.vectors[0]];
+        const s = [eig.values[2], eig.values[1], eig.values[0]].map(x => Math.sqrt(Math.max(0, x)));
+
+        const u0 = s[0] > 1e-12 ? LinAlg.normalize(LinAlg.mat3Vec(a, vs[0])) : [1, 0, 0];
+        let u1 = s[1] > 1e-9 * s[0] ? LinAlg.mat3Vec(a, vs[1]) : LinAlg.cross(u0, Math.abs(u0[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0]);
+        const proj = LinAlg.dot(u1, u0);
+        u1 = LinAlg.normalize(u1.map((x, i) => x - proj * u0[i]));
+        const u2 = LinAlg.cross(u0, u1);
+        if (s[2] > 1e-12 && LinAlg.dot(LinAlg.mat3Vec(a, vs[2]), u2) < 0) vs[2] = vs[2].map(x => -x);
+
+        // Columns as matrices
+        const cols = (c) => [c[0][0], c[1][0], c[2][0], c[0][1], c[1][1], c[2][1], c[0][2], c[1][2], c[2][2]];
+        return { U: cols([u0, u1, u2]), S: s, V: cols(vs) };
+    }
+}
+
+// Planar poses { x, y, heading } in the navigation convention (x east, y north,
+// heading clockwise from north). Relative transforms are { forward, right, dtheta }
+// expressed in the frame of the first pose.
+class SE2 {
+    static wrap(angle) {
+        return Math.atan2(Math.sin(angle), Math.cos(angle));
+    }
+
+    // 0..2PI, as used by OdometryModule
+    static normalizeHeading(angle) {
+        let h = angle % (2 * Math.PI);
+        if (h < 0) h += 2 * Math.PI;
+        return h;
+    }
+
+    static compose(pose, t) {
+        const s = Math.sin(pose.heading), c = Math.cos(pose.heading);
+        return {
+            x: pose.x + t.forward * s + t.right * c,
+            y: pose.y + t.forward * c - t.right * s,
+            heading: SE2.normalizeHeading(pose.heading + t.dtheta)
+        };
+    }
+
+    // Rotation about the origin by angle (clockwise, like the heading), for re-referencing
+    // a whole frame. Points keep their shape, poses also turn their heading.
+    static rotate(p, angle) {
+        const s = Math.sin(angle), c = Math.cos(angle);
+        const out = { ...p, x: p.x * c + p.y * s, y: -p.x * s + p.y * c };
+        if (p.heading !== undefined) out.heading = SE2.normalizeHeading(p.heading + angle);
+        return out;
+    }
+
+    // Transform taking pose a to pose b, in a's frame
+    static between(a, b) {
+        const dx = b.x - a.x, dy = b.y - a.y;
+        const s = Math.sin(a.heading), c = Math.cos(a.heading);
+        return {
+            forward: dx * s + dy * c,
+            right: dx * c - dy * s,
+            dtheta: SE2.wrap(b.heading - a.heading)
+        };
+    }
+}
+
+// 2D segment helpers for floor-plan walls: points are { x, y }
+class Segment2D {
+    // Proper or touching intersection of segments ab and cd
+    static intersects(a, b, c, d) {
+        const o1 = Segment2D.orientation(a, b, c), o2 = Segment2D.orientation(a, b, d);
+        const o3 = Segment2D.orientation(c, d, a), o4 = Segment2D.orientation(c, d, b);
+        if (o1 !== o2 && o3 !== o4) return true;
+        // Collinear overlaps
+        return (o1 === 0 && Segment2D.onSegment(a, c, b)) || (o2 === 0 && Segment2D.onSegment(a, d, b)) ||
+            (o3 === 0 && Segment2D.onSegment(c, a, d)) || (o4 === 0 && Segment2D.onSegment(c, b, d));
+    }
+
+    static orientation(a, b, c) {
+        const v = (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+        return Math.abs(v) < 1e-12 ? 0 : (v > 0 ? 1 : -1);
+    }
+
+    // q lies within the bounding box of pr (used for collinear points)
+    static onSegment(p, q, r) {
+        return q.x <= Math.max(p.x, r.x) && q.x >= Math.min(p.x, r.x) &&
+            q.y <= Math.max(p.y, r.y) && q.y >= Math.min(p.y, r.y);
+    }
+
+    // Distance along a ray from origin with heading (rad, clockwise from +y) to segment ab; Infinity if missed
+    static rayDistance(origin, heading, a, b) {
+        const dx = Math.sin(heading), dy = Math.cos(heading);
+        const ex = b.x - a.x, ey = b.y - a.y;
+        const denom = dx * ey - dy * ex;
+        if (Math.abs(denom) < 1e-12) return Infinity;
+        const wx = a.x - origin.x, wy = a.y - origin.y;
+        const t = (wx * ey - wy * ex) / denom;
+        const s = (wx * dy - wy * dx) / denom;
+        return t >= 0 && s >= 0 && s <= 1 ? t : Infinity;
+    }
+
+    static distanceToPoint(p, a, b) {
+        const dx = b.x - a.x, dy = b.y - a.y;
+        const len2 = dx * dx + dy * dy;
+        const t = len2 > 0 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2)) : 0;
+        return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+    }
+}
@@ -4,6 +4,9 @@ class MiniMap {
         this.ctx = this.canvas.getContext('2d');
         this.path = []; // Array of {x, y}
         this.target = null; // {x, y}
+        this.route = []; // planned waypoints, from NavigationModule
+        this.landmarks = []; // from SlamMap.getLandmarksNear
+        this.walls = []; // active FloorPlan walls, odometry frame
         this.scale = 20; // pixels per meter
 
         // Center the map initially
@@ -28,6 +31,23 @@ class MiniMap {
         this.target = { x, y };
     }
 
+    setRoute(waypoints) {
+        this.route = waypoints;
+    }
+
+    // Replace the drawn trajectory (e.g. after a pose-graph correction)
+    setPath(points) {
+        this.path = points.map(p => ({ x: p.x, y: p.y }));
+    }
+
+    setLandmarks(landmarks) {
+        this.landmarks = landmarks;
+    }
+
+    setFloorPlan(plan) {
+        this.walls = plan ? plan.walls : [];
+    }
+
     draw(userPos) {
         this.ctx.clearRect(0, 0, this.width, this.height);
 
@@ -41,6 +61,21 @@ class MiniMap {
         // Draw Grid (Optional, for reference)
         this.drawGrid();
 
+        // Draw Walls
+        this.drawWalls(this.ctx, this.walls, 0.1);
+
+        // Draw Route
+        if (this.route.length > 1) {
+            this.ctx.strokeStyle = 'rgba(0, 255, 0, 0.6)';
+            this.ctx.lineWidth = 0.08;
+            this.ctx.setLineDash([0.3, 0.2]);
+            this.ctx.beginPath();
+            this.ctx.moveTo(this.route[0].x, this.route[0].y);
+            for (let i = 1; i < this.route.length; i++) this.ctx.lineTo(this.route[i].x, this.route[i].y);
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+        }
+
         // Draw Target
         if (this.target) {
             this.ctx.fillStyle = '#00FF00';
@@ -50,6 +85,12 @@ class MiniMap {
             // Pulse effect could go here
         }
 
+        // Draw Landmarks
+        this.ctx.fillStyle = 'rgba(0, 210, 106, 0.8)';
+        for (const lm of this.landmarks) {
+            this.ctx.fillRect(lm.x - 0.1, lm.y - 0.1, 0.2, 0.2);
+        }
+
         // Draw Path
         this.ctx.strokeStyle = 'rgba(0, 255, 255, 0.5)';
         this.ctx.lineWidth = 0.1;
@@ -80,6 +121,36 @@ class MiniMap {
         this.ctx.stroke();
     }
 
+    drawWalls(ctx, walls, lineWidth) {
+        if (!walls.length) return;
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.lineWidth = lineWidth;
+        ctx.beginPath();
+        for (const w of walls) {
+            ctx.moveTo(w.x1, w.y1);
+            ctx.lineTo(w.x2, w.y2);
+        }
+        ctx.stroke();
+    }
+
+    // Whole-plan thumbnail for the Map Management cards
+    drawPreview(canvas, plan) {
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        const b = plan.bounds;
+        const w = Math.max(b.maxX - b.minX, 1), h = Math.max(b.maxY - b.minY, 1);
+        const scale = 0.9 * Math.min(canvas.width / w, canvas.height / h);
+
+        ctx.save();
+        ctx.translate(canvas.width / 2, canvas.height / 2);
+        ctx.scale(scale, -scale); // north up
+        ctx.translate(-(b.minX + b.maxX) / 2, -(b.minY + b.maxY) / 2);
+        this.drawWalls(ctx, plan.walls, 1.5 / scale);
+        ctx.fillStyle = '#00d26a';
+        for (const p of plan.pois) ctx.fillRect(p.x - 2 / scale, p.y - 2 / scale, 4 / scale, 4 / scale);
+        ctx.restore();
+    }
+
     drawUserIcon() {
         this.ctx.save();
         this.ctx.translate(this.centerX, this.centerY);
@@ -0,0 +1,190 @@
+// Object detectors. A ModelRegistry holds detector specs (stock COCO-SSD, or a custom
+// TF.js graph model with its own label map), remembers which one the user chose and
+// loads it, falling back to COCO-SSD when the custom model cannot be loaded.
+//
+// Detector interface: load(), detect(input) -> [{ bbox: [x, y, w, h] in input pixels,
+// class, score }], dispose(), scoreThreshold.
+const DETECTOR_MODEL_KEY = 'indoorNav.detectorModel';
+
+// Built-in specs. Custom graph models:
+//   { id, name, type: 'graph', url: './models/<id>/model.json',
+//     labels: ['bg', 'exit_sign', ...] | { 1: 'exit_sign', ... } | './models/<id>/labels.json',
+//     classMap: { exit_sign: 'exit sign' }, // model label -> class name used by the app
+//     inputSize: 300 | [width, height], inputType: 'int32' | 'float32' (0..1),
+//     outputs: { boxes, scores, classes }, scoreThreshold, maxDetections, version }
+const DETECTOR_MODELS = [
+    { id: 'coco-ssd', name: 'COCO-SSD (stock)', type: 'coco-ssd', base: 'lite_mobilenet_v2', scoreThreshold: 0.6 },
+    {
+        // Fine-tuned MobileNet-SSD for indoor landmarks; export with tensorflowjs_converter
+        // into integrated-app/models/indoor-ssd/ next to a labels.json
+        id: 'indoor-ssd',
+        name: 'Indoor MobileNet-SSD',
+        type: 'graph',
+        url: './models/indoor-ssd/model.json',
+        labels: './models/indoor-ssd/labels.json',
+        classMap: { exit_sign: 'exit sign', exitsign: 'exit sign', staircase: 'stairs', lift: 'elevator' },
+        inputSize: 300,
+        scoreThreshold: 0.5
+    }
+];
+
+class CocoSsdDetector {
+    constructor(spec) {
+        this.spec = spec;
+        this.scoreThreshold = spec.scoreThreshold || 0.6;
+        this.model = null;
+    }
+
+    async load() {
+        this.model = await cocoSsd.load(this.spec.base ? { base: this.spec.base } : undefined);
+    }
+
+    detect(input) {
+        return this.model.detect(input);
+    }
+
+    dispose() {
+        if (this.model && this.model.dispose) this.model.dispose();
+        this.model = null;
+    }
+}
+
+// TF Object Detection API style SSD exported for TF.js: boxes [1, N, 4] as normalised
+// (ymin, xmin, ymax, xmax), scores [1, N], classes [1, N] (label map ids)
+class GraphModelDetector {
+    constructor(spec) {
+        this.spec = spec;
+        this.scoreThreshold = spec.scoreThreshold || 0.5;
+        this.maxDetections = spec.maxDetections || 20;
+        this.outputs = { boxes: 'detection_boxes', scores: 'detection_scores', classes: 'detection_classes', ...(spec.outputs || {}) };
+        this.classMap = spec.classMap || {};
+        this.labels = null;
+        this.model = null;
+    }
+
+    // The model is kept in IndexedDB after the first download, so it loads offline;
+    // a new `version` in the spec replaces the stored copy
+    get cacheUrl() {
+        return `indexeddb://detector-${this.spec.id}-v${this.spec.version || 1}`;
+    }
+
+    async load() {
+        this.labels = await GraphModelDetector.loadLabels(this.spec.labels);
+        try {
+            this.model = await tf.loadGraphModel(this.cacheUrl);
+        } catch (e) {
+            this.model = await tf.loadGraphModel(this.spec.url);
+            try {
+                await this.model.save(this.cacheUrl);
+            } catch (err) {
+                console.warn("Detector: could not store model for offline use", err);
+            }
+        }
+    }
+
+    // Label map from the spec: an array, an { id: name } object, or the URL of a JSON file with either
+    static async loadLabels(labels) {
+        if (typeof labels !== 'string') return labels || [];
+        const response = await fetch(labels);
+        if (!response.ok) throw new Error(`Labels not found: ${labels}`);
+        return response.json();
+    }
+
+    className(id) {
+        const label = String(this.labels[id] !== undefined ? this.labels[id] : id);
+        return this.classMap[label] || this.classMap[label.toLowerCase()] || label.toLowerCase().replace(/_/g, ' ');
+    }
+
+    async detect(input) {
+        const width = input.videoWidth || input.width;
+        const height = input.videoHeight || input.height;
+        const size = this.spec.inputSize;
+        const [w, h] = Array.isArray(size) ? size : size ? [size, size] : [width, height];
+
+        const batch = tf.tidy(() => {
+            let image = tf.browser.fromPixels(input);
+            if (w !== width || h !== height) image = tf.image.resizeBilinear(image, [h, w]);
+            image = this.spec.inputType === 'float32' ? image.toFloat().div(255) : image.toInt();
+            return image.expandDims(0);
+        });
+        const names = [this.outputs.boxes, this.outputs.scores, this.outputs.classes];
+        const result = await this.model.executeAsync(batch, names);
+        batch.dispose();
+        const [boxes, scores, classes] = await Promise.all(result.map(t => t.data()));
+        result.forEach(t => t.dispose());
+
+        const predictions = [];
+        for (let i = 0; i < scores.length && predictions.length < this.maxDetections; i++) {
+            if (scores[i] < this.scoreThreshold) continue;
+            const [ymin, xmin, ymax, xmax] = boxes.subarray(i * 4, i * 4 + 4);
+            predictions.push({
+                bbox: [xmin * width, ymin * height, (xmax - xmin) * width, (ymax - ymin) * height],
+                class: this.className(Math.round(classes[i])),
+                score: scores[i]
+            });
+        }
+        return predictions;
+    }
+
+    dispose() {
+        if (this.model) this.model.dispose();
+        this.model = null;
+    }
+}
+
+class ModelRegistry {
+    constructor(options = {}) {
+        this.storage = options.storage !== undefined ? options.storage : (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.fallbackId = options.fallbackId || 'coco-ssd';
+        this.factory = options.factory || null; // spec -> detector, e.g. one running in a worker
+        this.specs = new Map();
+        (options.models || DETECTOR_MODELS).forEach(spec => this.register(spec));
+    }
+
+    register(spec) {
+        if (!spec.id || !['coco-ssd', 'graph'].includes(spec.type)) throw new Error(`Invalid detector spec: ${spec.id}`);
+        if (spec.type === 'graph' && !spec.url) throw new Error(`Detector ${spec.id} has no model URL`);
+        this.specs.set(spec.id, spec);
+    }
+
+    get(id) {
+        return this.specs.get(id) || null;
+    }
+
+    list() {
+        return Array.from(this.specs.values());
+    }
+
+    // The user's choice, persisted on the device
+    get selectedId() {
+        const id = this.storage ? this.storage.getItem(DETECTOR_MODEL_KEY) : null;
+        return this.specs.has(id) ? id : this.fallbackId;
+    }
+
+    select(id) {
+        if (!this.specs.has(id)) throw new Error(`Unknown detector: ${id}`);
+        if (this.storage) this.storage.setItem(DETECTOR_MODEL_KEY, id);
+    }
+
+    create(spec) {
+        if (this.factory) return this.factory(spec);
+        return spec.type === 'graph' ? new GraphModelDetector(spec) : new CocoSsdDetector(spec);
+    }
+
+    // -> { detector, spec, fallback: Error | null }; throws only when the fallback fails too
+    async load(id = this.selectedId) {
+        const spec = this.get(id) || this.get(this.fallbackId);
+        const detector = this.create(spec);
+        try {
+            await detector.load();
+            return { detector, spec, fallback: null };
+        } catch (e) {
+            if (spec.id === this.fallbackId) throw e;
+            console.warn(`Detector: ${spec.name} failed to load, using ${this.fallbackId}`, e);
+            const stock = this.get(this.fallbackId);
+            const fallback = this.create(stock);
+            await fallback.load();
+            return { detector: fallback, spec: stock, fallback: e };
+        }
+    }
+}
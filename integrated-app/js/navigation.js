@@ -1,22 +1,143 @@
 class NavigationModule {
     constructor() {
         this.target = null;
+        this.route = []; // waypoints { x, y }, the last one is the target
+        this.leg = 0; // index of the waypoint being walked to
+        this.routeStart = null;
+        this.announcedLeg = -1;
         this.state = 'IDLE';
-        this.thresholds = { arrival: 1.5, rotation: 20, move: 10 };
+        this.thresholds = { arrival: 1.5, waypoint: 1.0, approach: 2, rotation: 20, move: 10, announce: 5, offRoute: 3, replanMove: 1 };
+        this.replanInterval = 3000; // ms between off-route replanning attempts
+        this.lastReplan = null; // { time, x, y, found }
+        this.slamMap = null;
+        this.planner = null;
+        this.lastPos = null;
+        this.avoiding = false; // steering around an obstacle, see setAvoiding
+        this.resuming = false;
     }
 
-    setTarget(x, y) {
+    setMap(slamMap) {
+        this.slamMap = slamMap;
+    }
+
+    // Confirmed SLAM landmarks around the user (empty when no map is attached)
+    getNearbyLandmarks(userPos, radius = 5) {
+        return this.slamMap ? this.slamMap.getLandmarksNear(userPos, radius) : [];
+    }
+
+    // Aligned FloorPlan (or any { walls, bounds }) to route around; null for straight-line homing
+    setFloorPlan(plan) {
+        this.planner = plan ? new RoutePlanner(plan) : null;
+    }
+
+    // from: the user's pose; defaults to the last pose seen by update()
+    setTarget(x, y, from) {
         this.target = { x, y };
         this.state = 'ROTATING';
-        return "New destination set. Turn to face target.";
+        const start = from || this.lastPos;
+        this.lastReplan = null;
+
+        if (!this.planner || !start) {
+            this.setRoute([this.target], start);
+            return "New destination set. Turn to face target.";
+        }
+
+        const route = this.planner.plan(start, this.target);
+        if (!route) {
+            this.setRoute([this.target], start);
+            return "New destination set. No route found, heading straight to target.";
+        }
+        this.setRoute(route.waypoints, start);
+        const turns = route.waypoints.length - 1;
+        return `Route set, ${Math.round(route.distance)} metres${turns ? `, ${turns} ${turns === 1 ? 'turn' : 'turns'}` : ''}. Turn to face the route.`;
+    }
+
+    clearTarget() {
+        this.target = null;
+        this.lastReplan = null;
+        this.route = [];
+        this.leg = 0;
+        this.state = 'IDLE';
+    }
+
+    // Spoken summary of what comes next on the route, or null without one
+    describeUpcoming(userPos) {
+        if (!this.target || this.state === 'ARRIVED') return null;
+        const wp = this.route[this.leg];
+        const dist = Math.round(Math.hypot(wp.x - userPos.x, wp.y - userPos.y));
+        if (this.leg < this.route.length - 1) {
+            const turn = RoutePlanner.describeTurn(RoutePlanner.turnAngle(userPos, wp, this.route[this.leg + 1]));
+            return `In ${dist} metres, ${turn.text}.`;
+        }
+        return `${dist} metres to your destination.`;
+    }
+
+    // Direction of the current waypoint relative to the heading (rad, + = right), 0 without a route
+    routeDirection(userPos) {
+        if (!this.target || this.state === 'ARRIVED') return 0;
+        const wp = this.route[this.leg];
+        return SE2.wrap(Math.atan2(wp.x - userPos.x, wp.y - userPos.y) - userPos.heading);
+    }
+
+    // While the user steers around an obstacle, heading corrections and replanning pause;
+    // afterwards the first update guides them back towards the route
+    setAvoiding(active) {
+        if (this.avoiding && !active) this.resuming = true;
+        this.avoiding = active;
+    }
+
+    setRoute(waypoints, from) {
+        this.route = waypoints.map(p => ({ x: p.x, y: p.y }));
+        this.target = this.route[this.route.length - 1];
+        this.leg = 0;
+        this.routeStart = from ? { x: from.x, y: from.y } : null;
+        this.announcedLeg = -1;
+        this.state = 'ROTATING';
     }
 
-    update(userPos) {
+    // now: ms, for the replanning throttle (the simulator passes its own clock)
+    update(userPos, now = Date.now()) {
         if (!this.target) return null;
+        this.lastPos = userPos;
 
-        const dx = this.target.x - userPos.x;
-        const dy = this.target.y - userPos.y;
+        let instruction = null;
+        let event = null; // for haptics
+
+        // Replan when the user has wandered off the current segment. Planning searches the
+        // whole grid, so it is retried only every few seconds and after moving on; a failure
+        // is announced once, not at every attempt.
+        if (this.planner && !this.avoiding && this.state !== 'ARRIVED' &&
+            this.distanceFromRoute(userPos) > this.thresholds.offRoute && this.mayReplan(userPos, now)) {
+            const route = this.planner.plan(userPos, this.target);
+            const failedBefore = this.lastReplan && !this.lastReplan.found;
+            this.lastReplan = { time: now, x: userPos.x, y: userPos.y, found: !!route };
+            if (route) {
+                this.setRoute(route.waypoints, userPos);
+                instruction = "Off route. Recalculating.";
+                event = 'stop';
+            } else if (!failedBefore) {
+                instruction = "Off route. No route found from here.";
+                event = 'stop';
+            }
+        }
+
+        // Waypoint reached (or walked past): announce the turn onto the next segment
+        if (this.leg < this.route.length - 1 && this.reachedWaypoint(userPos)) {
+            const prev = this.leg > 0 ? this.route[this.leg - 1] : (this.routeStart || userPos);
+            const turn = RoutePlanner.describeTurn(RoutePlanner.turnAngle(prev, this.route[this.leg], this.route[this.leg + 1]));
+            this.leg++;
+            if (turn.event !== 'straight') {
+                this.state = 'ROTATING';
+                instruction = `Now ${turn.text}.`;
+                event = turn.event;
+            }
+        }
+
+        const waypoint = this.route[this.leg];
+        const dx = waypoint.x - userPos.x;
+        const dy = waypoint.y - userPos.y;
         const dist = Math.sqrt(dx * dx + dy * dy);
+        const remaining = dist + this.remainingAfter(this.leg);
 
         // Bearing
         let bearing = Math.atan2(dx, dy) * (180 / Math.PI);
@@ -29,35 +150,87 @@ class NavigationModule {
         while (diff < -180) diff += 360;
 
         // State Machine
-        let instruction = null;
-        let event = null; // for haptics
-
-        if (dist < this.thresholds.arrival) {
+        if (this.leg === this.route.length - 1 && dist < this.thresholds.arrival) {
             if (this.state !== 'ARRIVED') {
                 this.state = 'ARRIVED';
                 instruction = "You have arrived.";
                 event = 'arrived';
             }
-            return { instruction, event, dist, diff };
+            return { instruction, event, dist: remaining, diff };
         }
 
-        if (this.state === 'ROTATING') {
+        if (this.avoiding) {
+            // The avoidance cues steer for now
+        } else if (this.resuming) {
+            this.resuming = false;
+            if (Math.abs(diff) > this.thresholds.move) {
+                const turn = RoutePlanner.describeTurn(diff);
+                this.state = 'ROTATING';
+                instruction = instruction || `Path clear. ${turn.text.charAt(0).toUpperCase() + turn.text.slice(1)} back to the route.`;
+                event = event || turn.event;
+            } else {
+                instruction = instruction || "Path clear. Continue on the route.";
+                event = event || 'resume';
+            }
+        } else if (this.state === 'ROTATING') {
             if (Math.abs(diff) < this.thresholds.move) {
                 this.state = 'MOVING';
-                instruction = "Walk forward.";
-                event = 'straight';
+                instruction = instruction || "Walk forward.";
+                event = event || 'straight';
             } else {
                 // Only instruct periodically (handled by caller/accessibility module)
                 // But we return the raw data
             }
         } else if (this.state === 'MOVING') {
-            if (Math.abs(diff) > this.thresholds.rotation) {
+            // Close to a turn the bearing is dominated by position noise: the turn itself corrects
+            const approaching = this.leg < this.route.length - 1 && dist < this.thresholds.approach;
+            if (Math.abs(diff) > this.thresholds.rotation && !approaching) {
                 this.state = 'ROTATING';
                 instruction = "Stop. Turn to correct heading.";
                 event = 'stop';
+            } else if (!instruction && this.leg < this.route.length - 1 && this.announcedLeg !== this.leg &&
+                dist <= this.thresholds.announce && dist > this.thresholds.waypoint + 1) {
+                // Heads-up before the next turn
+                const turn = RoutePlanner.describeTurn(
+                    RoutePlanner.turnAngle(userPos, waypoint, this.route[this.leg + 1]));
+                this.announcedLeg = this.leg;
+                if (turn.event !== 'straight') instruction = `In ${Math.round(dist)} metres, ${turn.text}.`;
             }
         }
 
-        return { instruction, event, dist, diff, state: this.state };
+        return { instruction, event, dist: remaining, diff, state: this.state, waypoint: this.leg };
+    }
+
+    // Within the waypoint radius, or past the end of the segment leading to it,
+    // as long as no wall stands between the user and the next waypoint
+    reachedWaypoint(userPos) {
+        const wp = this.route[this.leg];
+        if (this.planner && !this.planner.clearPath(userPos, this.route[this.leg + 1])) return false;
+        if (Math.hypot(wp.x - userPos.x, wp.y - userPos.y) < this.thresholds.waypoint) return true;
+        const prev = this.leg > 0 ? this.route[this.leg - 1] : this.routeStart;
+        if (!prev) return false;
+        const sx = wp.x - prev.x, sy = wp.y - prev.y;
+        const len2 = sx * sx + sy * sy;
+        return len2 > 0 && ((userPos.x - prev.x) * sx + (userPos.y - prev.y) * sy) / len2 > 1;
+    }
+
+    mayReplan(userPos, now) {
+        const last = this.lastReplan;
+        return !last || (now - last.time >= this.replanInterval &&
+            Math.hypot(userPos.x - last.x, userPos.y - last.y) > this.thresholds.replanMove);
+    }
+
+    distanceFromRoute(userPos) {
+        const prev = this.leg > 0 ? this.route[this.leg - 1] : this.routeStart;
+        if (!prev) return 0;
+        return Segment2D.distanceToPoint(userPos, prev, this.route[this.leg]);
+    }
+
+    remainingAfter(leg) {
+        let d = 0;
+        for (let i = leg + 1; i < this.route.length; i++) {
+            d += Math.hypot(this.route[i].x - this.route[i - 1].x, this.route[i].y - this.route[i - 1].y);
+        }
+        return d;
     }
 }
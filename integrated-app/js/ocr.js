@@ -0,0 +1,244 @@
+// Reading room numbers and signs. Text regions are found in the frame pipeline's worker,
+// or else on the low-res gray frame the VO has already computed (cells dense in strong
+// edges, many of them vertical strokes, grouped into horizontal blocks), cut from the
+// full-resolution frame and read by an on-device recognizer.
+// Readings carry a bearing and a rough range from the text height, so a sign naming a
+// place on the map can relocalise the user.
+//
+// Recognizer interface: load(), recognize(canvas) -> [{ text, confidence (0-100),
+// bbox: [x, y, w, h] in canvas pixels }] per line of text, dispose().
+
+// Tesseract.js with the fast English model. Everything is fetched on first use; the
+// service worker keeps these files and Tesseract.js stores the language data in
+// IndexedDB, so reading works offline afterwards.
+const OCR_ENGINE = {
+    lang: 'eng',
+    workerPath: 'https://cdn.jsdelivr.net/npm/tesseract.js@5/dist/worker.min.js',
+    corePath: 'https://cdn.jsdelivr.net/npm/tesseract.js-core@5',
+    langPath: 'https://tessdata.projectnaptha.com/4.0.0_fast'
+};
+
+class TesseractRecognizer {
+    constructor(options = {}) {
+        this.config = { ...OCR_ENGINE, ...options };
+        this.worker = null;
+    }
+
+    async load() {
+        if (typeof Tesseract === 'undefined') throw new Error("Tesseract.js not loaded");
+        const { lang, workerPath, corePath, langPath } = this.config;
+        this.worker = await Tesseract.createWorker(lang, 1, { workerPath, corePath, langPath, cacheMethod: 'write' });
+        // Signs are short blocks of a line or two
+        await this.worker.setParameters({ tessedit_pageseg_mode: Tesseract.PSM.SINGLE_BLOCK });
+    }
+
+    async recognize(canvas) {
+        const { data } = await this.worker.recognize(canvas);
+        return (data.lines || []).map(line => ({
+            text: line.text.trim(),
+            confidence: line.confidence,
+            bbox: [line.bbox.x0, line.bbox.y0, line.bbox.x1 - line.bbox.x0, line.bbox.y1 - line.bbox.y0]
+        }));
+    }
+
+    dispose() {
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+    }
+}
+
+// Candidate text blocks in a gray image -> [{ bbox: [x, y, w, h], score }], best first
+class TextRegionDetector {
+    constructor(options = {}) {
+        this.cell = options.cell || 8; // px at referenceWidth, scaled with the image
+        this.referenceWidth = options.referenceWidth || 320;
+        this.edgeThreshold = options.edgeThreshold || 25; // |gx| + |gy|, gray levels per px
+        this.minDensity = options.minDensity || 0.2; // edge pixels per cell
+        this.minVertical = options.minVertical || 0.35; // share of edges from vertical strokes
+        this.minCells = options.minCells || 3;
+        this.maxRegions = options.maxRegions || 3;
+    }
+
+    detect(gray) {
+        const { width, height } = gray;
+        const { gx, gy } = ImageOps.gradients(gray);
+        const c = Math.max(2, Math.round(this.cell * width / this.referenceWidth));
+        const cols = Math.floor(width / c), rows = Math.floor(height / c);
+
+        // Text-like cells. Horizontal lines (stair edges, shelves) have no vertical strokes.
+        const density = new Float32Array(cols * rows);
+        const texty = new Uint8Array(cols * rows);
+        for (let cy = 0; cy < rows; cy++) {
+            for (let cx = 0; cx < cols; cx++) {
+                let edges = 0, vertical = 0;
+                for (let y = cy * c; y < (cy + 1) * c; y++) {
+                    for (let x = cx * c; x < (cx + 1) * c; x++) {
+                        const i = y * width + x;
+                        const ax = Math.abs(gx[i]), ay = Math.abs(gy[i]);
+                        if (ax + ay <= this.edgeThreshold) continue;
+                        edges++;
+                        if (ax > ay) vertical++;
+                    }
+                }
+                const k = cy * cols + cx;
+                density[k] = edges / (c * c);
+                texty[k] = density[k] >= this.minDensity && vertical >= this.minVertical * edges ? 1 : 0;
+            }
+        }
+
+        // Blocks: neighbouring text cells, bridging one-cell gaps along a line (word spacing)
+        const label = new Int32Array(cols * rows).fill(-1);
+        const regions = [];
+        for (let start = 0; start < texty.length; start++) {
+            if (!texty[start] || label[start] >= 0) continue;
+            const stack = [start];
+            label[start] = regions.length;
+            let x0 = cols, y0 = rows, x1 = -1, y1 = -1, count = 0, sum = 0;
+            while (stack.length) {
+                const k = stack.pop();
+                const kx = k % cols, ky = (k / cols) | 0;
+                x0 = Math.min(x0, kx); x1 = Math.max(x1, kx);
+                y0 = Math.min(y0, ky); y1 = Math.max(y1, ky);
+                count++;
+                sum += density[k];
+                for (const [dx, dy] of [[1, 0], [-1, 0], [2, 0], [-2, 0], [0, 1], [0, -1]]) {
+                    const nx = kx + dx, ny = ky + dy;
+                    if (nx < 0 || ny < 0 || nx >= cols || ny >= rows) continue;
+                    const n = ny * cols + nx;
+                    if (texty[n] && label[n] < 0) {
+                        label[n] = regions.length;
+                        stack.push(n);
+                    }
+                }
+            }
+            const w = x1 - x0 + 1, h = y1 - y0 + 1;
+            if (count < this.minCells || w < h || h > rows * 0.3 || count < 0.4 * w * h) {
+                regions.push(null);
+                continue;
+            }
+            // Prefer blocks near the centre, where the user is pointing the camera
+            const centre = 1 - Math.abs((x0 + w / 2) / cols - 0.5);
+            // One cell of margin, so the recognizer sees the whole characters
+            const px0 = Math.max(0, (x0 - 1) * c), py0 = Math.max(0, (y0 - 1) * c);
+            const px1 = Math.min(width, (x1 + 2) * c), py1 = Math.min(height, (y1 + 2) * c);
+            regions.push({ bbox: [px0, py0, px1 - px0, py1 - py0], score: sum * centre });
+        }
+        return regions.filter(Boolean).sort((a, b) => b.score - a.score).slice(0, this.maxRegions);
+    }
+}
+
+class TextReader {
+    constructor(options = {}) {
+        this.engine = options.engine || new TesseractRecognizer();
+        this.regions = options.regions || new TextRegionDetector();
+        this.range = options.range || null; // RangeEstimator, for the bearing and range of a sign
+        this.pipeline = options.pipeline || null; // FramePipeline: the region search runs in its worker
+        this.grayFrame = options.grayFrame || null; // () => the VO's frame of the current view, otherwise
+        this.interval = options.interval || 1500; // ms between background reads
+        this.minConfidence = options.minConfidence || 60;
+        this.scanWidth = options.scanWidth || 320; // px, region search resolution in the worker
+        this.minTextHeight = options.minTextHeight || 32; // px, small crops are enlarged to this
+
+        this.isLoaded = false;
+        this.busy = false;
+        this.lastRun = 0;
+        this.lastReadings = [];
+        this.lastReadTime = 0;
+        this.cropCanvas = null;
+    }
+
+    async load() {
+        try {
+            await this.engine.load();
+            this.isLoaded = true;
+        } catch (e) {
+            console.warn("TextReader: recognizer failed to load", e);
+            this.isLoaded = false;
+        }
+        return this.isLoaded;
+    }
+
+    // Free text -> what a sign says: letters, digits, single spaces and hyphens
+    static clean(text) {
+        return String(text || '').replace(/[^A-Za-z0-9\- ]+/g, ' ').replace(/\s+/g, ' ').trim();
+    }
+
+    // video: element or canvas. options.force skips the throttle (user asked to read).
+    // -> [{ text, confidence, bbox (frame pixels), bearing, depth, depthSigma }] or null
+    // when throttled or still busy with the previous frame
+    async read(video, options = {}) {
+        if (!this.isLoaded || this.busy) return null;
+        const now = Date.now();
+        if (!options.force && now - this.lastRun < this.interval) return null;
+        this.lastRun = now;
+        this.busy = true;
+        try {
+            const width = video.videoWidth || video.width;
+            const height = video.videoHeight || video.height;
+            const readings = [];
+            for (const region of await this.findRegions(video, width, height)) {
+                readings.push(...await this.readRegion(video, region.bbox, width, height));
+            }
+            this.lastReadings = readings;
+            this.lastReadTime = now;
+            return readings;
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    // Text blocks in frame pixels. In the pipeline's text worker, the frame sent over as a
+    // bitmap at scanWidth; on the VO's frame without one. Either way no extra frame work
+    // on the main thread.
+    async findRegions(video, width, height) {
+        if (this.pipeline) {
+            try {
+                const scale = Math.min(1, this.scanWidth / width);
+                const pending = this.pipeline.findText(video, Math.round(width * scale), Math.round(height * scale));
+                const regions = pending ? await pending : [];
+                return regions.map(r => ({ ...r, bbox: r.bbox.map(v => v / scale) }));
+            } catch (e) {
+                console.warn("TextReader: region worker failed, searching on the VO frame", e);
+                this.pipeline = null;
+            }
+        }
+        const frame = this.grayFrame ? this.grayFrame() : null;
+        if (!frame) return [];
+        const gray = frame.data instanceof Float32Array ? frame : ImageOps.toGrayscale(frame);
+        const sx = width / gray.width, sy = height / gray.height;
+        return this.regions.detect(gray).map(r => ({ ...r, bbox: [r.bbox[0] * sx, r.bbox[1] * sy, r.bbox[2] * sx, r.bbox[3] * sy] }));
+    }
+
+    // One block cut from the full frame, enlarged when small, read line by line
+    async readRegion(video, bbox, width, height) {
+        const [x, y, w, h] = bbox;
+        const zoom = Math.min(3, Math.max(1, this.minTextHeight * 2 / h));
+        if (!this.cropCanvas) this.cropCanvas = document.createElement('canvas');
+        this.cropCanvas.width = Math.round(w * zoom);
+        this.cropCanvas.height = Math.round(h * zoom);
+        this.cropCanvas.getContext('2d').drawImage(video, x, y, w, h, 0, 0, this.cropCanvas.width, this.cropCanvas.height);
+
+        const lines = await this.engine.recognize(this.cropCanvas);
+        return lines
+            .map(line => ({ ...line, text: TextReader.clean(line.text) }))
+            .filter(line => line.confidence >= this.minConfidence && /[A-Za-z0-9]{2}/.test(line.text))
+            .map(line => {
+                const box = [x + line.bbox[0] / zoom, y + line.bbox[1] / zoom, line.bbox[2] / zoom, line.bbox[3] / zoom];
+                const reading = { text: line.text, confidence: line.confidence, bbox: box, bearing: 0, depth: 0, depthSigma: 0 };
+                if (this.range) {
+                    reading.bearing = this.range.bearing(box[0] + box[2] / 2, width);
+                    const range = this.range.estimate({ class: 'sign text', bbox: box }, width, height);
+                    if (range) {
+                        reading.depth = range.depth;
+                        reading.depthSigma = range.sigma;
+                    }
+                }
+                return reading;
+            });
+    }
+
+    dispose() {
+        this.engine.dispose();
+        this.isLoaded = false;
+    }
+}
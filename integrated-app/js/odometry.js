@@ -1,47 +1,63 @@
 class VisualOdometry {
-    constructor() {
-        this.prevFrame = null;
-        this.width = 64; // Low res for performance
-        this.height = 48;
-        this.canvas = document.createElement('canvas');
+    constructor(options = {}) {
+        this.width = options.width || 160; // Low res for performance
+        this.height = options.height || 120;
+        this.ctx = null; // created by the first process(video): processImage needs none
+        this.tracker = new LucasKanadeTracker();
+
+        // Monocular pose is heavier and needs a wider baseline, so it runs less often
+        this.mono = new MonocularVO({ width: this.width, height: this.height });
+        this.poseInterval = 100; // ms
+        this.lastPoseTime = 0;
+        this.frame = null; // latest gray frame (see ImageOps), for the hazard detector and recorder
+    }
+
+    // Drops the previous frames (screen rotation, camera restart)
+    reset() {
+        this.tracker.reset();
+        this.mono.reset();
+        this.lastPoseTime = 0;
+    }
+
+    // Returns the tracker result: per-feature flow vectors plus dominant motion.
+    // `pose` is attached on frames where the monocular pose ran (null if it was unreliable).
+    // video: a video element, or an ImageBitmap in the pipeline worker
+    process(video, now = Date.now()) {
+        if (video.readyState < 2) return LucasKanadeTracker.emptyResult();
+
+        if (!this.ctx) this.createCanvas();
+        this.ctx.drawImage(video, 0, 0, this.width, this.height);
+        return this.processImage(this.ctx.getImageData(0, 0, this.width, this.height), now);
+    }
+
+    // OffscreenCanvas when running in the pipeline worker (no DOM there)
+    createCanvas() {
+        this.canvas = typeof document !== 'undefined' ? document.createElement('canvas') : new OffscreenCanvas(this.width, this.height);
         this.canvas.width = this.width;
         this.canvas.height = this.height;
         this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
     }
 
-    process(video) {
-        if (video.readyState < 2) return 0;
+    // Same, for a frame that is already width x height (session replay), RGBA or gray
+    processImage(currentFrame, now = Date.now()) {
+        const gray = currentFrame.data instanceof Float32Array ? currentFrame : ImageOps.toGrayscale(currentFrame);
+        this.frame = gray;
+        const flow = this.tracker.process(gray);
 
-        this.ctx.drawImage(video, 0, 0, this.width, this.height);
-        const currentFrame = this.ctx.getImageData(0, 0, this.width, this.height);
-        let movement = 0;
-
-        if (this.prevFrame) {
-            // Simple difference check
-            let diff = 0;
-            const data1 = this.prevFrame.data;
-            const data2 = currentFrame.data;
-
-            for (let i = 0; i < data1.length; i += 4) {
-                // Grayscale diff
-                const g1 = (data1[i] + data1[i + 1] + data1[i + 2]) / 3;
-                const g2 = (data2[i] + data2[i + 1] + data2[i + 2]) / 3;
-                diff += Math.abs(g1 - g2);
-            }
-            movement = diff / (this.width * this.height);
+        if (now - this.lastPoseTime >= this.poseInterval) {
+            this.lastPoseTime = now;
+            flow.pose = this.mono.process(gray);
         }
-
-        this.prevFrame = currentFrame;
-        return movement;
+        return flow;
     }
 }
 
 class OdometryModule {
     constructor() {
-        this.x = 0;
-        this.y = 0;
-        this.heading = 0; // Radians
+        // Pose lives in the filter: see the x / y / heading getters
+        this.ekf = new PoseEKF();
         this.stepCount = 0;
+        this.stepModel = new StepLengthModel(); // per-user step length, see calibration walk
 
         // Internal helpers
         this.stepThreshold = 1.2;
@@ -49,34 +65,324 @@ class OdometryModule {
         this.alpha = 0.8; // Low pass filter
         this.lastStepTime = 0;
         this.lastGyroTime = 0;
+        this.yaw = new YawRateEstimator();
 
         // AI/Fusion
         this.vo = new VisualOdometry();
         this.isMoving = false;
+        this.motion = 'static'; // see LucasKanadeTracker.classify
+        this.flow = LucasKanadeTracker.emptyResult();
         this.confidence = 1.0;
+
+        // Monocular VO fusion
+        this.voHeadingNoise = 2 * Math.PI / 180; // rad per VO interval at full confidence
+        this.voConfidence = 0;
+        this.travelOffset = 0; // direction of travel relative to where the camera points (rad)
+
+        // Compass: heading is relative to the start direction until a clean fix aligns it to north
+        this.compass = new CompassFusion();
+        this.northAligned = false;
+        this.compassInterval = 1000; // ms between compass updates; readings are strongly correlated
+        this.lastCompassUpdate = 0;
+        this.compassRejected = 0;
+
+        // Local landmark map, fed with the VO keypoints
+        this.map = new SlamMap({
+            intrinsics: this.vo.mono.intrinsics,
+            imageWidth: this.vo.width,
+            imageHeight: this.vo.height
+        });
+        this.places = new PlaceRecognizer({
+            intrinsics: this.vo.mono.intrinsics,
+            slamMap: this.map,
+            onLoopClosure: (loop) => this.handleLoopClosure(loop)
+        });
+
+        // Pose graph over keyframes; loop closures redistribute the drift
+        this.graph = new PoseGraph();
+        this.keyframeNodes = new Map(); // keyframe id -> { node, pose }
+        this.lastNode = -1;
+        this.trajectory = []; // { x, y, node, local } - local is relative to the anchor node
+
+        // Absolute fixes from landmarks of the active floor plan
+        this.relocalizer = new LandmarkRelocalizer();
+        this.relocalizations = 0;
     }
 
+    get x() { return this.ekf.x; }
+    get y() { return this.ekf.y; }
+    get heading() { return this.ekf.heading; } // Radians
+
     start() {
+        this.stop();
         if (window.DeviceMotionEvent) {
-            window.addEventListener('devicemotion', (e) => this.handleMotion(e));
+            this.listen('devicemotion', (e) => this.handleMotion(e));
+        }
+        // Chrome only reports north-referenced alpha on the absolute event
+        const orientationEvent = 'ondeviceorientationabsolute' in window ? 'deviceorientationabsolute' : 'deviceorientation';
+        this.listen(orientationEvent, (e) => this.handleOrientation(e));
+        this.startMagnetometer();
+        if (!this.watchingScreen) {
+            YawRateEstimator.onScreenOrientationChange(() => this.handleScreenRotation());
+            this.watchingScreen = true;
         }
     }
 
+    // Detaches the live sensors (system stop, session replay)
+    stop() {
+        (this.listeners || []).forEach(([type, fn]) => window.removeEventListener(type, fn));
+        this.listeners = [];
+        if (this.magnetometer) this.magnetometer.stop();
+        this.magnetometer = null;
+        this.lastGyroTime = 0;
+    }
+
+    listen(type, fn) {
+        window.addEventListener(type, fn);
+        this.listeners.push([type, fn]);
+    }
+
+    // The camera image turns with the screen, so frame-to-frame tracking across the
+    // rotation would read as a 90 degree roll. The gyro keeps the vertical meanwhile.
+    handleScreenRotation() {
+        this.vo.reset();
+        this.ekf.cloneHeading();
+        // The VO may run in a worker too
+        this.emit('vo-reset');
+    }
+
+    // Window events for the page; headless (tools/replay.js) there is no one to tell
+    emit(type, detail) {
+        if (typeof window !== 'undefined') window.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+
+    // Field magnitude for disturbance detection (Generic Sensor API, not available everywhere)
+    startMagnetometer() {
+        if (!('Magnetometer' in window)) return;
+        try {
+            const sensor = new Magnetometer({ frequency: 10 });
+            sensor.addEventListener('reading', () => this.compass.processMagnetometer(sensor));
+            sensor.addEventListener('error', (e) => console.warn("Magnetometer:", e.error));
+            sensor.start();
+            this.magnetometer = sensor;
+        } catch (e) {
+            console.warn("Magnetometer unavailable", e);
+        }
+    }
+
+    handleOrientation(e) {
+        const fix = this.compass.processOrientation(e);
+        if (!fix || fix.timestamp - this.lastCompassUpdate < this.compassInterval) return;
+        this.lastCompassUpdate = fix.timestamp;
+
+        if (!this.northAligned) {
+            this.alignToNorth(fix);
+            return;
+        }
+
+        // Innovation gate (3 sigma) catches disturbances the rate check missed
+        const innovation = SE2.wrap(fix.heading - this.heading);
+        if (innovation * innovation / (this.ekf.P[EKF_H][EKF_H] + fix.variance) > 9) {
+            this.compassRejected++;
+            return;
+        }
+        this.ekf.updateHeading(fix.heading, fix.variance);
+    }
+
+    // First clean compass fix: turn the start-direction frame to north. Whatever was built
+    // in it so far (pose, keyframes, pose graph, landmarks, trajectory) turns with it about
+    // the origin, so the relative geometry is kept.
+    alignToNorth(fix) {
+        const shift = SE2.wrap(fix.heading - this.heading);
+        this.ekf.rotateFrame(shift);
+        this.ekf.setHeading(fix.heading, fix.variance);
+
+        this.graph.nodes = this.graph.nodes.map(n => SE2.rotate(n, shift));
+        const corrections = new Map();
+        this.keyframeNodes.forEach((entry, id) => {
+            const after = { ...this.graph.nodes[entry.node] };
+            corrections.set(id, { before: entry.pose, after });
+            entry.pose = after;
+        });
+        this.map.applyCorrections(corrections);
+        this.places.applyCorrections(corrections);
+        this.trajectory.forEach(p => Object.assign(p, SE2.rotate({ x: p.x, y: p.y }, shift)));
+
+        this.northAligned = true;
+        this.emit('compass-aligned', { ...fix, shift });
+        if (this.trajectory.length) this.emit('trajectory-corrected', this.trajectory);
+    }
+
     // Called from main loop with video element
-    updateVisuals(video) {
-        const flow = this.vo.process(video);
-        // Threshold: If flow < 5, we are likely stationary (even if accelerometer shakes)
-        this.isMoving = flow > 5;
+    updateVisuals(video, timestamp = performance.now()) {
+        this.applyFlow(this.vo.process(video, timestamp), timestamp);
+    }
+
+    // Replay entry point: a recorded frame at the VO resolution
+    updateFrame(imageData, timestamp) {
+        this.applyFlow(this.vo.processImage(imageData, timestamp), timestamp);
+    }
+
+    // Result of the VO worker (FramePipeline.processVisual): the same update, with the
+    // keypoints and frame computed there
+    applyVisualResult(result) {
+        this.vo.frame = result.frame;
+        this.applyFlow(result.flow, result.timestamp, result.keypoints);
+    }
+
+    applyFlow(flow, timestamp = Date.now(), keypoints = this.vo.mono.keypoints) {
+        this.flow = flow;
+        this.motion = flow.motion;
+        // Pure scene motion (someone walking past) or a static view does not confirm a step
+        this.isMoving = flow.motion === 'forward' || flow.motion === 'turning';
+
+        if (flow.pose !== undefined) {
+            this.applyPoseDelta(flow.pose);
+            const keyframe = this.map.track(keypoints, this.getPosition(), timestamp);
+            if (keyframe) {
+                this.addGraphNode(keyframe);
+                this.places.process(keyframe);
+            }
+        }
 
         // Update UI debug
-        const status = document.getElementById('status');
-        if (status) status.innerText = `Flow: ${flow.toFixed(1)} | Moving: ${this.isMoving}`;
+        const status = typeof document !== 'undefined' && document.getElementById('status');
+        if (status) status.innerText = `Flow: ${flow.magnitude.toFixed(1)}px (${flow.motion}) | Moving: ${this.isMoving}`;
+    }
+
+    // The VO rotation since the previous VO frame is a relative heading measurement
+    // against the filter's clone of the heading at that frame. Also learns the walking
+    // direction relative to the camera axis.
+    applyPoseDelta(delta) {
+        if (delta && delta.confidence > 0) {
+            this.voConfidence = delta.confidence;
+            const variance = this.voHeadingNoise ** 2 / delta.confidence;
+            this.ekf.updateHeadingChange(delta.yaw, variance);
+
+            // Only trust the translation direction when clearly walking forward
+            if (delta.translation && delta.translation[2] > 0.7 && delta.confidence > 0.5) {
+                this.travelOffset += 0.1 * (delta.travelAngle - this.travelOffset);
+                this.travelOffset = Math.max(-Math.PI / 4, Math.min(Math.PI / 4, this.travelOffset));
+            }
+        } else {
+            this.voConfidence = 0;
+        }
+        this.ekf.cloneHeading();
+    }
+
+    addGraphNode(keyframe) {
+        const node = this.graph.addNode(keyframe.pose);
+        if (this.lastNode >= 0) this.graph.addOdometryEdge(this.lastNode, node);
+        this.keyframeNodes.set(keyframe.id, { node, pose: { ...keyframe.pose } });
+        this.lastNode = node;
+        this.pruneGraph();
+    }
+
+    // Keeps the pose graph, and so the optimisation on every loop closure, bounded.
+    // Keyframes that fall out of it are no longer corrected, nor matched for loops.
+    pruneGraph() {
+        const dropped = this.graph.prune();
+        if (!dropped) return;
+        this.lastNode -= dropped;
+        const forgotten = [];
+        this.keyframeNodes.forEach((entry, id) => {
+            entry.node -= dropped;
+            if (entry.node < 0) forgotten.push(id);
+        });
+        forgotten.forEach(id => this.keyframeNodes.delete(id));
+        this.places.forget(forgotten);
+        this.trajectory.forEach(p => p.node = p.node >= dropped ? p.node - dropped : -1);
+    }
+
+    // Revisited a known place: add the loop constraint, optimise the pose graph and
+    // move the current pose, keyframes, landmarks and stored trajectory with it
+    handleLoopClosure(loop) {
+        const from = this.keyframeNodes.get(loop.matchId);
+        const to = this.keyframeNodes.get(loop.queryId);
+        if (!from || !to) return;
+
+        const local = SE2.between(this.graph.nodes[this.lastNode], this.getPosition());
+        // Without landmark depths only the rotation of the loop transform is metric
+        const information = loop.scaleKnown ? [20, 20, 200] : [0.5, 0.5, 200];
+        this.graph.addEdge(from.node, to.node, loop.transform, information);
+        this.graph.optimize();
+
+        const corrections = new Map();
+        this.keyframeNodes.forEach((entry, id) => {
+            const after = { ...this.graph.nodes[entry.node] };
+            corrections.set(id, { before: entry.pose, after });
+            entry.pose = after;
+        });
+        this.map.applyCorrections(corrections);
+        this.places.applyCorrections(corrections);
+
+        const pose = SE2.compose(this.graph.nodes[this.lastNode], local);
+        this.ekf.setPose(pose, loop.scaleKnown ? 0.1 : 0.5);
+
+        this.trajectory.forEach(p => {
+            if (p.node < 0) return;
+            const corrected = SE2.compose(this.graph.nodes[p.node], p.local);
+            p.x = corrected.x;
+            p.y = corrected.y;
+        });
+
+        this.emit('loop-closure', loop);
+        this.emit('trajectory-corrected', this.trajectory);
+    }
+
+    // Active floor plan (or null): its landmark registry is what detections are matched to
+    setFloorPlan(plan) {
+        this.relocalizer.setLandmarks(plan ? plan.landmarks : []);
+    }
+
+    // Detections from VisionModule; a consistent landmark match becomes a position update
+    observeLandmarks(predictions, frameWidth, timestamp = Date.now()) {
+        const fix = this.relocalizer.process(predictions, this.getPosition(), this.ekf.getCovariance(), frameWidth, timestamp);
+        return fix ? this.applyFix(fix) : null;
+    }
+
+    // Signs read by TextReader, matched by name to the places of the active map
+    // (PoiCatalogue). Only a sign naming exactly one place is used, anchored where its
+    // sign hangs (PoiCatalogue.signAnchors) rather than at the middle of a room.
+    observeText(readings, pois, frameWidth, timestamp = Date.now()) {
+        if (!pois || !readings) return null;
+        for (const reading of readings) {
+            const matches = pois.signMatches(reading.text);
+            if (matches.length !== 1) continue;
+            const poi = matches[0];
+            const anchors = pois.signAnchors(poi).map(a => ({ ...a, id: `poi:${a.id}`, type: 'room sign', name: poi.name }));
+            const fix = this.relocalizer.processIdentified(anchors, reading, this.getPosition(), this.ekf.getCovariance(), frameWidth, timestamp);
+            if (fix) return this.applyFix(fix);
+        }
+        return null;
+    }
+
+    applyFix(fix) {
+        const before = this.getPosition();
+        this.ekf.updatePosition(fix.x, fix.y, fix.variance);
+        this.relocalizations++;
+        const shift = Math.hypot(this.x - before.x, this.y - before.y);
+        this.emit('relocalized', { ...fix, shift });
+        return fix;
+    }
+
+    recordTrajectory() {
+        const pos = this.getPosition();
+        const anchor = this.lastNode >= 0 ? this.graph.nodes[this.lastNode] : null;
+        this.trajectory.push({
+            x: pos.x,
+            y: pos.y,
+            node: this.lastNode,
+            local: anchor ? SE2.between(anchor, pos) : null
+        });
     }
 
     handleMotion(e) {
         // 1. Step Detection
         const acc = e.accelerationIncludingGravity;
         if (acc) {
+            this.stepModel.update(acc);
+
             // Low pass filter
             const x = this.alpha * this.lastAccel.x + (1 - this.alpha) * acc.x;
             const y = this.alpha * this.lastAccel.y + (1 - this.alpha) * acc.y;
@@ -84,7 +390,7 @@ class OdometryModule {
             this.lastAccel = { x, y, z };
 
             const mag = Math.sqrt(x * x + y * y + z * z) / 9.81;
-            const now = Date.now();
+            const now = e.timeStamp || Date.now();
 
             // Step Logic: Peak detection + VO Confirmation
             if (mag > this.stepThreshold && (now - this.lastStepTime > 400)) {
@@ -94,29 +400,25 @@ class OdometryModule {
                     this.stepCount++;
                     this.lastStepTime = now;
 
-                    // Update Position
-                    const stepLen = 0.7; // meters
-                    this.x += stepLen * Math.sin(this.heading);
-                    this.y += stepLen * Math.cos(this.heading);
+                    // Update Position (step length is part of the filter state)
+                    const stride = this.stepModel.onStep(now);
+                    this.ekf.updateStepLength(stride.length, stride.variance);
+                    this.ekf.step(this.travelOffset);
+                    this.recordTrajectory();
                 }
             }
         }
 
-        // 2. Heading (Gyro Integration + Complementary Filter Mock)
+        // 2. Heading (EKF prediction from the gyro, bias is estimated)
         const rot = e.rotationRate;
         if (rot) {
             const now = e.timeStamp || Date.now();
+            const dt = this.lastGyroTime ? (now - this.lastGyroTime) / 1000 : 0;
+            // Rotation about the world vertical, whatever way the phone is held
+            const rate = this.yaw.update(acc, rot, dt);
             if (this.lastGyroTime) {
-                const dt = (now - this.lastGyroTime) / 1000;
-                // Z-axis rotation (alpha) in degrees/sec
-                const rate = (rot.alpha || 0) * (Math.PI / 180);
-
-                // Simple integration
-                this.heading += rate * dt;
-
-                // Normalize
-                this.heading = this.heading % (2 * Math.PI);
-                if (this.heading < 0) this.heading += 2 * Math.PI;
+                this.ekf.predict(rate, dt);
+                this.compass.processGyro(rate, now);
             }
             this.lastGyroTime = now;
         }
@@ -125,4 +427,13 @@ class OdometryModule {
     getPosition() {
         return { x: this.x, y: this.y, heading: this.heading };
     }
+
+    // Filter confidence (0..1) and 1-sigma uncertainty, for diagnostics
+    getConfidence() {
+        return this.ekf.getConfidence();
+    }
+
+    getUncertainty() {
+        return this.ekf.getUncertainty();
+    }
 }
@@ -0,0 +1,305 @@
+// Sparse pyramidal Lucas-Kanade tracker over Shi-Tomasi corners.
+// Works on ImageData on the CPU so it can run without WebGL and be tested on synthetic frames.
+class LucasKanadeTracker {
+    constructor(options = {}) {
+        this.levels = options.levels || 3;
+        this.halfWindow = options.halfWindow || 4; // 9x9 window
+        this.maxIterations = options.maxIterations || 10;
+        this.epsilon = options.epsilon || 0.01; // px, convergence
+        this.maxFeatures = options.maxFeatures || 60;
+        this.minDistance = options.minDistance || 8; // px between corners
+        this.qualityLevel = options.qualityLevel || 0.05; // relative to strongest corner
+        this.minEigen = options.minEigen || 1e-3; // rejects flat / edge-only windows
+        this.maxError = options.maxError || 30; // mean abs residual per pixel
+        this.inlierThreshold = options.inlierThreshold || 1.0; // px, dominant-motion fit
+
+        this.prev = null; // { pyramid, grads }
+        this.points = []; // features carried over from the previous frame
+        this.rng = new SeededRandom(options.seed || 7);
+    }
+
+    reset() {
+        this.prev = null;
+        this.points = [];
+    }
+
+    // Stateful entry point: call once per frame. Keeps tracking the same corners
+    // and only re-detects when too many have been lost.
+    process(imageData) {
+        const frame = this.prepare(imageData);
+        let result = LucasKanadeTracker.emptyResult();
+
+        if (this.prev) {
+            if (this.points.length < this.maxFeatures / 2) {
+                this.points = this.detectCorners(this.prev.pyramid[0], this.prev.grads[0]);
+            }
+            result = this.trackFrames(this.prev, frame, this.points);
+            this.points = result.vectors.map(v => ({ x: v.x + v.dx, y: v.y + v.dy }));
+        }
+
+        this.prev = frame;
+        return result;
+    }
+
+    // Stateless: flow between two frames
+    computeFlow(prevImageData, nextImageData) {
+        const prev = this.prepare(prevImageData);
+        const next = this.prepare(nextImageData);
+        const points = this.detectCorners(prev.pyramid[0], prev.grads[0]);
+        return this.trackFrames(prev, next, points);
+    }
+
+    prepare(imageData) {
+        const gray = imageData.data instanceof Float32Array ? imageData : ImageOps.toGrayscale(imageData);
+        const pyramid = ImageOps.buildPyramid(gray, this.levels);
+        return { pyramid, grads: pyramid.map(level => ImageOps.gradients(level)) };
+    }
+
+    trackFrames(prev, next, points) {
+        const vectors = [];
+        for (const p of points) {
+            const d = this.trackPoint(prev, next, p);
+            if (d) vectors.push({ x: p.x, y: p.y, dx: d.x, dy: d.y, error: d.error });
+        }
+
+        const motion = this.estimateMotion(vectors, prev.pyramid[0].width, prev.pyramid[0].height);
+        const lengths = vectors.map(v => Math.hypot(v.dx, v.dy)).sort((a, b) => a - b);
+        const magnitude = lengths.length ? lengths[lengths.length >> 1] : 0;
+
+        return {
+            vectors,
+            magnitude, // median displacement (px)
+            translation: motion.translation,
+            rotation: motion.rotation, // radians, in-plane
+            scale: motion.scale, // > 1 means the scene is expanding (moving forward)
+            inlierRatio: motion.inlierRatio,
+            motion: LucasKanadeTracker.classify(vectors.length, magnitude, motion)
+        };
+    }
+
+    // Shi-Tomasi: minimum eigenvalue of the structure tensor, then greedy selection
+    // with a minimum distance so corners are spread over the frame
+    detectCorners(img, grad) {
+        const { width, height } = img;
+        const { gx, gy } = grad;
+        const r = 2;
+        const border = this.halfWindow + 2;
+        const candidates = [];
+        let best = 0;
+
+        for (let y = border; y < height - border; y++) {
+            for (let x = border; x < width - border; x++) {
+                let sxx = 0, syy = 0, sxy = 0;
+                for (let v = -r; v <= r; v++) {
+                    let i = (y + v) * width + x - r;
+                    for (let u = -r; u <= r; u++, i++) {
+                        sxx += gx[i] * gx[i];
+                        syy += gy[i] * gy[i];
+                        sxy += gx[i] * gy[i];
+                    }
+                }
+                const score = LucasKanadeTracker.minEigenvalue(sxx, sxy, syy);
+                if (score > 0) {
+                    candidates.push({ x, y, score });
+                    if (score > best) best = score;
+                }
+            }
+        }
+
+        const minScore = best * this.qualityLevel;
+        candidates.sort((a, b) => b.score - a.score);
+
+        const picked = [];
+        const minDist2 = this.minDistance * this.minDistance;
+        for (const c of candidates) {
+            if (c.score < minScore || picked.length >= this.maxFeatures) break;
+            if (picked.every(p => (p.x - c.x) ** 2 + (p.y - c.y) ** 2 >= minDist2)) {
+                picked.push({ x: c.x, y: c.y });
+            }
+        }
+        return picked;
+    }
+
+    // Bouguet's pyramidal LK for a single point. Returns displacement at level 0 or null if lost.
+    trackPoint(prev, next, p) {
+        const levels = Math.min(prev.pyramid.length, next.pyramid.length);
+        const hw = this.halfWindow;
+        let gx = 0, gy = 0; // guess carried down the pyramid
+        let error = 0;
+
+        for (let l = levels - 1; l >= 0; l--) {
+            const I = prev.pyramid[l];
+            const J = next.pyramid[l];
+            const { gx: Ix, gy: Iy } = prev.grads[l];
+            const w = I.width, h = I.height;
+            const scale = 1 << l;
+            const px = p.x / scale;
+            const py = p.y / scale;
+
+            if (px - hw < 1 || py - hw < 1 || px + hw >= w - 2 || py + hw >= h - 2) {
+                if (l === 0) return null;
+                gx *= 2; gy *= 2;
+                continue;
+            }
+
+            // Spatial gradient matrix G and template samples
+            let gxx = 0, gyy = 0, gxy = 0;
+            const n = (2 * hw + 1) * (2 * hw + 1);
+            const tI = new Float32Array(n);
+            const tX = new Float32Array(n);
+            const tY = new Float32Array(n);
+            let k = 0;
+            for (let v = -hw; v <= hw; v++) {
+                for (let u = -hw; u <= hw; u++, k++) {
+                    const ix = ImageOps.sample(Ix, w, h, px + u, py + v);
+                    const iy = ImageOps.sample(Iy, w, h, px + u, py + v);
+                    tI[k] = ImageOps.sample(I.data, w, h, px + u, py + v);
+                    tX[k] = ix;
+                    tY[k] = iy;
+                    gxx += ix * ix;
+                    gyy += iy * iy;
+                    gxy += ix * iy;
+                }
+            }
+
+            const det = gxx * gyy - gxy * gxy;
+            if (LucasKanadeTracker.minEigenvalue(gxx, gxy, gyy) / n < this.minEigen || Math.abs(det) < 1e-9) {
+                return null;
+            }
+
+            let vx = 0, vy = 0;
+            for (let iter = 0; iter < this.maxIterations; iter++) {
+                const qx = px + gx + vx;
+                const qy = py + gy + vy;
+                if (qx - hw < 0 || qy - hw < 0 || qx + hw >= w - 1 || qy + hw >= h - 1) return null;
+
+                let bx = 0, by = 0;
+                error = 0;
+                k = 0;
+                for (let v = -hw; v <= hw; v++) {
+                    for (let u = -hw; u <= hw; u++, k++) {
+                        const dI = tI[k] - ImageOps.sample(J.data, w, h, qx + u, qy + v);
+                        bx += dI * tX[k];
+                        by += dI * tY[k];
+                        error += Math.abs(dI);
+                    }
+                }
+
+                const ex = (gyy * bx - gxy * by) / det;
+                const ey = (gxx * by - gxy * bx) / det;
+                vx += ex;
+                vy += ey;
+                if (ex * ex + ey * ey < this.epsilon * this.epsilon) break;
+            }
+
+            gx += vx;
+            gy += vy;
+            error /= n;
+            if (l > 0) { gx *= 2; gy *= 2; }
+        }
+
+        if (error > this.maxError) return null;
+        return { x: gx, y: gy, error };
+    }
+
+    // Robust similarity fit (scale, in-plane rotation, translation about the image centre).
+    // RANSAC over 2-point samples, then least squares on the inliers. Vectors that do not
+    // follow the dominant motion are flagged as outliers (independent scene motion).
+    estimateMotion(vectors, width, height) {
+        const none = { translation: { x: 0, y: 0 }, rotation: 0, scale: 1, inlierRatio: 0 };
+        if (vectors.length < 2) {
+            if (vectors.length === 1) {
+                vectors[0].inlier = true;
+                return { ...none, translation: { x: vectors[0].dx, y: vectors[0].dy }, inlierRatio: 1 };
+            }
+            return none;
+        }
+
+        const cx = width / 2, cy = height / 2;
+        const pts = vectors.map(v => ({ x: v.x - cx, y: v.y - cy, x2: v.x + v.dx - cx, y2: v.y + v.dy - cy }));
+        const thr2 = this.inlierThreshold * this.inlierThreshold;
+        const iterations = Math.min(100, pts.length * (pts.length - 1) / 2);
+
+        let bestInliers = null;
+        for (let it = 0; it < iterations; it++) {
+            const [i, j] = this.rng.sample(pts.length, 2);
+            const model = LucasKanadeTracker.fitSimilarity([pts[i], pts[j]]);
+            if (!model) continue;
+            const inliers = pts.filter(p => LucasKanadeTracker.residual2(model, p) < thr2);
+            if (!bestInliers || inliers.length > bestInliers.length) bestInliers = inliers;
+        }
+
+        const model = bestInliers && bestInliers.length >= 2 ? LucasKanadeTracker.fitSimilarity(bestInliers) : null;
+        if (!model) return none;
+
+        let count = 0;
+        pts.forEach((p, i) => {
+            vectors[i].inlier = LucasKanadeTracker.residual2(model, p) < thr2;
+            if (vectors[i].inlier) count++;
+        });
+
+        return {
+            translation: { x: model.tx, y: model.ty },
+            rotation: Math.atan2(model.b, model.a),
+            scale: Math.hypot(model.a, model.b),
+            inlierRatio: count / vectors.length
+        };
+    }
+
+    // Least squares for x' = a x - b y + tx, y' = b x + a y + ty
+    static fitSimilarity(pts) {
+        const n = pts.length;
+        let mx = 0, my = 0, mx2 = 0, my2 = 0;
+        for (const p of pts) { mx += p.x; my += p.y; mx2 += p.x2; my2 += p.y2; }
+        mx /= n; my /= n; mx2 /= n; my2 /= n;
+
+        let sa = 0, sb = 0, ss = 0;
+        for (const p of pts) {
+            const x = p.x - mx, y = p.y - my;
+            const x2 = p.x2 - mx2, y2 = p.y2 - my2;
+            sa += x * x2 + y * y2;
+            sb += x * y2 - y * x2;
+            ss += x * x + y * y;
+        }
+        if (ss < 1e-9) return null;
+
+        const a = sa / ss;
+        const b = sb / ss;
+        return { a, b, tx: mx2 - (a * mx - b * my), ty: my2 - (b * mx + a * my) };
+    }
+
+    static residual2(m, p) {
+        const ex = m.a * p.x - m.b * p.y + m.tx - p.x2;
+        const ey = m.b * p.x + m.a * p.y + m.ty - p.y2;
+        return ex * ex + ey * ey;
+    }
+
+    static minEigenvalue(sxx, sxy, syy) {
+        const tr = (sxx + syy) / 2;
+        return tr - Math.sqrt(((sxx - syy) / 2) ** 2 + sxy * sxy);
+    }
+
+    // Coarse label used by OdometryModule:
+    // 'static' (no motion), 'turning' (mostly horizontal shift), 'forward' (expansion),
+    // 'scene' (vectors disagree: something else is moving in front of the camera)
+    static classify(count, magnitude, motion) {
+        if (count < 4 || magnitude < 0.3) return 'static';
+        if (motion.inlierRatio < 0.5) return 'scene';
+        const { x, y } = motion.translation;
+        if (Math.abs(motion.scale - 1) > 0.01 && Math.abs(x) < magnitude) return 'forward';
+        if (Math.abs(x) > 2 * Math.abs(y)) return 'turning';
+        return 'forward';
+    }
+
+    static emptyResult() {
+        return {
+            vectors: [],
+            magnitude: 0,
+            translation: { x: 0, y: 0 },
+            rotation: 0,
+            scale: 1,
+            inlierRatio: 0,
+            motion: 'static'
+        };
+    }
+}
@@ -0,0 +1,121 @@
+// Destination picker dialog. The search box is an ARIA combobox over a listbox of
+// PoiCatalogue matches: arrow keys move the active option (announced through
+// aria-activedescendant while focus stays in the box), Enter picks it, Escape closes
+// and focus returns to whatever opened the dialog. A polite live region reads out
+// the number of matches.
+class DestinationPicker {
+    constructor(options = {}) {
+        this.root = document.getElementById(options.rootId || 'destination-picker');
+        this.onSelect = options.onSelect || (() => { });
+        this.onNearest = options.onNearest || (() => { });
+        this.getPosition = options.getPosition || null; // for distances in the option labels
+        this.catalogue = null;
+        this.results = [];
+        this.active = -1;
+        this.returnFocus = null;
+        if (!this.root) return;
+
+        this.input = this.root.querySelector('[role="combobox"]');
+        this.list = this.root.querySelector('[role="listbox"]');
+        this.status = this.root.querySelector('[aria-live]');
+
+        this.input.addEventListener('input', () => this.render());
+        this.input.addEventListener('keydown', (e) => this.handleKey(e));
+        this.list.addEventListener('click', (e) => {
+            const option = e.target.closest('[role="option"]');
+            if (option) this.select(parseInt(option.dataset.index, 10));
+        });
+        this.root.querySelectorAll('[data-nearest]').forEach(btn => btn.addEventListener('click', () => {
+            this.close();
+            this.onNearest(btn.dataset.nearest);
+        }));
+        this.root.querySelectorAll('[data-close]').forEach(btn => btn.addEventListener('click', () => this.close()));
+        this.root.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.close();
+        });
+    }
+
+    setCatalogue(catalogue) {
+        this.catalogue = catalogue;
+        if (this.isOpen) this.render();
+    }
+
+    get isOpen() {
+        return !!this.root && !this.root.hidden;
+    }
+
+    open() {
+        if (!this.root) return;
+        this.returnFocus = document.activeElement;
+        this.root.hidden = false;
+        this.input.value = '';
+        this.render();
+        this.input.focus();
+    }
+
+    close() {
+        if (!this.isOpen) return;
+        this.root.hidden = true;
+        this.input.setAttribute('aria-expanded', 'false');
+        if (this.returnFocus && this.returnFocus.focus) this.returnFocus.focus();
+    }
+
+    render() {
+        this.results = this.catalogue ? this.catalogue.search(this.input.value) : [];
+        this.active = this.results.length ? 0 : -1;
+        const pos = this.getPosition ? this.getPosition() : null;
+
+        this.list.innerHTML = '';
+        this.results.forEach((entry, i) => {
+            const li = document.createElement('li');
+            li.id = `destination-option-${i}`;
+            li.setAttribute('role', 'option');
+            li.dataset.index = i;
+
+            const name = document.createElement('span');
+            name.textContent = entry.name;
+            const detail = document.createElement('span');
+            detail.className = 'option-detail';
+            const parts = entry.category !== 'other' ? [entry.category] : [];
+            if (pos) parts.push(`${Math.round(Math.hypot(entry.x - pos.x, entry.y - pos.y))} m`);
+            detail.textContent = parts.length ? `, ${parts.join(', ')}` : '';
+            li.append(name, detail);
+            this.list.appendChild(li);
+        });
+
+        this.input.setAttribute('aria-expanded', this.results.length ? 'true' : 'false');
+        if (!this.catalogue) this.status.textContent = 'No map active. Upload and activate a floor plan first.';
+        else if (!this.results.length) this.status.textContent = 'No matching destinations.';
+        else this.status.textContent = `${this.results.length} ${this.results.length === 1 ? 'destination' : 'destinations'}.`;
+        this.highlight();
+    }
+
+    highlight() {
+        this.list.querySelectorAll('[role="option"]').forEach((li, i) => {
+            li.setAttribute('aria-selected', i === this.active ? 'true' : 'false');
+            if (i === this.active && li.scrollIntoView) li.scrollIntoView({ block: 'nearest' });
+        });
+        if (this.active >= 0) this.input.setAttribute('aria-activedescendant', `destination-option-${this.active}`);
+        else this.input.removeAttribute('aria-activedescendant');
+    }
+
+    handleKey(e) {
+        const n = this.results.length;
+        if (e.key === 'ArrowDown' && n) this.active = (this.active + 1) % n;
+        else if (e.key === 'ArrowUp' && n) this.active = (this.active - 1 + n) % n;
+        else if (e.key === 'Enter') {
+            e.preventDefault();
+            this.select(this.active);
+            return;
+        } else return;
+        e.preventDefault();
+        this.highlight();
+    }
+
+    select(index) {
+        const entry = this.results[index];
+        if (!entry) return;
+        this.close();
+        this.onSelect(entry);
+    }
+}
@@ -0,0 +1,106 @@
+// Worker side of FramePipeline (pipeline.js describes the messages). A worker has one
+// role: 'vo' runs the visual odometry front end on small frames, 'detect' the object
+// detector on full ones, 'text' the sign text region search. Bitmaps are closed once used.
+const PIPELINE_SCRIPTS = {
+    vo: ['mathutils.js', 'imageops.js', 'opticalflow.js', 'features.js', 'pose.js', 'odometry.js'],
+    detect: [
+        'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@latest/dist/tf.min.js',
+        'https://cdn.jsdelivr.net/npm/@tensorflow-models/coco-ssd@latest/dist/coco-ssd.min.js',
+        'models.js'
+    ],
+    text: ['imageops.js', 'ocr.js']
+};
+
+let role = null;
+let initError = null; // scripts that failed to load fail every later request
+let vo = null;
+let registry = null;
+let detector = null;
+let textRegions = null;
+let scanCanvas = null;
+let modelHandle = 0; // increases with every model loaded
+
+self.onmessage = async (e) => {
+    const message = e.data;
+    try {
+        const { reply, transfer } = await respond(message);
+        if (message.id !== undefined) self.postMessage({ ...reply, id: message.id }, transfer || []);
+    } catch (err) {
+        if (message.id !== undefined) self.postMessage({ type: 'error', id: message.id, message: err.message });
+    } finally {
+        if (message.bitmap) message.bitmap.close();
+    }
+};
+
+async function respond(message) {
+    if (message.type === 'init') {
+        role = message.role;
+        try {
+            importScripts(...PIPELINE_SCRIPTS[role]);
+            if (role === 'vo') vo = new VisualOdometry({ width: message.width, height: message.height });
+            else if (role === 'text') textRegions = new TextRegionDetector();
+            else registry = new ModelRegistry({ storage: null });
+        } catch (err) {
+            initError = err;
+        }
+        return { reply: { type: 'done' } };
+    }
+    if (initError) throw initError;
+
+    switch (message.type) {
+        case 'frame': {
+            const flow = vo.process(message.bitmap, message.timestamp);
+            // A copy: the tracker keeps its own frame for the next one
+            const frame = { width: vo.frame.width, height: vo.frame.height, data: vo.frame.data.slice() };
+            return {
+                reply: {
+                    type: 'visual',
+                    timestamp: message.timestamp,
+                    flow,
+                    keypoints: flow.pose !== undefined ? vo.mono.keypoints : null,
+                    frame
+                },
+                transfer: [frame.data.buffer]
+            };
+        }
+        case 'regions': {
+            // The bitmap comes scaled to the search resolution
+            const { width, height } = message.bitmap;
+            if (!scanCanvas || scanCanvas.width !== width || scanCanvas.height !== height) scanCanvas = new OffscreenCanvas(width, height);
+            const ctx = scanCanvas.getContext('2d', { willReadFrequently: true });
+            ctx.drawImage(message.bitmap, 0, 0);
+            const gray = ImageOps.toGrayscale(ctx.getImageData(0, 0, width, height));
+            return { reply: { type: 'regions', regions: textRegions.detect(gray) } };
+        }
+        case 'reset':
+            vo.reset();
+            return { reply: { type: 'done' } };
+        case 'load': {
+            // The previous model stays in use until the new one is ready
+            const next = registry.create(message.spec);
+            await next.load();
+            if (detector) detector.dispose();
+            detector = next;
+            modelHandle++;
+            return { reply: { type: 'loaded', handle: modelHandle, scoreThreshold: next.scoreThreshold } };
+        }
+        case 'detect': {
+            if (!detector) throw new Error("No detector loaded");
+            const predictions = await detector.detect(message.bitmap);
+            return {
+                reply: {
+                    type: 'detections',
+                    predictions: predictions.map(p => ({ bbox: p.bbox, class: p.class, score: p.score }))
+                }
+            };
+        }
+        case 'dispose':
+            if (detector && message.handle === modelHandle) {
+                detector.dispose();
+                detector = null;
+            }
+            return { reply: { type: 'done' } };
+        default:
+            throw new Error(`Unknown message: ${message.type}`);
+    }
+}
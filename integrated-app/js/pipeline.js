@@ -0,0 +1,182 @@
+// Frame processing off the main thread. The visual odometry front end, the object
+// detector and the sign text search each run in a worker of their own (pipeline-worker.js),
+// so none holds up the UI, speech and haptics, nor the others. Frames go over as ImageBitmaps, transferred
+// rather than copied. A stage takes one frame at a time; frames arriving while it is busy
+// are dropped, never queued, so every result is about a recent view.
+//
+// Protocol. Requests carry an id and get exactly one reply with that id, or
+// { id, type: 'error', message } when they fail.
+//   { type: 'init', role: 'vo' | 'detect' | 'text', width, height }   no reply; loads the scripts
+//   vo:     { type: 'frame', bitmap, timestamp }  -> { type: 'visual', timestamp, flow, keypoints, frame }
+//           { type: 'reset' }                     -> { type: 'done' }  (drop the previous frames)
+//   detect: { type: 'load', spec }                -> { type: 'loaded', handle, scoreThreshold }
+//           { type: 'detect', bitmap }            -> { type: 'detections', predictions }
+//           { type: 'dispose', handle }           -> { type: 'done' }
+//   text:   { type: 'regions', bitmap }           -> { type: 'regions', regions }  (TextRegionDetector)
+// flow is the VisualOdometry result, keypoints the MonocularVO keypoints when the pose ran
+// on that frame (else null), frame the gray VO image for the hazard detector (the same
+// representation as VisualOdometry.frame inline). timestamp is the capture time, passed through.
+const PIPELINE_WORKER_URL = 'js/pipeline-worker.js';
+
+// One worker with its requests in flight
+class PipelineStage {
+    constructor(role, options = {}) {
+        this.role = role;
+        this.worker = new Worker(options.url || PIPELINE_WORKER_URL);
+        this.pending = new Map(); // id -> { resolve, reject }
+        this.nextId = 1;
+        this.capturing = false; // a frame is being turned into a bitmap
+        this.dropped = 0; // frames not taken because the stage was busy
+        this.latency = 0; // ms from capture to result, last frame
+
+        this.worker.onmessage = (e) => this.receive(e.data);
+        this.worker.onerror = (e) => this.fail(new Error(e.message || `${role} worker failed`));
+        this.worker.postMessage({ type: 'init', role, ...(options.init || {}) });
+    }
+
+    get busy() {
+        return this.capturing || this.pending.size > 0;
+    }
+
+    request(message, transfer = []) {
+        const id = this.nextId++;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ ...message, id }, transfer);
+        });
+    }
+
+    // Back-pressure: a frame is only taken when nothing is in flight.
+    // -> Promise of the reply, or null when the frame was dropped
+    submit(source, message, bitmapOptions) {
+        if (this.busy) {
+            this.dropped++;
+            return null;
+        }
+        this.capturing = true;
+        const started = performance.now();
+        const bitmap = bitmapOptions ? createImageBitmap(source, bitmapOptions) : createImageBitmap(source);
+        return bitmap
+            .then(image => {
+                const reply = this.request({ ...message, bitmap: image }, [image]);
+                this.capturing = false;
+                return reply;
+            }, e => {
+                this.capturing = false;
+                throw e;
+            })
+            .then(reply => {
+                this.latency = performance.now() - started;
+                return reply;
+            });
+    }
+
+    receive(reply) {
+        const request = this.pending.get(reply.id);
+        if (!request) return;
+        this.pending.delete(reply.id);
+        if (reply.type === 'error') request.reject(new Error(reply.message));
+        else request.resolve(reply);
+    }
+
+    // A crashed worker answers nothing: fail whatever is waiting
+    fail(error) {
+        this.pending.forEach(r => r.reject(error));
+        this.pending.clear();
+    }
+
+    terminate() {
+        this.worker.terminate();
+        this.fail(new Error(`${this.role} worker stopped`));
+    }
+}
+
+class FramePipeline {
+    constructor(options = {}) {
+        this.width = options.width || 160; // VO resolution, as VisualOdometry
+        this.height = options.height || 120;
+        this.url = options.url || PIPELINE_WORKER_URL;
+        this.stages = {}; // role -> PipelineStage, started on first use
+    }
+
+    static get isSupported() {
+        return typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' && typeof createImageBitmap !== 'undefined';
+    }
+
+    stage(role) {
+        if (!this.stages[role]) {
+            this.stages[role] = new PipelineStage(role, { url: this.url, init: { width: this.width, height: this.height } });
+        }
+        return this.stages[role];
+    }
+
+    // VO on the current video frame, scaled to the VO resolution by the browser on the
+    // way. timestamp: when the frame was captured (performance.now clock, as the recorder)
+    // -> Promise of { timestamp, flow, keypoints, frame }, or null when dropped
+    processVisual(video, timestamp = performance.now()) {
+        return this.stage('vo').submit(video, { type: 'frame', timestamp },
+            { resizeWidth: this.width, resizeHeight: this.height, resizeQuality: 'low' });
+    }
+
+    // Sign text blocks (TextRegionDetector) on the current video frame, scaled to width x
+    // height on the way. -> Promise of [{ bbox, score }] in those pixels, or null when dropped
+    findText(video, width, height) {
+        const reply = this.stage('text').submit(video, { type: 'regions' },
+            { resizeWidth: width, resizeHeight: height, resizeQuality: 'medium' });
+        return reply ? reply.then(r => r.regions) : null;
+    }
+
+    // Drops the VO worker's previous frames (screen rotation, camera restart)
+    reset() {
+        if (this.stages.vo) this.stages.vo.request({ type: 'reset' }).catch(() => { });
+    }
+
+    // Frames dropped per stage, for diagnostics
+    get dropped() {
+        const counts = {};
+        Object.entries(this.stages).forEach(([role, stage]) => counts[role] = stage.dropped);
+        return counts;
+    }
+
+    terminate() {
+        Object.values(this.stages).forEach(stage => stage.terminate());
+        this.stages = {};
+    }
+}
+
+// Detector interface (see models.js) backed by the detect worker: the model lives in
+// the worker and each frame goes over as an ImageBitmap. Plugged into ModelRegistry as
+// its factory, so selection and the COCO-SSD fallback work as before.
+class WorkerDetector {
+    constructor(spec, stage) {
+        this.spec = spec;
+        this.stage = stage;
+        this.scoreThreshold = spec.scoreThreshold || 0.5;
+        this.handle = null; // the worker's id for the loaded model
+    }
+
+    async load() {
+        const reply = await this.stage.request({ type: 'load', spec: WorkerDetector.resolve(this.spec) });
+        this.handle = reply.handle;
+        this.scoreThreshold = reply.scoreThreshold;
+    }
+
+    // Model and label URLs are relative to the page; the worker would resolve them
+    // against its own script
+    static resolve(spec) {
+        const absolute = (url) => typeof url === 'string' ? new URL(url, location.href).href : url;
+        return { ...spec, url: absolute(spec.url), labels: absolute(spec.labels) };
+    }
+
+    // -> predictions, or null when the worker was still busy with a frame
+    async detect(video) {
+        const reply = this.stage.submit(video, { type: 'detect' });
+        return reply ? (await reply).predictions : null;
+    }
+
+    // Only frees the model this detector loaded: a newer one may already have replaced it
+    dispose() {
+        if (this.handle !== null) this.stage.request({ type: 'dispose', handle: this.handle }).catch(() => { });
+        this.handle = null;
+    }
+}
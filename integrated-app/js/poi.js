@@ -0,0 +1,171 @@
+// Destinations of one floor plan: its POIs plus its named rooms (at their centroid),
+// with categories folded onto a small canonical set so "toilet", "WC" and IMDF's
+// "restroom.female" are all found as restrooms.
+const POI_CATEGORIES = {
+    restroom: ['restroom', 'toilet', 'toilets', 'wc', 'bathroom', 'washroom', 'lavatory'],
+    exit: ['exit', 'entrance', 'emergency exit', 'fire exit', 'way out'],
+    elevator: ['elevator', 'lift'],
+    stairs: ['stairs', 'stair', 'stairway', 'staircase', 'stairwell', 'escalator'],
+    reception: ['reception', 'front desk', 'information', 'info desk', 'help desk', 'lobby'],
+    room: ['room', 'unit', 'office', 'classroom', 'meeting room']
+};
+
+// m, how far a sign naming a place may hang from the point it is anchored to
+const SIGN_SIGMA = {
+    sign: 0.5, // a room sign mapped as a landmark
+    door: 1.0, // beside the door of the room, on either side
+    place: 1.5 // near the POI itself
+};
+
+class PoiCatalogue {
+    constructor(plan) {
+        this.entries = [];
+        (plan ? plan.pois : []).forEach(p => this.entries.push({
+            id: p.id,
+            name: p.name,
+            category: PoiCatalogue.normalizeCategory(p.category),
+            aliases: p.aliases || [],
+            x: p.x,
+            y: p.y
+        }));
+
+        // Named rooms are destinations too, unless a POI already carries the name
+        const names = new Set(this.entries.map(e => e.name.toLowerCase()));
+        (plan ? plan.rooms : []).forEach(r => {
+            if (!r.name || names.has(r.name.toLowerCase()) || !r.polygon.length) return;
+            const c = PoiCatalogue.centroid(r.polygon);
+            this.entries.push({
+                id: r.id, name: r.name, category: PoiCatalogue.normalizeCategory(r.category), aliases: [], x: c.x, y: c.y,
+                doors: PoiCatalogue.doorsOf(r.polygon, plan.doors),
+                extent: Math.max(...r.polygon.map(p => Math.hypot(p.x - c.x, p.y - c.y)))
+            });
+        });
+        this.entries.sort((a, b) => a.name.localeCompare(b.name));
+
+        // Signs mapped as landmarks, with the text they carry
+        this.signs = plan ? plan.landmarksOf('room sign').filter(l => l.name) : [];
+    }
+
+    // Doors on a room's outline (within a metre of one of its edges)
+    static doorsOf(polygon, doors) {
+        return (doors || []).filter(d => polygon.some((a, i) =>
+            Segment2D.distanceToPoint(d, a, polygon[(i + 1) % polygon.length]) <= 1));
+    }
+
+    // Raw category (any case, IMDF dotted sub-categories) -> key of POI_CATEGORIES, else 'other'
+    static normalizeCategory(raw) {
+        const value = String(raw || '').toLowerCase().split('.')[0].replace(/[_-]/g, ' ').trim();
+        for (const [key, words] of Object.entries(POI_CATEGORIES)) {
+            if (words.includes(value)) return key;
+        }
+        return 'other';
+    }
+
+    // Category named in free text ("where is the nearest toilet"), or null
+    static categoryIn(text) {
+        const t = ` ${String(text).toLowerCase().replace(/[^a-z ]/g, ' ')} `;
+        for (const [key, words] of Object.entries(POI_CATEGORIES)) {
+            if (key !== 'room' && words.some(w => t.includes(` ${w} `))) return key;
+        }
+        return null;
+    }
+
+    static centroid(polygon) {
+        const n = polygon.length;
+        return {
+            x: polygon.reduce((s, p) => s + p.x, 0) / n,
+            y: polygon.reduce((s, p) => s + p.y, 0) / n
+        };
+    }
+
+    get size() {
+        return this.entries.length;
+    }
+
+    get(id) {
+        return this.entries.find(e => e.id === id) || null;
+    }
+
+    byCategory(category) {
+        return this.entries.filter(e => e.category === category);
+    }
+
+    // Ranked matches: name before alias before category, whole words before prefixes
+    // before substrings. Every word of the query has to match something.
+    search(query) {
+        const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+        if (!words.length) return this.entries.slice();
+
+        const scored = [];
+        for (const e of this.entries) {
+            const fields = [
+                { text: e.name.toLowerCase(), weight: 3 },
+                ...e.aliases.map(a => ({ text: a.toLowerCase(), weight: 2 })),
+                ...(POI_CATEGORIES[e.category] || []).map(c => ({ text: c, weight: 1 }))
+            ];
+            let score = 0;
+            for (const w of words) {
+                let best = 0;
+                for (const f of fields) {
+                    const tokens = f.text.split(/\s+/);
+                    const s = tokens.includes(w) ? 3 : tokens.some(t => t.startsWith(w)) ? 2 : f.text.includes(w) ? 1 : 0;
+                    best = Math.max(best, s * f.weight);
+                }
+                if (!best) {
+                    score = 0;
+                    break;
+                }
+                score += best;
+            }
+            if (score) scored.push({ entry: e, score });
+        }
+        return scored.sort((a, b) => b.score - a.score || a.entry.name.localeCompare(b.entry.name)).map(s => s.entry);
+    }
+
+    // Places a sign's text names: every distinctive word of the name (or an alias) is on
+    // the sign, so "ROOM 204" and "204" both name "Room 204". Generic words do not count.
+    signMatches(text) {
+        return this.entries.filter(e => PoiCatalogue.signNames(text, e));
+    }
+
+    static signNames(text, entry) {
+        const filler = ['the', 'room', 'rm', 'no', 'unit', 'office', 'suite'];
+        const tokensOf = (t) => String(t).toLowerCase().split(/[^a-z0-9]+/).filter(w => w && !filler.includes(w));
+        const read = new Set(tokensOf(text));
+        return read.size > 0 && [entry.name, ...entry.aliases].some(name => {
+            const keys = tokensOf(name);
+            return keys.length > 0 && keys.every(k => read.has(k));
+        });
+    }
+
+    // Where a sign naming the entry hangs -> [{ id, x, y, sigma }]: mapped signs carrying
+    // its name, else the doors of a room (door signs are on the corridor side), else the
+    // place itself; a room without doors is covered whole
+    signAnchors(entry) {
+        const signs = this.signs.filter(s => PoiCatalogue.signNames(s.name, entry));
+        if (signs.length) return signs.map(s => ({ id: s.id, x: s.x, y: s.y, sigma: SIGN_SIGMA.sign }));
+        if (entry.doors && entry.doors.length) {
+            return entry.doors.map((d, i) => ({ id: `${entry.id}:door-${i}`, x: d.x, y: d.y, sigma: SIGN_SIGMA.door }));
+        }
+        return [{ id: entry.id, x: entry.x, y: entry.y, sigma: entry.extent || SIGN_SIGMA.place }];
+    }
+
+    // Closest POI of a category by walking distance along a planned route (RoutePlanner);
+    // straight-line distance without a planner. Unreachable POIs are skipped.
+    // -> { poi, distance, route } or null
+    nearest(category, from, planner) {
+        let best = null;
+        for (const poi of this.byCategory(category)) {
+            let distance, route = null;
+            if (planner) {
+                route = planner.plan(from, poi);
+                if (!route) continue;
+                distance = route.distance;
+            } else {
+                distance = Math.hypot(poi.x - from.x, poi.y - from.y);
+            }
+            if (!best || distance < best.distance) best = { poi, distance, route };
+        }
+        return best;
+    }
+}
@@ -0,0 +1,264 @@
+// Monocular visual odometry: relative camera pose from matched keypoints.
+// Camera frame: x right, y down, z forward. A relative pose (R, t) maps points
+// from the previous camera frame to the current one: X2 = R * X1 + t.
+
+class EpipolarGeometry {
+    // Pixel -> unit bearing vector
+    static bearing(p, K) {
+        return LinAlg.normalize([(p.x - K.cx) / K.fx, (p.y - K.cy) / K.fy, 1]);
+    }
+
+    // Squared Sampson distance of the correspondence b1 <-> b2 under E (normalized coords)
+    static sampson(E, b1, b2) {
+        const x1 = [b1[0] / b1[2], b1[1] / b1[2], 1];
+        const x2 = [b2[0] / b2[2], b2[1] / b2[2], 1];
+        const Ex1 = LinAlg.mat3Vec(E, x1);
+        const Etx2 = LinAlg.mat3Vec(LinAlg.mat3T(E), x2);
+        const num = LinAlg.dot(x2, Ex1);
+        const den = Ex1[0] ** 2 + Ex1[1] ** 2 + Etx2[0] ** 2 + Etx2[1] ** 2;
+        return den > 0 ? (num * num) / den : Infinity;
+    }
+
+    // Linear eight-point on bearing pairs, projected onto the essential manifold
+    static eightPoint(b1s, b2s) {
+        const rows = b1s.map((b1, i) => {
+            const x1 = b1[0] / b1[2], y1 = b1[1] / b1[2];
+            const x2 = b2s[i][0] / b2s[i][2], y2 = b2s[i][1] / b2s[i][2];
+            return [x2 * x1, x2 * y1, x2, y2 * x1, y2 * y1, y2, x1, y1, 1];
+        });
+        const e = LinAlg.nullVector(rows);
+        const { U, S, V } = LinAlg.svd3(e);
+        const s = (S[0] + S[1]) / 2;
+        return LinAlg.mat3Mul(LinAlg.mat3Mul(U, [s, 0, 0, 0, s, 0, 0, 0, 0]), LinAlg.mat3T(V));
+    }
+
+    // Midpoint triangulation. Returns the point in the first camera frame and both depths.
+    static triangulate(b1, b2, R, t) {
+        const r1 = LinAlg.mat3Vec(R, b1);
+        // Solve [r1, -b2] [l1, l2]^T = -t in the least-squares sense
+        const a = LinAlg.dot(r1, r1), b = -LinAlg.dot(r1, b2), c = LinAlg.dot(b2, b2);
+        const d = -LinAlg.dot(r1, t), e = LinAlg.dot(b2, t);
+        const det = a * c - b * b;
+        if (Math.abs(det) < 1e-12) return null;
+
+        const l1 = (d * c - b * e) / det;
+        const l2 = (a * e - b * d) / det;
+        // Second ray expressed in the first camera frame
+        const Rt = LinAlg.mat3T(R);
+        const p2 = LinAlg.mat3Vec(Rt, b2.map((v, i) => l2 * v - t[i]));
+        const point = [0, 1, 2].map(i => (l1 * b1[i] + p2[i]) / 2);
+        return { point, depth1: l1, depth2: l2 };
+    }
+
+    // The four (R, t) candidates from E; picks the one with most points in front of both cameras
+    static recoverPose(E, b1s, b2s) {
+        const svd = LinAlg.svd3(E);
+        const U = svd.U;
+        let V = svd.V;
+        if (LinAlg.det3(V) < 0) V = V.map((v, i) => (i % 3 === 2 ? -v : v)); // last column is free (s3 = 0)
+
+        const W = [0, -1, 0, 1, 0, 0, 0, 0, 1];
+        const Vt = LinAlg.mat3T(V);
+        const R1 = LinAlg.mat3Mul(LinAlg.mat3Mul(U, W), Vt);
+        const R2 = LinAlg.mat3Mul(LinAlg.mat3Mul(U, LinAlg.mat3T(W)), Vt);
+        const u3 = [U[2], U[5], U[8]];
+        const candidates = [
+            { R: R1, t: u3 }, { R: R1, t: u3.map(v => -v) },
+            { R: R2, t: u3 }, { R: R2, t: u3.map(v => -v) }
+        ];
+
+        let best = null;
+        for (const cand of candidates) {
+            let good = 0;
+            for (let i = 0; i < b1s.length; i++) {
+                const tri = EpipolarGeometry.triangulate(b1s[i], b2s[i], cand.R, cand.t);
+                if (tri && tri.depth1 > 0 && tri.depth2 > 0) good++;
+            }
+            if (!best || good > best.good) best = { ...cand, good };
+        }
+        return best;
+    }
+
+    // Wahba / Kabsch: rotation R minimising sum |R b1 - b2|^2
+    static fitRotation(b1s, b2s) {
+        const H = new Array(9).fill(0);
+        for (let i = 0; i < b1s.length; i++) {
+            for (let r = 0; r < 3; r++) {
+                for (let c = 0; c < 3; c++) H[r * 3 + c] += b1s[i][r] * b2s[i][c];
+            }
+        }
+        const { U, V } = LinAlg.svd3(H);
+        const d = LinAlg.det3(LinAlg.mat3Mul(V, LinAlg.mat3T(U))) < 0 ? -1 : 1;
+        return LinAlg.mat3Mul(LinAlg.mat3Mul(V, [1, 0, 0, 0, 1, 0, 0, 0, d]), LinAlg.mat3T(U));
+    }
+
+    // Rotation of the camera about the vertical axis, + = turned right
+    static yawFromRotation(R) {
+        return -Math.atan2(R[2], R[8]);
+    }
+}
+
+class EssentialMatrixEstimator {
+    constructor(options = {}) {
+        this.threshold = options.threshold || 1.5; // px (Sampson)
+        this.maxIterations = options.maxIterations || 200;
+        this.confidence = options.confidence || 0.99;
+        this.minParallax = options.minParallax || 0.75; // px; below this translation is unobservable
+        this.rng = new SeededRandom(options.seed || 11);
+    }
+
+    // b1s, b2s: unit bearing vectors; focal: px, converts thresholds to normalized units.
+    // Returns { R, t | null, inliers: bool[], inlierCount, inlierRatio, mode } or null.
+    estimate(b1s, b2s, focal) {
+        const n = b1s.length;
+        if (n < 8) return null;
+
+        // 1. Pure rotation? (standing still and turning gives no parallax)
+        const rot = this.ransacRotation(b1s, b2s, focal);
+        if (rot && rot.inlierRatio > 0.6 && rot.medianParallax < this.minParallax / focal) {
+            return { R: rot.R, t: null, inliers: rot.inliers, inlierCount: rot.inlierCount, inlierRatio: rot.inlierRatio, mode: 'rotation' };
+        }
+
+        // 2. Essential matrix with adaptive RANSAC
+        const thr2 = (this.threshold / focal) ** 2;
+        let best = null;
+        let iterations = this.maxIterations;
+        for (let it = 0; it < iterations; it++) {
+            const idx = this.rng.sample(n, 8);
+            const E = EpipolarGeometry.eightPoint(idx.map(i => b1s[i]), idx.map(i => b2s[i]));
+            const inliers = b1s.map((b, i) => EpipolarGeometry.sampson(E, b, b2s[i]) < thr2);
+            const count = inliers.filter(Boolean).length;
+            if (!best || count > best.count) {
+                best = { E, inliers, count };
+                const w = count / n;
+                const needed = Math.log(1 - this.confidence) / Math.log(Math.max(1e-9, 1 - w ** 8));
+                iterations = Math.min(this.maxIterations, Math.ceil(needed));
+            }
+        }
+        if (!best || best.count < 8) return null;
+
+        // Refit on all inliers
+        const in1 = b1s.filter((_, i) => best.inliers[i]);
+        const in2 = b2s.filter((_, i) => best.inliers[i]);
+        const E = EpipolarGeometry.eightPoint(in1, in2);
+        const inliers = b1s.map((b, i) => EpipolarGeometry.sampson(E, b, b2s[i]) < thr2);
+        const inlierCount = inliers.filter(Boolean).length;
+        if (inlierCount < 8) return null;
+
+        const pose = EpipolarGeometry.recoverPose(E, b1s.filter((_, i) => inliers[i]), b2s.filter((_, i) => inliers[i]));
+        if (!pose || pose.good < inlierCount / 2) return null;
+
+        return { E, R: pose.R, t: pose.t, inliers, inlierCount, inlierRatio: inlierCount / n, mode: 'essential' };
+    }
+
+    ransacRotation(b1s, b2s, focal) {
+        const n = b1s.length;
+        const thr = (2 * this.threshold) / focal; // angular residual, generous: parallax is what we measure
+        const residual = (R, i) => {
+            const r = LinAlg.mat3Vec(R, b1s[i]);
+            return Math.hypot(r[0] - b2s[i][0], r[1] - b2s[i][1], r[2] - b2s[i][2]);
+        };
+
+        let best = null;
+        for (let it = 0; it < 50; it++) {
+            const idx = this.rng.sample(n, 2);
+            const R = EpipolarGeometry.fitRotation(idx.map(i => b1s[i]), idx.map(i => b2s[i]));
+            const inliers = b1s.map((_, i) => residual(R, i) < thr);
+            const count = inliers.filter(Boolean).length;
+            if (!best || count > best.count) best = { inliers, count };
+        }
+        if (!best || best.count < 3) return null;
+
+        const R = EpipolarGeometry.fitRotation(b1s.filter((_, i) => best.inliers[i]), b2s.filter((_, i) => best.inliers[i]));
+        const inliers = b1s.map((_, i) => residual(R, i) < thr);
+        const res = b1s.map((_, i) => residual(R, i)).filter((_, i) => inliers[i]).sort((a, b) => a - b);
+        const inlierCount = res.length;
+        if (!inlierCount) return null;
+
+        return { R, inliers, inlierCount, inlierRatio: inlierCount / n, medianParallax: res[inlierCount >> 1] };
+    }
+}
+
+class MonocularVO {
+    constructor(options = {}) {
+        this.width = options.width || 160;
+        this.height = options.height || 120;
+        this.intrinsics = options.intrinsics || MonocularVO.intrinsicsFromFov(this.width, this.height, options.fov || 65);
+        this.detector = options.detector || new FeatureDetector({ downscale: 0, maxFeatures: 150 });
+        this.matcher = options.matcher || new FeatureMatcher();
+        this.estimator = new EssentialMatrixEstimator(options);
+        this.minInliers = options.minInliers || 15;
+
+        this.prevKeypoints = null;
+        this.lastDelta = null;
+    }
+
+    // Pinhole intrinsics for a horizontal field of view in degrees
+    static intrinsicsFromFov(width, height, fovDeg) {
+        const f = (width / 2) / Math.tan((fovDeg * Math.PI / 180) / 2);
+        return { fx: f, fy: f, cx: width / 2, cy: height / 2 };
+    }
+
+    reset() {
+        this.prevKeypoints = null;
+        this.lastDelta = null;
+    }
+
+    // Per-frame entry point: detect, match against the previous frame, estimate the pose delta
+    process(imageData) {
+        const keypoints = this.detector.detectAndCompute(imageData);
+        let delta = null;
+
+        if (this.prevKeypoints) {
+            const matches = this.matcher.match(this.prevKeypoints, keypoints);
+            delta = this.estimateFromMatches(
+                matches.map(m => this.prevKeypoints[m.queryIndex]),
+                matches.map(m => keypoints[m.trainIndex])
+            );
+            if (delta) delta.matches = matches;
+        }
+
+        this.prevKeypoints = keypoints;
+        this.keypoints = keypoints;
+        this.lastDelta = delta;
+        return delta;
+    }
+
+    // pts1[i] <-> pts2[i] in pixel coordinates. Returns the pose delta or null when unreliable:
+    // {
+    //   yaw:           rad, camera rotation about the vertical axis (+ = turned right)
+    //   R, t:          relative pose (t is a unit vector, null for pure rotation)
+    //   translation:   unit camera motion in the previous camera frame, or null
+    //   travelAngle:   rad, direction of travel relative to the optical axis (+ = right), or null
+    //   inliers, inlierRatio, confidence (0..1), mode ('essential' | 'rotation')
+    // }
+    estimateFromMatches(pts1, pts2) {
+        if (pts1.length < 8) return null;
+
+        const K = this.intrinsics;
+        const b1s = pts1.map(p => EpipolarGeometry.bearing(p, K));
+        const b2s = pts2.map(p => EpipolarGeometry.bearing(p, K));
+        const result = this.estimator.estimate(b1s, b2s, K.fx);
+        if (!result || result.inlierCount < this.minInliers) return null;
+
+        let translation = null;
+        let travelAngle = null;
+        if (result.t) {
+            // Camera centre of the current frame, seen from the previous one: C = -R^T t
+            translation = LinAlg.mat3Vec(LinAlg.mat3T(result.R), result.t).map(v => -v);
+            travelAngle = Math.atan2(translation[0], translation[2]);
+        }
+
+        return {
+            yaw: EpipolarGeometry.yawFromRotation(result.R),
+            R: result.R,
+            t: result.t,
+            translation,
+            travelAngle,
+            inliers: result.inliers,
+            inlierRatio: result.inlierRatio,
+            confidence: result.inlierRatio * Math.min(1, result.inlierCount / 40),
+            mode: result.mode
+        };
+    }
+}
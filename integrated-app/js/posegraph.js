@@ -0,0 +1,200 @@
+// 2D pose-graph optimisation (Gauss-Newton over SE(2) nodes) with a sparse
+// conjugate-gradient solver. Deterministic: same graph in, same poses out.
+// Bounded: past maxNodes the oldest nodes are dropped (prune) and the first one left
+// stands in for the history before it. tools/posegraph-check.js runs it on square loops.
+
+// Symmetric sparse matrix stored as one Map(col -> value) per row
+class SparseMatrix {
+    constructor(n) {
+        this.n = n;
+        this.rows = Array.from({ length: n }, () => new Map());
+    }
+
+    add(r, c, v) {
+        const row = this.rows[r];
+        row.set(c, (row.get(c) || 0) + v);
+    }
+
+    multiply(x, csr = this.compress()) {
+        const { start, cols, values } = csr;
+        const out = new Float64Array(this.n);
+        for (let r = 0; r < this.n; r++) {
+            let s = 0;
+            for (let k = start[r]; k < start[r + 1]; k++) s += values[k] * x[cols[k]];
+            out[r] = s;
+        }
+        return out;
+    }
+
+    // Compressed sparse rows, for the repeated products in solve
+    compress() {
+        const start = new Int32Array(this.n + 1);
+        this.rows.forEach((row, r) => start[r + 1] = start[r] + row.size);
+        const cols = new Int32Array(start[this.n]);
+        const values = new Float64Array(start[this.n]);
+        this.rows.forEach((row, r) => {
+            let k = start[r];
+            row.forEach((v, c) => { cols[k] = c; values[k++] = v; });
+        });
+        return { start, cols, values };
+    }
+
+    diagonal() {
+        return Float64Array.from(this.rows, (row, r) => row.get(r) || 0);
+    }
+
+    // Jacobi-preconditioned conjugate gradient for SPD systems
+    solve(b, tolerance = 1e-10, maxIterations = 4 * this.n) {
+        const n = this.n;
+        const x = new Float64Array(n);
+        const d = this.diagonal();
+        const r = Float64Array.from(b);
+        const z = r.map((v, i) => (d[i] ? v / d[i] : v));
+        const p = Float64Array.from(z);
+        let rz = LinAlg.dot(r, z);
+        const bNorm = Math.sqrt(LinAlg.dot(b, b)) || 1;
+        const csr = this.compress();
+
+        for (let it = 0; it < maxIterations; it++) {
+            const Ap = this.multiply(p, csr);
+            const alpha = rz / (LinAlg.dot(p, Ap) || 1e-300);
+            for (let i = 0; i < n; i++) {
+                x[i] += alpha * p[i];
+                r[i] -= alpha * Ap[i];
+            }
+            if (Math.sqrt(LinAlg.dot(r, r)) / bNorm < tolerance) break;
+
+            for (let i = 0; i < n; i++) z[i] = d[i] ? r[i] / d[i] : r[i];
+            const rzNext = LinAlg.dot(r, z);
+            const beta = rzNext / rz;
+            rz = rzNext;
+            for (let i = 0; i < n; i++) p[i] = z[i] + beta * p[i];
+        }
+        return x;
+    }
+}
+
+class PoseGraph {
+    constructor(options = {}) {
+        this.nodes = []; // { x, y, heading }
+        this.edges = []; // { from, to, measurement: { forward, right, dtheta }, information: [f, r, theta], type }
+        this.maxIterations = options.maxIterations || 20;
+        this.solverIterations = options.solverIterations || 300; // CG cap per Gauss-Newton step
+        this.tolerance = options.tolerance || 1e-6;
+        this.maxNodes = options.maxNodes || 200;
+    }
+
+    addNode(pose) {
+        this.nodes.push({ x: pose.x, y: pose.y, heading: pose.heading });
+        return this.nodes.length - 1;
+    }
+
+    // Odometry edge from the current estimates. Uncertainty grows with the distance walked.
+    addOdometryEdge(from, to) {
+        const measurement = SE2.between(this.nodes[from], this.nodes[to]);
+        const dist = Math.hypot(measurement.forward, measurement.right);
+        const posVar = 0.01 + 0.05 * dist; // m^2
+        const headVar = 0.001 + 0.005 * dist; // rad^2
+        return this.addEdge(from, to, measurement, [1 / posVar, 1 / posVar, 1 / headVar], 'odometry');
+    }
+
+    // information: diagonal weights [forward, right, heading]
+    addEdge(from, to, measurement, information, type = 'loop') {
+        this.edges.push({ from, to, measurement, information, type });
+        return this.edges.length - 1;
+    }
+
+    // Drops the oldest nodes beyond maxNodes, with the edges that touch them. The new
+    // first node keeps its estimate and is held fixed from then on, as a prior for the
+    // history before it. Node indices shift down: -> the number of nodes dropped
+    prune() {
+        const drop = this.nodes.length - this.maxNodes;
+        if (drop <= 0) return 0;
+        this.nodes.splice(0, drop);
+        this.edges = this.edges
+            .filter(e => e.from >= drop && e.to >= drop)
+            .map(e => ({ ...e, from: e.from - drop, to: e.to - drop }));
+        return drop;
+    }
+
+    // Gauss-Newton; node 0 is held fixed (gauge) and left out of the system.
+    // Returns { iterations, converged, error }.
+    optimize() {
+        const n = this.nodes.length;
+        if (n < 2 || !this.edges.length) return { iterations: 0, converged: true, error: this.error() };
+
+        let it = 0, converged = false;
+        while (it < this.maxIterations && !converged) {
+            it++;
+            const H = new SparseMatrix(3 * (n - 1));
+            const b = new Float64Array(3 * (n - 1));
+
+            for (const e of this.edges) this.linearize(e, H, b);
+
+            // Small damping keeps H positive definite for weakly constrained nodes
+            for (let k = 0; k < H.n; k++) H.add(k, k, 1e-6);
+
+            const dx = H.solve(b.map(v => -v), 1e-10, this.solverIterations);
+            let step = 0;
+            for (let i = 1; i < n; i++) {
+                const node = this.nodes[i], k = 3 * (i - 1);
+                node.x += dx[k];
+                node.y += dx[k + 1];
+                node.heading = SE2.normalizeHeading(node.heading + dx[k + 2]);
+                step = Math.max(step, Math.abs(dx[k]), Math.abs(dx[k + 1]), Math.abs(dx[k + 2]));
+            }
+            converged = step < this.tolerance;
+        }
+        return { iterations: it, converged, error: this.error() };
+    }
+
+    residual(e) {
+        const z = SE2.between(this.nodes[e.from], this.nodes[e.to]);
+        return [
+            z.forward - e.measurement.forward,
+            z.right - e.measurement.right,
+            SE2.wrap(z.dtheta - e.measurement.dtheta)
+        ];
+    }
+
+    linearize(e, H, b) {
+        const a = this.nodes[e.from], c = this.nodes[e.to];
+        const s = Math.sin(a.heading), co = Math.cos(a.heading);
+        const z = SE2.between(a, c);
+        const err = this.residual(e);
+
+        // Rows: forward, right, heading. Columns: [xi, yi, hi, xj, yj, hj]
+        const J = [
+            [-s, -co, z.right, s, co, 0],
+            [-co, s, -z.forward, co, -s, 0],
+            [0, 0, -1, 0, 0, 1]
+        ];
+        // Parameter index of each column; the fixed first node has none
+        const base = (i) => 3 * (i - 1);
+        const idx = [0, 1, 2].map(k => e.from > 0 ? base(e.from) + k : -1)
+            .concat([0, 1, 2].map(k => e.to > 0 ? base(e.to) + k : -1));
+
+        for (let p = 0; p < 6; p++) {
+            if (idx[p] < 0) continue;
+            let g = 0;
+            for (let k = 0; k < 3; k++) g += J[k][p] * e.information[k] * err[k];
+            b[idx[p]] += g;
+            for (let q = 0; q < 6; q++) {
+                if (idx[q] < 0) continue;
+                let h = 0;
+                for (let k = 0; k < 3; k++) h += J[k][p] * e.information[k] * J[k][q];
+                if (h !== 0) H.add(idx[p], idx[q], h);
+            }
+        }
+    }
+
+    // Weighted squared error over all edges
+    error() {
+        let total = 0;
+        for (const e of this.edges) {
+            const r = this.residual(e);
+            total += r[0] * r[0] * e.information[0] + r[1] * r[1] * e.information[1] + r[2] * r[2] * e.information[2];
+        }
+        return total;
+    }
+}
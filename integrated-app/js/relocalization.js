@@ -0,0 +1,156 @@
+// Relocalisation from recognised landmarks. A detection of a landmark class (exit sign,
+// door, elevator, stairs) with a depth gives the landmark's position relative to the
+// user; matched against the active map's landmark registry it pins down where the
+// user is. Monocular depth is rough and doors all look alike, so a match is only used
+// when it passes three checks:
+//   1. gate: the landmark lies within the 99% ellipse of where the pose says it is
+//   2. ambiguity: no second landmark of the same type fits nearly as well
+//   3. persistence: the same landmark is matched repeatedly, implying the same correction
+class LandmarkRelocalizer {
+    constructor(options = {}) {
+        this.fov = (options.fov || 60) * Math.PI / 180; // horizontal field of view, for detections without a bearing
+        this.rangeNoise = options.rangeNoise || 0.25; // 1-sigma, fraction of the depth, unless the detection has depthSigma
+        this.bearingNoise = (options.bearingNoise || 5) * Math.PI / 180;
+        this.maxRange = options.maxRange || 10; // m, bbox depth is meaningless further out
+        this.gate = options.gate || 9.21; // chi-square, 2 dof, 99%
+        this.ambiguityRatio = options.ambiguityRatio || 4; // runner-up must be this much worse
+        this.minConfirmations = options.minConfirmations || 3;
+        this.confirmWindow = options.confirmWindow || 3000; // ms
+        this.maxSpread = options.maxSpread || 1.0; // m between the corrections of one landmark
+        this.cooldown = options.cooldown || 5000; // ms before the same landmark is used again
+
+        this.landmarks = [];
+        this.pending = new Map(); // landmark id -> [{ dx, dy, variance, timestamp }]
+        this.lastUsed = new Map(); // landmark id -> timestamp
+        this.rejected = 0;
+    }
+
+    // Odometry-frame landmarks, e.g. FloorPlan.landmarks
+    setLandmarks(landmarks) {
+        this.landmarks = landmarks || [];
+        this.pending.clear();
+        this.lastUsed.clear();
+    }
+
+    // detections: VisionModule predictions ({ class, bbox, depth }), frameWidth in bbox pixels,
+    // covariance: PoseEKF covariance. -> { landmark, x, y, variance } to apply, or null
+    process(detections, pose, covariance, frameWidth, timestamp = Date.now()) {
+        if (!this.landmarks.length || !detections) return null;
+
+        let fix = null;
+        for (const det of detections) {
+            const type = FloorPlan.landmarkType(det.class);
+            if (!type || !(det.depth > 0) || det.depth > this.maxRange) continue;
+
+            const obs = this.observe(det, pose, covariance, frameWidth);
+            const match = this.associate(type, obs);
+            if (!match) continue;
+            fix = this.confirm(match.landmark, obs, pose, timestamp) || fix;
+        }
+        return fix;
+    }
+
+    // Where the detection puts the landmark, with the 2x2 innovation covariance
+    observe(det, pose, covariance, frameWidth) {
+        const cx = (det.bbox[0] + det.bbox[2] / 2) / (frameWidth || 1);
+        const bearing = pose.heading + (det.bearing !== undefined ? det.bearing : (cx - 0.5) * this.fov);
+        const r = det.depth;
+        const u = { x: Math.sin(bearing), y: Math.cos(bearing) }; // along the ray
+        const v = { x: u.y, y: -u.x }; // across it
+
+        const alongVar = (det.depthSigma || this.rangeNoise * r) ** 2;
+        const acrossVar = r * r * (this.bearingNoise ** 2 + covariance[EKF_H][EKF_H]);
+        const S = [
+            [covariance[EKF_X][EKF_X] + alongVar * u.x * u.x + acrossVar * v.x * v.x,
+            covariance[EKF_X][EKF_Y] + alongVar * u.x * u.y + acrossVar * v.x * v.y],
+            [covariance[EKF_Y][EKF_X] + alongVar * u.y * u.x + acrossVar * v.y * v.x,
+            covariance[EKF_Y][EKF_Y] + alongVar * u.y * u.y + acrossVar * v.y * v.y]
+        ];
+        return {
+            x: pose.x + r * u.x,
+            y: pose.y + r * u.y,
+            S,
+            variance: (alongVar + acrossVar) / 2 // of the position fix it implies, per axis
+        };
+    }
+
+    // A place already identified, e.g. the room a sign read by OCR names. candidates are
+    // where its sign may hang (a mapped sign, the room's doors), each with sigma: m, how far
+    // the sign may be from that point. Gate, ambiguity between the candidates and
+    // persistence checks still apply.
+    processIdentified(candidates, det, pose, covariance, frameWidth, timestamp = Date.now()) {
+        if (!candidates.length || !(det.depth > 0) || det.depth > this.maxRange) return null;
+        const seen = this.observe(det, pose, covariance, frameWidth);
+        const matches = candidates.map(landmark => {
+            const extra = (landmark.sigma || 0) ** 2;
+            const obs = {
+                ...seen,
+                S: [[seen.S[0][0] + extra, seen.S[0][1]], [seen.S[1][0], seen.S[1][1] + extra]],
+                variance: seen.variance + extra
+            };
+            return { landmark, obs, d2: LandmarkRelocalizer.mahalanobis(obs, landmark) };
+        }).filter(m => m.d2 <= this.gate).sort((m, n) => m.d2 - n.d2);
+
+        const [best, second] = matches;
+        if (!best || (second && second.d2 < this.ambiguityRatio * Math.max(best.d2, 1))) {
+            this.rejected++;
+            return null;
+        }
+        return this.confirm(best.landmark, best.obs, pose, timestamp);
+    }
+
+    // Squared Mahalanobis distance of a landmark from an observation; NaN when degenerate
+    static mahalanobis(obs, landmark) {
+        const [[a, b], [c, d]] = obs.S;
+        const det = a * d - b * c;
+        if (!(det > 0)) return NaN;
+        const ex = landmark.x - obs.x, ey = landmark.y - obs.y;
+        return (d * ex * ex - (b + c) * ex * ey + a * ey * ey) / det;
+    }
+
+    // Best landmark of the type inside the gate, unless another one is about as likely
+    associate(type, obs) {
+        const [[a, b], [c, d]] = obs.S;
+        if (!(a * d - b * c > 0)) return null;
+
+        const candidates = this.landmarks
+            .filter(l => l.type === type)
+            .map(landmark => ({ landmark, d2: LandmarkRelocalizer.mahalanobis(obs, landmark) }))
+            .sort((m, n) => m.d2 - n.d2);
+
+        const [best, second] = candidates;
+        if (!best || best.d2 > this.gate) return null;
+        if (second && second.d2 < this.ambiguityRatio * Math.max(best.d2, 1)) {
+            this.rejected++;
+            return null;
+        }
+        return best;
+    }
+
+    // Queue the correction this match implies; release their mean once enough recent,
+    // mutually consistent ones have built up for the landmark
+    confirm(landmark, obs, pose, timestamp) {
+        if (timestamp - (this.lastUsed.get(landmark.id) || -Infinity) < this.cooldown) return null;
+
+        const queue = (this.pending.get(landmark.id) || []).filter(o => timestamp - o.timestamp <= this.confirmWindow);
+        queue.push({ dx: landmark.x - obs.x, dy: landmark.y - obs.y, variance: obs.variance, timestamp });
+        this.pending.set(landmark.id, queue);
+        if (queue.length < this.minConfirmations) return null;
+
+        const n = queue.length;
+        const dx = queue.reduce((s, o) => s + o.dx, 0) / n;
+        const dy = queue.reduce((s, o) => s + o.dy, 0) / n;
+        if (queue.some(o => Math.hypot(o.dx - dx, o.dy - dy) > this.maxSpread / 2)) {
+            // Corrections disagree: most likely a false detection, start over
+            this.pending.delete(landmark.id);
+            this.rejected++;
+            return null;
+        }
+
+        this.pending.delete(landmark.id);
+        this.lastUsed.set(landmark.id, timestamp);
+        // Detections of one landmark share their error, so averaging does not shrink the variance
+        const variance = queue.reduce((s, o) => s + o.variance, 0) / n;
+        return { landmark, x: pose.x + dx, y: pose.y + dy, variance };
+    }
+}
@@ -0,0 +1,268 @@
+// Route planning over a floor plan. Walls are rasterised into a grid of distances to
+// the nearest wall: cells closer than the clearance a walking user needs are blocked,
+// and cells closer than the comfort distance cost extra, so A* keeps to the middle of
+// corridors and doorways. Line-of-sight shortcutting then reduces the cell path to the
+// few waypoints NavigationModule follows segment by segment.
+// Works on any { walls, bounds } in the odometry frame: an aligned FloorPlan or a
+// NavigationSimulator floor plan.
+class RoutePlanner {
+    constructor(floorPlan, options = {}) {
+        this.walls = floorPlan.walls || [];
+        this.clearance = options.clearance || 0.4; // m kept from walls
+        this.comfort = options.comfort || 1.0; // m from walls where cells stop costing extra
+        this.wallPenalty = options.wallPenalty || 2; // extra cost right at the clearance
+        const margin = options.margin || 1; // m of free space around the bounds
+        const maxCells = options.maxCells || 400000;
+
+        const b = floorPlan.bounds;
+        const width = b.maxX - b.minX + 2 * margin;
+        const height = b.maxY - b.minY + 2 * margin;
+        // Coarsen large plans rather than allocate an unbounded grid
+        this.resolution = Math.max(options.resolution || 0.25, Math.sqrt(width * height / maxCells)); // m per cell
+        this.originX = b.minX - margin;
+        this.originY = b.minY - margin;
+        this.cols = Math.ceil(width / this.resolution) + 1;
+        this.rows = Math.ceil(height / this.resolution) + 1;
+        this.wallDistance = new Float32Array(this.cols * this.rows).fill(this.comfort); // m, capped at comfort
+        this.rasterize();
+    }
+
+    rasterize() {
+        const r = this.resolution, reach = this.comfort;
+        for (const w of this.walls) {
+            const a = { x: w.x1, y: w.y1 }, b = { x: w.x2, y: w.y2 };
+            const i0 = Math.max(0, Math.floor((Math.min(a.x, b.x) - reach - this.originX) / r));
+            const i1 = Math.min(this.cols - 1, Math.ceil((Math.max(a.x, b.x) + reach - this.originX) / r));
+            const j0 = Math.max(0, Math.floor((Math.min(a.y, b.y) - reach - this.originY) / r));
+            const j1 = Math.min(this.rows - 1, Math.ceil((Math.max(a.y, b.y) + reach - this.originY) / r));
+            for (let j = j0; j <= j1; j++) {
+                for (let i = i0; i <= i1; i++) {
+                    const k = j * this.cols + i;
+                    this.wallDistance[k] = Math.min(this.wallDistance[k], Segment2D.distanceToPoint(this.center(i, j), a, b));
+                }
+            }
+        }
+    }
+
+    cellOf(p) {
+        return {
+            i: Math.round((p.x - this.originX) / this.resolution),
+            j: Math.round((p.y - this.originY) / this.resolution)
+        };
+    }
+
+    center(i, j) {
+        return { x: this.originX + i * this.resolution, y: this.originY + j * this.resolution };
+    }
+
+    isFree(i, j) {
+        return i >= 0 && j >= 0 && i < this.cols && j < this.rows && this.wallDistance[j * this.cols + i] >= this.clearance;
+    }
+
+    // Step cost multiplier: 1 in open space, rising towards the walls
+    costAt(k) {
+        const d = this.wallDistance[k];
+        return d >= this.comfort ? 1 : 1 + this.wallPenalty * (this.comfort - d) / (this.comfort - this.clearance);
+    }
+
+    // Closest free cell within maxDistance metres (users standing against a wall still get a route)
+    nearestFree(cell, maxDistance = 2) {
+        if (this.isFree(cell.i, cell.j)) return cell;
+        const maxRing = Math.ceil(maxDistance / this.resolution);
+        for (let ring = 1; ring <= maxRing; ring++) {
+            let best = null, bestD = Infinity;
+            for (let dj = -ring; dj <= ring; dj++) {
+                for (let di = -ring; di <= ring; di++) {
+                    if (Math.max(Math.abs(di), Math.abs(dj)) !== ring) continue;
+                    const d = di * di + dj * dj;
+                    if (d < bestD && this.isFree(cell.i + di, cell.j + dj)) {
+                        best = { i: cell.i + di, j: cell.j + dj };
+                        bestD = d;
+                    }
+                }
+            }
+            if (best) return best;
+        }
+        return null;
+    }
+
+    // start / goal in the odometry frame -> { waypoints: [{ x, y }], distance } or null.
+    // The start itself is not a waypoint (unless it is too close to a wall, then the first
+    // waypoint steps away from it); the last waypoint is the goal.
+    plan(start, goal) {
+        const startCell = this.cellOf(start);
+        const s = this.nearestFree(startCell);
+        const g = this.nearestFree(this.cellOf(goal));
+        if (!s || !g) return null;
+
+        const cells = this.search(s, g);
+        if (!cells) return null;
+
+        const points = cells.map(c => this.center(c.i, c.j));
+        if (this.isFree(this.cellOf(goal).i, this.cellOf(goal).j)) points[points.length - 1] = { x: goal.x, y: goal.y };
+        const waypoints = this.shortcut(points);
+        if (this.isFree(startCell.i, startCell.j)) waypoints.shift();
+
+        let distance = 0, prev = start;
+        for (const wp of waypoints) {
+            distance += Math.hypot(wp.x - prev.x, wp.y - prev.y);
+            prev = wp;
+        }
+        return { waypoints, distance };
+    }
+
+    // 8-connected A* with an octile heuristic (admissible: costs are never below 1);
+    // diagonals may not cut wall corners
+    search(s, g) {
+        const cols = this.cols;
+        const key = (i, j) => j * cols + i;
+        const heuristic = (i, j) => {
+            const dx = Math.abs(i - g.i), dy = Math.abs(j - g.j);
+            return Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy);
+        };
+
+        const cost = new Float64Array(cols * this.rows).fill(Infinity);
+        const parent = new Int32Array(cols * this.rows).fill(-1);
+        const closed = new Uint8Array(cols * this.rows);
+        const open = new MinHeap();
+
+        cost[key(s.i, s.j)] = 0;
+        open.push(key(s.i, s.j), heuristic(s.i, s.j));
+        const goalKey = key(g.i, g.j);
+
+        while (open.size > 0) {
+            const k = open.pop();
+            if (closed[k]) continue;
+            closed[k] = 1;
+            if (k === goalKey) break;
+
+            const i = k % cols, j = Math.floor(k / cols);
+            for (let dj = -1; dj <= 1; dj++) {
+                for (let di = -1; di <= 1; di++) {
+                    if (!di && !dj) continue;
+                    const ni = i + di, nj = j + dj;
+                    if (!this.isFree(ni, nj)) continue;
+                    if (di && dj && (!this.isFree(i + di, j) || !this.isFree(i, j + dj))) continue;
+
+                    const nk = key(ni, nj);
+                    const c = cost[k] + (di && dj ? Math.SQRT2 : 1) * this.costAt(nk);
+                    if (c < cost[nk]) {
+                        cost[nk] = c;
+                        parent[nk] = k;
+                        open.push(nk, c + heuristic(ni, nj));
+                    }
+                }
+            }
+        }
+
+        if (!closed[goalKey]) return null;
+        const cells = [];
+        for (let k = goalKey; k !== -1; k = parent[k]) cells.push({ i: k % cols, j: Math.floor(k / cols) });
+        return cells.reverse();
+    }
+
+    // Keep only the points where the straight line to the next one would pass closer
+    // to a wall than its end points do: shortcuts never cut corners the A* path avoided
+    shortcut(points) {
+        const out = [points[0]];
+        let anchor = 0;
+        while (anchor < points.length - 1) {
+            let next = anchor + 1;
+            for (let k = points.length - 1; k > next; k--) {
+                if (this.lineOfSight(points[anchor], points[k])) {
+                    next = k;
+                    break;
+                }
+            }
+            out.push(points[next]);
+            anchor = next;
+        }
+        return out;
+    }
+
+    lineOfSight(a, b) {
+        const limit = Math.max(this.clearance, Math.min(this.distanceAt(a), this.distanceAt(b)) - this.resolution);
+        const n = Math.ceil(2 * Math.hypot(b.x - a.x, b.y - a.y) / this.resolution);
+        for (let t = 1; t < n; t++) {
+            if (this.distanceAt({ x: a.x + (b.x - a.x) * t / n, y: a.y + (b.y - a.y) * t / n }) < limit) return false;
+        }
+        return true;
+    }
+
+    // Whether a user at a could head straight for b: no wall crossed and no corner
+    // shaved closer than half the clearance (positions are noisy)
+    clearPath(a, b) {
+        if (this.walls.some(w => Segment2D.intersects(a, b, { x: w.x1, y: w.y1 }, { x: w.x2, y: w.y2 }))) return false;
+        const n = Math.ceil(2 * Math.hypot(b.x - a.x, b.y - a.y) / this.resolution);
+        for (let t = 1; t < n; t++) {
+            if (this.distanceAt({ x: a.x + (b.x - a.x) * t / n, y: a.y + (b.y - a.y) * t / n }) < this.clearance / 2) return false;
+        }
+        return true;
+    }
+
+    distanceAt(p) {
+        const c = this.cellOf(p);
+        if (c.i < 0 || c.j < 0 || c.i >= this.cols || c.j >= this.rows) return 0;
+        return this.wallDistance[c.j * this.cols + c.i];
+    }
+
+    // Signed turn (deg, + = right) between two route segments -> { text, event }
+    static describeTurn(angle) {
+        const side = angle > 0 ? 'right' : 'left';
+        const a = Math.abs(angle);
+        if (a < 20) return { text: 'continue straight', event: 'straight' };
+        if (a < 45) return { text: `bear ${side}`, event: side };
+        if (a < 135) return { text: `turn ${side}`, event: side };
+        return { text: 'turn around', event: 'stop' };
+    }
+
+    // Heading change (deg, + = right) at waypoint b on the path a -> b -> c
+    static turnAngle(a, b, c) {
+        const h1 = Math.atan2(b.x - a.x, b.y - a.y);
+        const h2 = Math.atan2(c.x - b.x, c.y - b.y);
+        return SE2.wrap(h2 - h1) * 180 / Math.PI;
+    }
+}
+
+// Binary min-heap of (value, priority) for the A* open set
+class MinHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(value, priority) {
+        const items = this.items;
+        items.push({ value, priority });
+        let i = items.length - 1;
+        while (i > 0) {
+            const p = (i - 1) >> 1;
+            if (items[p].priority <= items[i].priority) break;
+            [items[p], items[i]] = [items[i], items[p]];
+            i = p;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const l = 2 * i + 1, r = l + 1;
+                let m = i;
+                if (l < items.length && items[l].priority < items[m].priority) m = l;
+                if (r < items.length && items[r].priority < items[m].priority) m = r;
+                if (m === i) break;
+                [items[m], items[i]] = [items[i], items[m]];
+                i = m;
+            }
+        }
+        return top.value;
+    }
+}
@@ -0,0 +1,263 @@
+// Session recording and replay, so a walk can be reproduced without a phone.
+// A session is JSON: { version, startedAt, userAgent, frameSize, events } where every
+// event carries the timeStamp it was captured at (DOMHighResTimeStamp, ms):
+//   { type: 'motion', timeStamp, accelerationIncludingGravity, rotationRate, interval }
+//   { type: 'orientation', timeStamp, alpha, beta, gamma, absolute, webkitCompassHeading, webkitCompassAccuracy }
+//   { type: 'frame', timeStamp, width, height, gray }   - gray: base64, one byte per pixel
+//   { type: 'detections', timeStamp, predictions }
+// Orientation events have the same shape CompassFusion.replay expects.
+const SESSION_VERSION = 1;
+
+class SessionRecorder {
+    constructor(options = {}) {
+        this.width = options.width || 160; // VO resolution
+        this.height = options.height || 120;
+        this.frameInterval = options.frameInterval || 100; // ms, ~19 KB per frame before base64
+        this.isRecording = false;
+        this.events = [];
+        this.lastFrameTime = 0;
+        this.listeners = [];
+        this.canvas = null;
+    }
+
+    start() {
+        if (this.isRecording) return;
+        this.events = [];
+        this.lastFrameTime = 0;
+        this.startedAt = new Date().toISOString();
+        this.isRecording = true;
+
+        const orientationEvent = 'ondeviceorientationabsolute' in window ? 'deviceorientationabsolute' : 'deviceorientation';
+        this.listen('devicemotion', (e) => this.recordMotion(e));
+        this.listen(orientationEvent, (e) => this.recordOrientation(e));
+    }
+
+    // Returns the finished session object
+    stop() {
+        this.listeners.forEach(([type, fn]) => window.removeEventListener(type, fn));
+        this.listeners = [];
+        this.isRecording = false;
+        return this.toSession();
+    }
+
+    listen(type, fn) {
+        window.addEventListener(type, fn);
+        this.listeners.push([type, fn]);
+    }
+
+    recordMotion(e) {
+        const a = e.accelerationIncludingGravity;
+        const r = e.rotationRate;
+        this.events.push({
+            type: 'motion',
+            timeStamp: e.timeStamp,
+            accelerationIncludingGravity: a ? { x: a.x, y: a.y, z: a.z } : null,
+            rotationRate: r ? { alpha: r.alpha, beta: r.beta, gamma: r.gamma } : null,
+            interval: e.interval
+        });
+    }
+
+    recordOrientation(e) {
+        this.events.push({
+            type: 'orientation',
+            timeStamp: e.timeStamp,
+            alpha: e.alpha,
+            beta: e.beta,
+            gamma: e.gamma,
+            absolute: e.absolute,
+            webkitCompassHeading: e.webkitCompassHeading,
+            webkitCompassAccuracy: e.webkitCompassAccuracy
+        });
+    }
+
+    // Call every loop iteration; keeps one frame per frameInterval
+    recordFrame(video, timestamp = performance.now()) {
+        if (!this.isRecording || video.readyState < 2) return;
+        if (timestamp - this.lastFrameTime < this.frameInterval) return;
+
+        if (!this.canvas) {
+            this.canvas = document.createElement('canvas');
+            this.canvas.width = this.width;
+            this.canvas.height = this.height;
+            this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+        }
+        this.ctx.drawImage(video, 0, 0, this.width, this.height);
+        this.recordGray(ImageOps.toGrayscale(this.ctx.getImageData(0, 0, this.width, this.height)), timestamp);
+    }
+
+    // A gray frame already at the recording resolution (the VO worker's), same throttle
+    recordGray(gray, timestamp = performance.now()) {
+        if (!this.isRecording || timestamp - this.lastFrameTime < this.frameInterval) return;
+        this.lastFrameTime = timestamp;
+        this.events.push({
+            type: 'frame',
+            timeStamp: timestamp,
+            width: gray.width,
+            height: gray.height,
+            gray: SessionRecorder.encodeGray(gray.data)
+        });
+    }
+
+    recordDetections(predictions, timestamp = performance.now()) {
+        if (!this.isRecording || !predictions) return;
+        this.events.push({
+            type: 'detections',
+            timeStamp: timestamp,
+            predictions: predictions.map(p => ({ class: p.class, score: p.score, bbox: p.bbox.slice(), depth: p.depth }))
+        });
+    }
+
+    toSession() {
+        return {
+            version: SESSION_VERSION,
+            startedAt: this.startedAt,
+            userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : '',
+            frameSize: { width: this.width, height: this.height },
+            events: this.events.slice().sort((a, b) => a.timeStamp - b.timeStamp)
+        };
+    }
+
+    // Offers the session as a JSON download
+    static download(session, filename = `session-${Date.now()}.json`) {
+        const blob = new Blob([JSON.stringify(session)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    static async load(file) {
+        const session = JSON.parse(await file.text());
+        if (!session || session.version !== SESSION_VERSION || !Array.isArray(session.events)) {
+            throw new Error("Unsupported session file");
+        }
+        return session;
+    }
+
+    static encodeGray(values) {
+        const bytes = Uint8Array.from(values, v => Math.max(0, Math.min(255, Math.round(v))));
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    // Back to an ImageData-shaped RGBA frame the VO can consume
+    static decodeFrame(event) {
+        const binary = atob(event.gray);
+        const data = new Uint8ClampedArray(event.width * event.height * 4);
+        for (let i = 0; i < binary.length; i++) {
+            const v = binary.charCodeAt(i);
+            data[4 * i] = data[4 * i + 1] = data[4 * i + 2] = v;
+            data[4 * i + 3] = 255;
+        }
+        return { width: event.width, height: event.height, data };
+    }
+}
+
+// Feeds a recorded session through the odometry, vision and navigation modules,
+// either in (scaled) real time or as fast as possible. Runs under Node too, without a
+// page: see tools/replay.js.
+class SessionReplayer {
+    constructor(session, options = {}) {
+        this.session = session;
+        this.odometry = options.odometry;
+        this.vision = options.vision || null;
+        this.nav = options.nav || null;
+        this.speed = options.speed || 1; // Infinity = as fast as possible
+        this.onPosition = options.onPosition || (() => { });
+        this.onNavigation = options.onNavigation || (() => { });
+        this.onDetections = options.onDetections || (() => { });
+
+        this.index = 0;
+        this.stopped = false;
+        this.report = { frames: 0, motion: 0, orientation: 0, detections: 0, instructions: [], trajectory: [] };
+    }
+
+    get isFinished() {
+        return this.index >= this.session.events.length;
+    }
+
+    // Dispatches one recorded event to whichever module consumes it
+    dispatch(event) {
+        switch (event.type) {
+            case 'motion':
+                this.odometry.handleMotion(event);
+                this.report.motion++;
+                break;
+            case 'orientation':
+                this.odometry.handleOrientation(event);
+                this.report.orientation++;
+                break;
+            case 'frame': {
+                this.odometry.updateFrame(SessionRecorder.decodeFrame(event), event.timeStamp);
+                this.report.frames++;
+                const pos = this.odometry.getPosition();
+                this.report.trajectory.push({ t: event.timeStamp, x: pos.x, y: pos.y, heading: pos.heading });
+                this.onPosition(pos, event.timeStamp);
+                this.updateNavigation(pos, event.timeStamp);
+                break;
+            }
+            case 'detections': {
+                const predictions = this.vision ? this.vision.replay(event.predictions, event.timeStamp) : event.predictions;
+                this.report.detections++;
+                this.onDetections(predictions, event.timeStamp);
+                break;
+            }
+        }
+    }
+
+    updateNavigation(pos, timestamp) {
+        if (!this.nav) return;
+        const update = this.nav.update(pos, timestamp);
+        if (update && (update.instruction || update.event)) {
+            this.report.instructions.push({ t: timestamp, instruction: update.instruction, event: update.event, state: update.state });
+        }
+        if (update) this.onNavigation(update, timestamp);
+    }
+
+    // Synchronous replay of everything that is left; returns the report
+    runAll() {
+        const events = this.session.events;
+        while (!this.stopped && this.index < events.length) this.dispatch(events[this.index++]);
+        return this.finish();
+    }
+
+    // Replay at this.speed; resolves with the report when done or stopped
+    play() {
+        if (this.speed === Infinity) return Promise.resolve(this.runAll());
+
+        const events = this.session.events;
+        const t0 = this.index < events.length ? events[this.index].timeStamp : 0;
+        const wall0 = performance.now();
+
+        return new Promise(resolve => {
+            const tick = () => {
+                const due = t0 + (performance.now() - wall0) * this.speed;
+                while (!this.stopped && this.index < events.length && events[this.index].timeStamp <= due) {
+                    this.dispatch(events[this.index++]);
+                }
+                if (this.stopped || this.isFinished) resolve(this.finish());
+                else setTimeout(tick, 10);
+            };
+            tick();
+        });
+    }
+
+    stop() {
+        this.stopped = true;
+    }
+
+    finish() {
+        const events = this.session.events;
+        const pos = this.odometry.getPosition();
+        this.report.duration = events.length ? (events[events.length - 1].timeStamp - events[0].timeStamp) / 1000 : 0;
+        this.report.steps = this.odometry.stepCount;
+        this.report.finalPose = pos;
+        this.report.confidence = this.odometry.getConfidence();
+        return this.report;
+    }
+}
@@ -0,0 +1,360 @@
+// Headless navigation simulation: a virtual user follows the guidance of a
+// NavigationModule (integrated-app) or Navigator (indoor-nav-pwa) through a floor plan,
+// and every instruction, haptic cue and state change is recorded on a simulated clock.
+// Floor plan: { walls: [{ x1, y1, x2, y2 }], bounds: { minX, minY, maxX, maxY } } in metres.
+
+// Stands in for InstructionEngine: same speak / vibrate surface, but records on the
+// simulated clock, applying the same 3 s speech throttle so `spoken` is what a user would hear
+class SimulatedInstructionEngine {
+    constructor(clock, options = {}) {
+        this.clock = clock; // () => seconds
+        this.minSpeechInterval = options.minSpeechInterval || 3000; // ms
+        this.lastSpokenTime = -Infinity;
+        this.pending = [];
+    }
+
+    speak(text, force = false) {
+        const now = this.clock() * 1000;
+        const spoken = force || now - this.lastSpokenTime >= this.minSpeechInterval;
+        if (spoken) this.lastSpokenTime = now;
+        this.pending.push({ text, spoken });
+    }
+
+    vibrate(pattern) {
+        this.pending.push({ haptic: pattern });
+    }
+
+    // Everything emitted since the last call
+    drain() {
+        const out = this.pending;
+        this.pending = [];
+        return out;
+    }
+}
+
+// Adapters give both navigators one surface: setTarget(x, y, from), routed and
+// update(pose) -> { state, diff (deg, + = right), messages: [{ text, spoken } | { haptic }] }
+class NavigationModuleAdapter {
+    constructor(module, clock = () => Date.now() / 1000) {
+        this.module = module;
+        this.clock = clock; // () => seconds
+    }
+
+    get state() { return this.module.state; }
+
+    get routed() { return !!this.module.planner; }
+
+    setTarget(x, y, from) {
+        return [{ text: this.module.setTarget(x, y, from), spoken: true }];
+    }
+
+    update(pose) {
+        const result = this.module.update(pose, this.clock() * 1000);
+        const messages = [];
+        if (result && result.instruction) messages.push({ text: result.instruction, spoken: true });
+        if (result && result.event) messages.push({ haptic: result.event });
+        return { state: this.module.state, diff: result ? result.diff : 0, messages };
+    }
+}
+
+class NavigatorAdapter {
+    // navigator: a Navigator whose engine is a SimulatedInstructionEngine
+    constructor(navigator, clock = () => Date.now() / 1000) {
+        this.navigator = navigator;
+        this.clock = clock; // () => seconds
+    }
+
+    get state() { return this.navigator.state; }
+
+    get routed() { return !!this.navigator.planner; }
+
+    setTarget(x, y, from) {
+        this.navigator.setTarget(x, y, from);
+        return this.navigator.engine.drain();
+    }
+
+    // Navigator works in degrees
+    update(pose) {
+        const headingDeg = pose.heading * 180 / Math.PI;
+        this.navigator.update(pose.x, pose.y, headingDeg, this.clock() * 1000);
+        const t = this.navigator.target && this.navigator.waypoint;
+        let diff = 0;
+        if (t) {
+            const bearing = Math.atan2(t.x - pose.x, t.y - pose.y) * 180 / Math.PI;
+            diff = SE2.wrap((bearing - headingDeg) * Math.PI / 180) * 180 / Math.PI;
+        }
+        return { state: this.navigator.state, diff, messages: this.navigator.engine.drain() };
+    }
+}
+
+// A pedestrian who does what the guidance says, after a reaction delay: turns are made
+// open-loop by the announced angle (with a proportional error), walking has noisy stride
+// and veer. The pose it reports carries sensor-like errors.
+class VirtualWalker {
+    constructor(rng, options = {}) {
+        this.rng = rng;
+        this.stepLength = options.stepLength || 0.7; // m
+        this.stepLengthNoise = options.stepLengthNoise || 0.05; // m
+        this.cadence = options.cadence || 1.8; // steps per second
+        this.turnRate = (options.turnRate || 60) * Math.PI / 180; // rad/s
+        this.turnError = options.turnError !== undefined ? options.turnError : 0.15; // fraction of the turn
+        this.reactionTime = options.reactionTime !== undefined ? options.reactionTime : 0.7; // s
+        this.veer = (options.veer || 2) * Math.PI / 180; // heading random walk per step
+        this.positionNoise = options.positionNoise || 0.2; // m, reported position
+        this.headingNoise = (options.headingNoise || 3) * Math.PI / 180; // reported heading
+        this.headingBias = (options.headingBias || 0) * Math.PI / 180;
+
+        this.pose = { x: 0, y: 0, heading: 0 };
+        this.intent = 'stop'; // 'stop' | 'walk' | 'turn'
+        this.turnRemaining = 0; // rad, + = right
+        this.pending = null; // { intent, angle, at }
+        this.stepPhase = 0;
+        this.distance = 0;
+        this.steps = 0;
+        this.collisions = 0;
+    }
+
+    place(pose) {
+        this.pose = { ...pose };
+        this.intent = 'stop';
+        this.turnRemaining = 0;
+        this.pending = null;
+        this.stepPhase = 0;
+    }
+
+    // Pose as the navigation code would see it from odometry
+    reportedPose() {
+        return {
+            x: this.pose.x + this.rng.gaussian(0, this.positionNoise),
+            y: this.pose.y + this.rng.gaussian(0, this.positionNoise),
+            heading: SE2.normalizeHeading(this.pose.heading + this.headingBias + this.rng.gaussian(0, this.headingNoise))
+        };
+    }
+
+    // Turns guidance into an intent, acted on after the reaction time.
+    // A turn in progress is finished before listening again.
+    hear(guidance, time) {
+        if (this.intent === 'turn') return;
+
+        let intent = 'stop';
+        if (guidance.state === 'MOVING') intent = 'walk';
+        else if (guidance.state === 'ROTATING') intent = 'turn';
+
+        if (intent === this.intent) {
+            this.pending = null;
+        } else if (!this.pending || this.pending.intent !== intent) {
+            const angle = guidance.diff * Math.PI / 180 * (1 + this.rng.gaussian(0, this.turnError));
+            this.pending = { intent, angle, at: time + this.reactionTime };
+        }
+    }
+
+    // Advances dt seconds; walls: [{ x1, y1, x2, y2 }]
+    tick(dt, time, walls) {
+        if (this.pending && time >= this.pending.at) {
+            this.intent = this.pending.intent;
+            this.turnRemaining = this.pending.angle;
+            this.pending = null;
+        }
+
+        if (this.intent === 'turn') {
+            const delta = Math.sign(this.turnRemaining) * Math.min(Math.abs(this.turnRemaining), this.turnRate * dt);
+            this.pose.heading = SE2.normalizeHeading(this.pose.heading + delta);
+            this.turnRemaining -= delta;
+            if (Math.abs(this.turnRemaining) < 1e-9) this.intent = 'stop';
+            return null;
+        }
+        if (this.intent !== 'walk') return null;
+
+        this.stepPhase += this.cadence * dt;
+        if (this.stepPhase < 1) return null;
+        this.stepPhase -= 1;
+        return this.step(walls);
+    }
+
+    step(walls) {
+        this.pose.heading = SE2.normalizeHeading(this.pose.heading + this.rng.gaussian(0, this.veer));
+        const L = Math.max(0.1, this.stepLength + this.rng.gaussian(0, this.stepLengthNoise));
+        const next = {
+            x: this.pose.x + L * Math.sin(this.pose.heading),
+            y: this.pose.y + L * Math.cos(this.pose.heading)
+        };
+        if (walls.some(w => Segment2D.intersects(this.pose, next, { x: w.x1, y: w.y1 }, { x: w.x2, y: w.y2 }))) {
+            this.collisions++;
+            return 'blocked';
+        }
+        this.pose.x = next.x;
+        this.pose.y = next.y;
+        this.distance += L;
+        this.steps++;
+        return 'step';
+    }
+}
+
+class NavigationSimulator {
+    // navigator: a NavigationModule or a Navigator (wrapped automatically)
+    constructor(navigator, options = {}) {
+        this.seed = options.seed || 1;
+        this.rng = new SeededRandom(this.seed);
+        this.floorPlan = options.floorPlan || { walls: [], bounds: { minX: -10, minY: -10, maxX: 10, maxY: 10 } };
+        this.dt = options.dt || 0.1; // s per tick
+        this.timeout = options.timeout || 120; // s per leg
+        this.oscillationWindow = options.oscillationWindow || 2; // s, shorter stays count as oscillation
+        this.walkerOptions = options.walker || {};
+
+        this.time = 0;
+        this.nav = NavigationSimulator.adapt(navigator, () => this.time);
+        this.walker = new VirtualWalker(this.rng, this.walkerOptions);
+        this.log = []; // { t, leg, text, spoken } | { t, leg, haptic } | { t, leg, state }
+        this.legs = [];
+    }
+
+    static adapt(navigator, clock) {
+        if (navigator instanceof NavigationModuleAdapter || navigator instanceof NavigatorAdapter) return navigator;
+        if (typeof NavigationModule !== 'undefined' && navigator instanceof NavigationModule) {
+            return new NavigationModuleAdapter(navigator, clock);
+        }
+        // Navigator: make sure it speaks through a recording engine
+        if (!(navigator.engine instanceof SimulatedInstructionEngine)) {
+            navigator.engine = new SimulatedInstructionEngine(clock);
+        }
+        return new NavigatorAdapter(navigator, clock);
+    }
+
+    get walls() {
+        return this.floorPlan.walls || [];
+    }
+
+    // Walks start -> waypoints[0] -> waypoints[1] ... Each waypoint is a leg with its own target.
+    runRoute(start, waypoints) {
+        this.walker.place({ x: start.x, y: start.y, heading: start.heading || 0 });
+        const results = [];
+        for (const wp of waypoints) {
+            const result = this.runLeg(wp);
+            results.push(result);
+            if (!result.arrived) break; // lost users don't carry on to the next waypoint
+        }
+        return results;
+    }
+
+    // count random start / goal pairs, each from a random heading. Without a route
+    // planner on the navigator they need a clear line of sight.
+    runRandom(count, minLength = 3) {
+        const results = [];
+        for (let i = 0; i < count; i++) {
+            const route = this.randomRoute(minLength);
+            if (!route) break;
+            results.push(...this.runRoute(route.start, [route.goal]));
+        }
+        return results;
+    }
+
+    randomRoute(minLength, attempts = 200) {
+        const b = this.floorPlan.bounds;
+        const point = () => ({
+            x: b.minX + this.rng.next() * (b.maxX - b.minX),
+            y: b.minY + this.rng.next() * (b.maxY - b.minY)
+        });
+        for (let i = 0; i < attempts; i++) {
+            const start = point(), goal = point();
+            if (Math.hypot(goal.x - start.x, goal.y - start.y) < minLength) continue;
+            if (!this.isClear(start) || !this.isClear(goal)) continue;
+            if (!this.nav.routed && !this.lineOfSight(start, goal)) continue;
+            start.heading = this.rng.next() * 2 * Math.PI;
+            return { start, goal };
+        }
+        return null;
+    }
+
+    isClear(p, clearance = 0.5) {
+        return this.walls.every(w => Segment2D.distanceToPoint(p, { x: w.x1, y: w.y1 }, { x: w.x2, y: w.y2 }) >= clearance);
+    }
+
+    lineOfSight(a, b) {
+        return !this.walls.some(w => Segment2D.intersects(a, b, { x: w.x1, y: w.y1 }, { x: w.x2, y: w.y2 }));
+    }
+
+    runLeg(target) {
+        const leg = this.legs.length;
+        const start = this.time;
+        const from = { x: this.walker.pose.x, y: this.walker.pose.y };
+        const startDistance = this.walker.distance;
+        const startCollisions = this.walker.collisions;
+        this.record(leg, this.nav.setTarget(target.x, target.y, this.walker.reportedPose()));
+
+        const states = [{ t: this.time, state: this.nav.state }];
+        let corrective = 0;
+        let arrived = false;
+
+        while (this.time - start < this.timeout) {
+            const guidance = this.nav.update(this.walker.reportedPose());
+            this.record(leg, guidance.messages);
+            corrective += guidance.messages.filter(m => m.text && m.text.startsWith('Stop.')).length;
+
+            if (guidance.state !== states[states.length - 1].state) {
+                states.push({ t: this.time, state: guidance.state });
+                this.log.push({ t: this.time, leg, state: guidance.state });
+            }
+            if (guidance.state === 'ARRIVED') {
+                arrived = true;
+                break;
+            }
+
+            this.walker.hear(guidance, this.time);
+            this.walker.tick(this.dt, this.time, this.walls);
+            this.time += this.dt;
+        }
+
+        const result = {
+            leg,
+            from,
+            target: { x: target.x, y: target.y },
+            arrived,
+            time: this.time - start,
+            finalError: Math.hypot(this.walker.pose.x - target.x, this.walker.pose.y - target.y),
+            distance: this.walker.distance - startDistance,
+            collisions: this.walker.collisions - startCollisions,
+            corrective,
+            ...NavigationSimulator.countFlips(states, this.oscillationWindow)
+        };
+        this.legs.push(result);
+        return result;
+    }
+
+    record(leg, messages) {
+        for (const m of messages) this.log.push({ t: this.time, leg, ...m });
+    }
+
+    // ROTATING <-> MOVING changes; an oscillation is a state that flipped back within the window
+    static countFlips(states, window) {
+        let flips = 0, oscillations = 0;
+        for (let i = 1; i < states.length; i++) {
+            const a = states[i - 1].state, b = states[i].state;
+            const isFlip = (a === 'ROTATING' && b === 'MOVING') || (a === 'MOVING' && b === 'ROTATING');
+            if (!isFlip) continue;
+            flips++;
+            if (i >= 2 && states[i].t - states[i - 1].t < window && states[i - 2].state === b) oscillations++;
+        }
+        return { flips, oscillations };
+    }
+
+    // Summary over every leg run so far
+    report() {
+        const legs = this.legs;
+        const arrived = legs.filter(l => l.arrived);
+        const sum = (list, key) => list.reduce((s, l) => s + l[key], 0);
+        return {
+            seed: this.seed,
+            legs: legs.length,
+            arrived: arrived.length,
+            successRate: legs.length ? arrived.length / legs.length : 0,
+            meanTimeToArrival: arrived.length ? sum(arrived, 'time') / arrived.length : null,
+            correctivePrompts: sum(legs, 'corrective'),
+            flips: sum(legs, 'flips'),
+            oscillations: sum(legs, 'oscillations'),
+            collisions: sum(legs, 'collisions'),
+            spokenInstructions: this.log.filter(e => e.text && e.spoken).length,
+            hapticEvents: this.log.filter(e => e.haptic).length,
+            perLeg: legs
+        };
+    }
+}
@@ -0,0 +1,296 @@
+// Keyframe-based local map with triangulated 3D landmarks.
+// World frame: x east, y north (same as OdometryModule), z up. Metric scale comes from
+// the odometry pose attached to each keyframe, so monocular scale ambiguity does not apply.
+
+class Keyframe {
+    constructor(id, keypoints, pose, timestamp) {
+        this.id = id;
+        this.keypoints = keypoints; // from FeatureDetector.detectAndCompute
+        this.pose = pose; // { x, y, heading }
+        this.timestamp = timestamp;
+        this.landmarkIds = new Array(keypoints.length).fill(-1);
+    }
+}
+
+class Landmark {
+    constructor(id, position, descriptor, keyframeId) {
+        this.id = id;
+        this.position = position; // [x, y, z] world
+        this.descriptors = [descriptor];
+        this.descriptor = descriptor; // representative (medoid) descriptor
+        this.observations = new Map(); // keyframeId -> keypoint index
+        this.firstKeyframe = keyframeId;
+        this.visible = 1; // times it should have been seen in a new keyframe
+        this.found = 1; // times it was actually matched
+        this.bad = false;
+    }
+
+    addDescriptor(desc) {
+        this.descriptors.push(desc);
+        if (this.descriptors.length > 5) this.descriptors.shift();
+
+        // Medoid: smallest summed Hamming distance to the others
+        let best = Infinity;
+        for (const a of this.descriptors) {
+            let sum = 0;
+            for (const b of this.descriptors) sum += FeatureMatcher.hamming(a, b);
+            if (sum < best) { best = sum; this.descriptor = a; }
+        }
+    }
+}
+
+class SlamMap {
+    constructor(options = {}) {
+        this.intrinsics = options.intrinsics || MonocularVO.intrinsicsFromFov(160, 120, 65);
+        this.imageWidth = options.imageWidth || 160;
+        this.imageHeight = options.imageHeight || 120;
+        this.cameraHeight = options.cameraHeight || 1.4; // metres, phone held at chest
+
+        // Keyframe selection
+        this.minTrackedRatio = options.minTrackedRatio || 0.6; // fewer tracked features -> new keyframe
+        this.minParallax = options.minParallax || 2 * Math.PI / 180; // rad, median rotation-compensated
+        this.minBaseline = options.minBaseline || 0.3; // metres, needed for triangulation
+        this.maxKeyframes = options.maxKeyframes || 30; // local window
+
+        // Landmark quality
+        this.minTriangulationAngle = options.minTriangulationAngle || 2 * Math.PI / 180;
+        this.maxDepth = options.maxDepth || 15; // metres
+        this.maxReprojError = options.maxReprojError || 2; // px
+        this.searchRadius = options.searchRadius || 8; // px, projection-guided matching
+        this.maxDescriptorDistance = options.maxDescriptorDistance || 64;
+
+        this.matcher = new FeatureMatcher();
+        this.keyframes = [];
+        this.landmarks = new Map();
+        this.nextKeyframeId = 0;
+        this.nextLandmarkId = 0;
+    }
+
+    // Called for every VO frame. Inserts a keyframe when warranted; returns it or null.
+    track(keypoints, pose, timestamp = Date.now()) {
+        const last = this.keyframes[this.keyframes.length - 1];
+        if (!last) return this.addKeyframe(keypoints, pose, timestamp);
+
+        const matches = this.matcher.match(last.keypoints, keypoints);
+        const trackedRatio = last.keypoints.length ? matches.length / last.keypoints.length : 0;
+        const baseline = Math.hypot(pose.x - last.pose.x, pose.y - last.pose.y);
+        const parallax = this.medianParallax(last, keypoints, pose, matches);
+
+        const lostTrack = trackedRatio < this.minTrackedRatio;
+        const enoughParallax = parallax > this.minParallax && baseline > this.minBaseline;
+        if (!lostTrack && !enoughParallax) return null;
+
+        return this.addKeyframe(keypoints, pose, timestamp, matches);
+    }
+
+    addKeyframe(keypoints, pose, timestamp, matchesWithLast = null) {
+        const kf = new Keyframe(this.nextKeyframeId++, keypoints, { ...pose }, timestamp);
+        const last = this.keyframes[this.keyframes.length - 1];
+
+        if (last) {
+            this.matchLocalLandmarks(kf);
+            const matches = matchesWithLast || this.matcher.match(last.keypoints, keypoints);
+            this.triangulateNew(last, kf, matches);
+        }
+
+        this.keyframes.push(kf);
+        if (this.keyframes.length > this.maxKeyframes) this.removeKeyframe(this.keyframes[0]);
+        this.cullLandmarks(kf);
+        return kf;
+    }
+
+    // Camera-to-world rotation (columns: right, down, forward) and centre for a 2D pose
+    cameraPose(pose) {
+        const s = Math.sin(pose.heading), c = Math.cos(pose.heading);
+        return {
+            R: [c, 0, s, -s, 0, c, 0, -1, 0],
+            C: [pose.x, pose.y, this.cameraHeight]
+        };
+    }
+
+    // Relative pose mapping points from camera a to camera b: Xb = R Xa + t
+    relativePose(poseA, poseB) {
+        const a = this.cameraPose(poseA);
+        const b = this.cameraPose(poseB);
+        const RbT = LinAlg.mat3T(b.R);
+        return {
+            R: LinAlg.mat3Mul(RbT, a.R),
+            t: LinAlg.mat3Vec(RbT, a.C.map((v, i) => v - b.C[i]))
+        };
+    }
+
+    project(pose, point) {
+        const cam = this.cameraPose(pose);
+        const pc = LinAlg.mat3Vec(LinAlg.mat3T(cam.R), point.map((v, i) => v - cam.C[i]));
+        if (pc[2] <= 0.1) return null;
+        const K = this.intrinsics;
+        return { x: K.fx * pc[0] / pc[2] + K.cx, y: K.fy * pc[1] / pc[2] + K.cy, depth: pc[2] };
+    }
+
+    medianParallax(kf, keypoints, pose, matches) {
+        if (!matches.length) return 0;
+        const { R } = this.relativePose(kf.pose, pose);
+        const K = this.intrinsics;
+        const angles = matches.map(m => {
+            const b1 = LinAlg.mat3Vec(R, EpipolarGeometry.bearing(kf.keypoints[m.queryIndex], K));
+            const b2 = EpipolarGeometry.bearing(keypoints[m.trainIndex], K);
+            return Math.acos(Math.min(1, LinAlg.dot(b1, b2)));
+        }).sort((a, b) => a - b);
+        return angles[angles.length >> 1];
+    }
+
+    // Projection-guided search: associate existing landmarks with the new keyframe's keypoints
+    matchLocalLandmarks(kf) {
+        for (const lm of this.landmarks.values()) {
+            if (lm.bad) continue;
+            const p = this.project(kf.pose, lm.position);
+            if (!p || p.depth > this.maxDepth || p.x < 0 || p.y < 0 || p.x >= this.imageWidth || p.y >= this.imageHeight) continue;
+
+            lm.visible++;
+            let best = -1, bestDist = this.maxDescriptorDistance;
+            kf.keypoints.forEach((kp, i) => {
+                if (kf.landmarkIds[i] !== -1) return;
+                if (Math.abs(kp.x - p.x) > this.searchRadius || Math.abs(kp.y - p.y) > this.searchRadius) return;
+                const d = FeatureMatcher.hamming(lm.descriptor, kp.descriptor);
+                if (d < bestDist) { bestDist = d; best = i; }
+            });
+
+            if (best >= 0) {
+                kf.landmarkIds[best] = lm.id;
+                lm.observations.set(kf.id, best);
+                lm.found++;
+                lm.addDescriptor(kf.keypoints[best].descriptor);
+            }
+        }
+    }
+
+    triangulateNew(kf1, kf2, matches) {
+        const baseline = Math.hypot(kf2.pose.x - kf1.pose.x, kf2.pose.y - kf1.pose.y);
+        if (baseline < this.minBaseline) return 0;
+
+        const { R, t } = this.relativePose(kf1.pose, kf2.pose);
+        const cam1 = this.cameraPose(kf1.pose);
+        const K = this.intrinsics;
+        let created = 0;
+
+        for (const m of matches) {
+            const i1 = m.queryIndex, i2 = m.trainIndex;
+            if (kf2.landmarkIds[i2] !== -1) continue;
+
+            // Already a landmark in kf1: extend its track
+            const existing = kf1.landmarkIds[i1];
+            if (existing !== -1) {
+                const lm = this.landmarks.get(existing);
+                if (lm && !lm.bad && !lm.observations.has(kf2.id)) {
+                    kf2.landmarkIds[i2] = existing;
+                    lm.observations.set(kf2.id, i2);
+                    lm.addDescriptor(kf2.keypoints[i2].descriptor);
+                }
+                continue;
+            }
+
+            const kp1 = kf1.keypoints[i1], kp2 = kf2.keypoints[i2];
+            const b1 = EpipolarGeometry.bearing(kp1, K);
+            const b2 = EpipolarGeometry.bearing(kp2, K);
+
+            // Enough angle between the rays for a stable depth
+            const cosAngle = LinAlg.dot(LinAlg.mat3Vec(R, b1), b2);
+            if (cosAngle > Math.cos(this.minTriangulationAngle)) continue;
+
+            const tri = EpipolarGeometry.triangulate(b1, b2, R, t);
+            if (!tri || tri.depth1 <= 0 || tri.depth2 <= 0 || tri.depth1 > this.maxDepth) continue;
+
+            const world = LinAlg.mat3Vec(cam1.R, tri.point).map((v, i) => v + cam1.C[i]);
+            const p1 = this.project(kf1.pose, world);
+            const p2 = this.project(kf2.pose, world);
+            if (!p1 || !p2) continue;
+            if (Math.hypot(p1.x - kp1.x, p1.y - kp1.y) > this.maxReprojError) continue;
+            if (Math.hypot(p2.x - kp2.x, p2.y - kp2.y) > this.maxReprojError) continue;
+
+            const lm = new Landmark(this.nextLandmarkId++, world, kp1.descriptor, kf1.id);
+            lm.addDescriptor(kp2.descriptor);
+            lm.observations.set(kf1.id, i1);
+            lm.observations.set(kf2.id, i2);
+            kf1.landmarkIds[i1] = lm.id;
+            kf2.landmarkIds[i2] = lm.id;
+            this.landmarks.set(lm.id, lm);
+            created++;
+        }
+        return created;
+    }
+
+    // Drop points that are rarely re-found or were never confirmed by a third keyframe
+    cullLandmarks(currentKf) {
+        for (const lm of this.landmarks.values()) {
+            const age = currentKf.id - lm.firstKeyframe;
+            if (lm.visible >= 4 && lm.found / lm.visible < 0.25) lm.bad = true;
+            else if (age >= 3 && lm.observations.size < 3) lm.bad = true;
+
+            if (lm.bad) this.removeLandmark(lm);
+        }
+    }
+
+    removeLandmark(lm) {
+        for (const [kfId, idx] of lm.observations) {
+            const kf = this.keyframes.find(k => k.id === kfId);
+            if (kf) kf.landmarkIds[idx] = -1;
+        }
+        this.landmarks.delete(lm.id);
+    }
+
+    removeKeyframe(kf) {
+        this.keyframes = this.keyframes.filter(k => k !== kf);
+        kf.landmarkIds.forEach(id => {
+            if (id === -1) return;
+            const lm = this.landmarks.get(id);
+            if (!lm) return;
+            lm.observations.delete(kf.id);
+            if (lm.observations.size === 0) this.landmarks.delete(id);
+        });
+    }
+
+    // After a pose-graph correction (Map keyframeId -> { before, after }), move the local
+    // keyframes to their corrected poses and carry every landmark rigidly with a keyframe
+    // that observes it.
+    applyCorrections(corrections) {
+        for (const kf of this.keyframes) {
+            const c = corrections.get(kf.id);
+            if (c) kf.pose = { ...c.after };
+        }
+        for (const lm of this.landmarks.values()) {
+            let c = corrections.get(lm.firstKeyframe);
+            if (!c) {
+                const kfId = [...lm.observations.keys()].find(id => corrections.has(id));
+                c = kfId !== undefined ? corrections.get(kfId) : null;
+            }
+            if (!c) continue;
+
+            const local = SE2.between(c.before, { x: lm.position[0], y: lm.position[1], heading: 0 });
+            const moved = SE2.compose(c.after, local);
+            lm.position = [moved.x, moved.y, lm.position[2]];
+        }
+    }
+
+    // Confirmed landmarks within `radius` metres (horizontal) of a pose, nearest first.
+    // bearing is degrees relative to the pose heading (+ = right).
+    getLandmarksNear(pose, radius = 5) {
+        const out = [];
+        for (const lm of this.landmarks.values()) {
+            if (lm.bad || lm.observations.size < 2) continue;
+            const dx = lm.position[0] - pose.x;
+            const dy = lm.position[1] - pose.y;
+            const distance = Math.hypot(dx, dy);
+            if (distance > radius) continue;
+
+            let bearing = Math.atan2(dx, dy) - pose.heading;
+            bearing = Math.atan2(Math.sin(bearing), Math.cos(bearing)) * 180 / Math.PI;
+            out.push({ id: lm.id, x: lm.position[0], y: lm.position[1], z: lm.position[2], distance, bearing });
+        }
+        return out.sort((a, b) => a.distance - b.distance);
+    }
+
+    reset() {
+        this.keyframes = [];
+        this.landmarks.clear();
+    }
+}
@@ -0,0 +1,134 @@
+// Per-user step-length estimation.
+// Weinberg: L = K * (aMax - aMin)^(1/4) over the vertical acceleration of one step.
+// Cadence:  L = kF * (0.3 + 0.2 * f), a generic stride / step-frequency relation.
+// Both gains come from a calibration walk over a known distance and persist on the device.
+const STEP_PROFILE_KEY = 'indoorNav.stepLengthProfile';
+
+class StepLengthModel {
+    constructor(options = {}) {
+        this.storage = options.storage !== undefined ? options.storage : (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.defaultLength = options.defaultLength || 0.7; // m, used until we have data
+        this.minLength = 0.25;
+        this.maxLength = 1.2;
+        this.weinbergWeight = 0.7; // remainder goes to the cadence model
+
+        // Uncalibrated gains give ~0.7 m for an average adult walk
+        this.profile = {
+            kWeinberg: 0.48,
+            kFrequency: 1.0,
+            calibrated: false,
+            calibratedAt: null
+        };
+        this.load();
+
+        // Vertical acceleration tracking (gravity by low-pass filter)
+        this.gravity = null;
+        this.gravityAlpha = 0.9;
+        this.aMax = -Infinity;
+        this.aMin = Infinity;
+        this.lastStepTime = 0;
+
+        this.calibration = null; // { distance, samples: [{ amplitude, frequency }] }
+    }
+
+    // Feed every accelerationIncludingGravity sample (m/s^2)
+    update(accel) {
+        const a = [accel.x || 0, accel.y || 0, accel.z || 0];
+        if (!this.gravity) this.gravity = a.slice();
+        this.gravity = this.gravity.map((g, i) => this.gravityAlpha * g + (1 - this.gravityAlpha) * a[i]);
+
+        const gNorm = Math.hypot(...this.gravity) || 1;
+        // Dynamic acceleration projected on the vertical
+        const vertical = a.reduce((sum, v, i) => sum + (v - this.gravity[i]) * this.gravity[i] / gNorm, 0);
+        if (vertical > this.aMax) this.aMax = vertical;
+        if (vertical < this.aMin) this.aMin = vertical;
+    }
+
+    // Call when a step is detected. Returns { length, variance } in metres / m^2.
+    onStep(timestamp = Date.now()) {
+        const amplitude = this.aMax > this.aMin ? this.aMax - this.aMin : 0;
+        const interval = this.lastStepTime ? (timestamp - this.lastStepTime) / 1000 : 0;
+        const frequency = interval > 0.2 && interval < 2 ? 1 / interval : 0;
+        this.lastStepTime = timestamp;
+        this.aMax = -Infinity;
+        this.aMin = Infinity;
+
+        if (this.calibration) this.calibration.samples.push({ amplitude, frequency });
+
+        const length = this.estimate(amplitude, frequency);
+        // Calibrated users get a tighter prior in the filter
+        const sigma = this.profile.calibrated ? 0.05 : 0.1;
+        return { length, variance: sigma * sigma };
+    }
+
+    estimate(amplitude, frequency) {
+        const parts = [];
+        if (amplitude > 0) parts.push([this.weinbergWeight, this.profile.kWeinberg * Math.pow(amplitude, 0.25)]);
+        if (frequency > 0) parts.push([1 - this.weinbergWeight, this.profile.kFrequency * (0.3 + 0.2 * frequency)]);
+        if (!parts.length) return this.defaultLength;
+
+        const total = parts.reduce((s, p) => s + p[0], 0);
+        const length = parts.reduce((s, p) => s + p[0] * p[1], 0) / total;
+        return Math.max(this.minLength, Math.min(this.maxLength, length));
+    }
+
+    // --- Calibration walk ---
+    startCalibration(distance = 10) {
+        this.calibration = { distance, samples: [] };
+    }
+
+    cancelCalibration() {
+        this.calibration = null;
+    }
+
+    get isCalibrating() {
+        return this.calibration !== null;
+    }
+
+    // Fits both gains so the walk adds up to the known distance.
+    // Returns the new profile, or null if too few steps were recorded.
+    finishCalibration() {
+        const cal = this.calibration;
+        this.calibration = null;
+        if (!cal) return null;
+
+        // The first step has no interval; a useful walk has several steps
+        const samples = cal.samples;
+        if (samples.length < 5) return null;
+
+        const sumRoot = samples.reduce((s, p) => s + Math.pow(p.amplitude, 0.25), 0);
+        const withFreq = samples.filter(p => p.frequency > 0);
+        const meanFreq = withFreq.reduce((s, p) => s + p.frequency, 0) / (withFreq.length || 1);
+        const meanLength = cal.distance / samples.length;
+
+        this.profile = {
+            kWeinberg: sumRoot > 0 ? cal.distance / sumRoot : this.profile.kWeinberg,
+            kFrequency: withFreq.length ? meanLength / (0.3 + 0.2 * meanFreq) : this.profile.kFrequency,
+            calibrated: true,
+            calibratedAt: new Date().toISOString(),
+            steps: samples.length,
+            distance: cal.distance
+        };
+        this.save();
+        return this.profile;
+    }
+
+    load() {
+        if (!this.storage) return;
+        try {
+            const saved = JSON.parse(this.storage.getItem(STEP_PROFILE_KEY));
+            if (saved && saved.kWeinberg > 0 && saved.kFrequency > 0) this.profile = saved;
+        } catch (e) {
+            console.warn("StepLength: stored profile unreadable", e);
+        }
+    }
+
+    save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(STEP_PROFILE_KEY, JSON.stringify(this.profile));
+        } catch (e) {
+            console.warn("StepLength: could not persist profile", e);
+        }
+    }
+}
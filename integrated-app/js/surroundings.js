@@ -0,0 +1,130 @@
+// On-demand spoken description of the user's surroundings: where they are on the
+// active map (room, nearby places and doors, the next junction or turn ahead) and
+// what the camera saw in the last moments. Directions are clock positions relative
+// to the user's heading: 12 o'clock straight ahead, 3 o'clock to the right.
+class SurroundingsDescriber {
+    constructor(options = {}) {
+        this.fov = (options.fov || 60) * Math.PI / 180; // horizontal field of view, for detections without a bearing
+        this.placeRadius = options.placeRadius || 8; // m, POIs mentioned
+        this.doorRadius = options.doorRadius || 5; // m
+        this.maxPlaces = options.maxPlaces || 3;
+        this.maxDetections = options.maxDetections || 3;
+        this.detectionMaxAge = options.detectionMaxAge || 2000; // ms
+        this.lookAhead = options.lookAhead || 15; // m scanned for junctions
+        this.corridorWidth = options.corridorWidth || 2.5; // m either side; wider is a room
+    }
+
+    // Relative angle (rad, + = right) -> 1..12
+    static clock(angle) {
+        const hour = ((Math.round(SE2.wrap(angle) / (Math.PI / 6)) % 12) + 12) % 12;
+        return hour === 0 ? 12 : hour;
+    }
+
+    static bearingTo(pose, p) {
+        return SE2.wrap(Math.atan2(p.x - pose.x, p.y - pose.y) - pose.heading);
+    }
+
+    static metres(d) {
+        return d < 3 ? `${d.toFixed(1)} metres` : `${Math.round(d)} metres`;
+    }
+
+    // context: { pose, plan (FloorPlan), pois (PoiCatalogue), nav (NavigationModule),
+    //            detections, detectionTime, frameWidth, northAligned, now }
+    // sections: any of 'location', 'places', 'ahead', 'detections'
+    describe(context, sections = ['location', 'places', 'ahead', 'detections']) {
+        const parts = [];
+        if (sections.includes('location')) parts.push(...this.describeLocation(context));
+        if (sections.includes('places')) parts.push(...this.describePlaces(context));
+        if (sections.includes('ahead')) parts.push(...this.describeAhead(context));
+        if (sections.includes('detections')) parts.push(...this.describeDetections(context));
+        return parts.join(' ');
+    }
+
+    describeLocation({ pose, plan, northAligned }) {
+        const parts = [];
+        const room = plan ? plan.roomAt(pose) : null;
+        if (room && room.name) parts.push(`You are in ${room.name}.`);
+        else if (plan) parts.push("You are not in a named room.");
+        else parts.push(`No map active. You are ${SurroundingsDescriber.metres(Math.hypot(pose.x, pose.y))} from where you started.`);
+
+        if (northAligned) {
+            const compass = ['north', 'north east', 'east', 'south east', 'south', 'south west', 'west', 'north west'];
+            parts.push(`Facing ${compass[Math.round(SE2.normalizeHeading(pose.heading) / (Math.PI / 4)) % 8]}.`);
+        }
+        return parts;
+    }
+
+    // Nearest POIs and the nearest door, with clock directions
+    describePlaces({ pose, plan, pois }) {
+        const parts = [];
+        const room = plan ? plan.roomAt(pose) : null;
+        if (pois) {
+            pois.entries
+                .filter(e => !room || e.name !== room.name)
+                .map(e => ({ e, d: Math.hypot(e.x - pose.x, e.y - pose.y) }))
+                .filter(({ d }) => d <= this.placeRadius)
+                .sort((a, b) => a.d - b.d)
+                .slice(0, this.maxPlaces)
+                .forEach(({ e, d }) => parts.push(
+                    `${e.name} at ${SurroundingsDescriber.clock(SurroundingsDescriber.bearingTo(pose, e))} o'clock, ${SurroundingsDescriber.metres(d)}.`));
+        }
+        if (plan && plan.doors.length) {
+            const door = plan.doors
+                .map(p => ({ p, d: Math.hypot(p.x - pose.x, p.y - pose.y) }))
+                .sort((a, b) => a.d - b.d)[0];
+            if (door.d <= this.doorRadius) {
+                parts.push(`Door at ${SurroundingsDescriber.clock(SurroundingsDescriber.bearingTo(pose, door.p))} o'clock, ${SurroundingsDescriber.metres(door.d)}.`);
+            }
+        }
+        return parts;
+    }
+
+    // Next turn on the route when navigating; otherwise the next opening off a
+    // corridor and the wall ahead, found by casting rays against the map walls
+    describeAhead({ pose, plan, nav }) {
+        const upcoming = nav ? nav.describeUpcoming(pose) : null;
+        if (upcoming) return [upcoming];
+        if (!plan || !plan.walls.length) return [];
+
+        const scan = this.scanAhead(pose, plan.walls);
+        const parts = [];
+        if (scan.opening) parts.push(`Opening on your ${scan.opening.side} in ${SurroundingsDescriber.metres(scan.opening.distance)}.`);
+        if (scan.wallAhead <= this.lookAhead) parts.push(`Wall ahead in ${SurroundingsDescriber.metres(scan.wallAhead)}.`);
+        else if (scan.corridor) parts.push(`The corridor continues for more than ${this.lookAhead} metres.`);
+        return parts;
+    }
+
+    // -> { wallAhead, corridor, opening: { side, distance } | null }
+    scanAhead(pose, walls) {
+        const cast = (origin, heading) => walls.reduce((min, w) =>
+            Math.min(min, Segment2D.rayDistance(origin, heading, { x: w.x1, y: w.y1 }, { x: w.x2, y: w.y2 })), Infinity);
+        const h = pose.heading;
+        const wallAhead = cast(pose, h);
+        const left0 = cast(pose, h - Math.PI / 2), right0 = cast(pose, h + Math.PI / 2);
+        const corridor = left0 < this.corridorWidth && right0 < this.corridorWidth;
+        if (!corridor) return { wallAhead, corridor, opening: null };
+
+        // Walk down the corridor until one side suddenly opens up
+        const end = Math.min(wallAhead, this.lookAhead);
+        for (let s = 0.5; s < end; s += 0.5) {
+            const p = { x: pose.x + s * Math.sin(h), y: pose.y + s * Math.cos(h) };
+            if (cast(p, h - Math.PI / 2) > left0 + 1.5) return { wallAhead, corridor, opening: { side: 'left', distance: s } };
+            if (cast(p, h + Math.PI / 2) > right0 + 1.5) return { wallAhead, corridor, opening: { side: 'right', distance: s } };
+        }
+        return { wallAhead, corridor, opening: null };
+    }
+
+    // Recent detections, nearest first: "chair at 2 o'clock, 1.5 metres"
+    describeDetections({ detections, detectionTime, frameWidth, now }) {
+        if (!detections || !detections.length || (now || Date.now()) - detectionTime > this.detectionMaxAge) return [];
+        return detections
+            .slice()
+            .sort((a, b) => (a.depth || Infinity) - (b.depth || Infinity))
+            .slice(0, this.maxDetections)
+            .map(p => {
+                const cx = (p.bbox[0] + p.bbox[2] / 2) / (frameWidth || 1);
+                const clock = SurroundingsDescriber.clock(p.bearing !== undefined ? p.bearing : (cx - 0.5) * this.fov);
+                return `${p.class} at ${clock} o'clock${p.depth ? `, ${SurroundingsDescriber.metres(p.depth)}` : ''}.`;
+            });
+    }
+}
@@ -0,0 +1,170 @@
+// Multi-object tracking of detections across frames, SORT-style: every track runs
+// constant-velocity Kalman filters on its box (centre, size) and range, detections are
+// matched to the predicted boxes greedily by IoU within the same class, and unmatched
+// detections start tentative tracks. The range filter's velocity gives the closing
+// speed and the time to collision.
+
+// 1D constant-velocity Kalman filter: state [value, rate]
+class ConstantVelocityFilter {
+    constructor(value, variance, options = {}) {
+        this.x = [value, 0];
+        this.P = [[variance, 0], [0, options.rateVariance || 1]];
+        this.accelNoise = options.accelNoise || 1; // per s^2, process noise on the rate
+    }
+
+    get value() { return this.x[0]; }
+    get rate() { return this.x[1]; }
+
+    predict(dt) {
+        if (!(dt > 0)) return;
+        const [[a, b], [c, d]] = this.P;
+        const q = this.accelNoise * this.accelNoise;
+        this.x = [this.x[0] + this.x[1] * dt, this.x[1]];
+        // P = F P F^T + Q (white acceleration)
+        this.P = [
+            [a + dt * (b + c) + dt * dt * d + q * dt ** 4 / 4, b + dt * d + q * dt ** 3 / 2],
+            [c + dt * d + q * dt ** 3 / 2, d + q * dt * dt]
+        ];
+    }
+
+    update(z, variance) {
+        const [[a, b], [c, d]] = this.P;
+        const S = a + variance;
+        const k0 = a / S, k1 = c / S;
+        const y = z - this.x[0];
+        this.x = [this.x[0] + k0 * y, this.x[1] + k1 * y];
+        this.P = [[(1 - k0) * a, (1 - k0) * b], [c - k1 * a, d - k1 * b]];
+    }
+}
+
+class ObjectTracker {
+    constructor(options = {}) {
+        this.iouThreshold = options.iouThreshold || 0.3;
+        this.maxAge = options.maxAge || 1000; // ms a track survives without detections
+        this.minHits = options.minHits || 2; // detections before a track is confirmed
+        this.boxNoise = options.boxNoise || 10; // px, 1-sigma of a box edge
+        this.minClosingSpeed = options.minClosingSpeed || 0.2; // m/s, slower is not approaching
+        this.tracks = [];
+        this.nextId = 1;
+        this.lastTime = null;
+    }
+
+    reset() {
+        this.tracks = [];
+        this.lastTime = null;
+    }
+
+    // predictions: VisionModule output ({ class, bbox, score, depth, depthSigma, bearing }),
+    // timestamp in ms. -> confirmed tracks, see ObjectTracker.describe
+    update(predictions, timestamp = Date.now()) {
+        const dt = this.lastTime === null ? 0 : Math.max(0, (timestamp - this.lastTime) / 1000);
+        this.lastTime = timestamp;
+        this.tracks.forEach(t => ObjectTracker.filters(t).forEach(f => f && f.predict(dt)));
+
+        // Greedy IoU association, best pairs first
+        const pairs = [];
+        this.tracks.forEach((t, ti) => predictions.forEach((p, pi) => {
+            if (t.class !== p.class) return;
+            const iou = ObjectTracker.iou(ObjectTracker.box(t), p.bbox);
+            if (iou >= this.iouThreshold) pairs.push({ ti, pi, iou });
+        }));
+        pairs.sort((a, b) => b.iou - a.iou);
+        const usedTracks = new Set(), usedPredictions = new Set();
+        for (const { ti, pi } of pairs) {
+            if (usedTracks.has(ti) || usedPredictions.has(pi)) continue;
+            usedTracks.add(ti);
+            usedPredictions.add(pi);
+            this.correct(this.tracks[ti], predictions[pi], timestamp);
+        }
+
+        predictions.forEach((p, pi) => {
+            if (!usedPredictions.has(pi)) this.tracks.push(this.create(p, timestamp));
+        });
+        this.tracks = this.tracks.filter(t => timestamp - t.lastSeen <= this.maxAge);
+
+        return this.tracks.filter(t => t.hits >= this.minHits).map(t => this.describe(t, timestamp));
+    }
+
+    create(p, timestamp) {
+        const [x, y, w, h] = p.bbox;
+        const r = this.boxNoise * this.boxNoise;
+        const box = { accelNoise: 200, rateVariance: 100 * 100 }; // px
+        return {
+            id: this.nextId++,
+            class: p.class,
+            cx: new ConstantVelocityFilter(x + w / 2, r, box),
+            cy: new ConstantVelocityFilter(y + h / 2, r, box),
+            w: new ConstantVelocityFilter(w, r, box),
+            h: new ConstantVelocityFilter(h, r, box),
+            depth: p.depth > 0 ? new ConstantVelocityFilter(p.depth, (p.depthSigma || 0.3 * p.depth) ** 2, { accelNoise: 1, rateVariance: 4 }) : null,
+            hits: 1,
+            firstSeen: timestamp,
+            lastSeen: timestamp,
+            score: p.score,
+            bearing: p.bearing,
+            alerted: false // see markAlerted
+        };
+    }
+
+    correct(t, p, timestamp) {
+        const [x, y, w, h] = p.bbox;
+        const r = this.boxNoise * this.boxNoise;
+        t.cx.update(x + w / 2, r);
+        t.cy.update(y + h / 2, r);
+        t.w.update(w, r);
+        t.h.update(h, r);
+        if (p.depth > 0) {
+            const variance = (p.depthSigma || 0.3 * p.depth) ** 2;
+            if (t.depth) t.depth.update(p.depth, variance);
+            else t.depth = new ConstantVelocityFilter(p.depth, variance, { accelNoise: 1, rateVariance: 4 });
+        }
+        t.hits++;
+        t.lastSeen = timestamp;
+        t.score = p.score;
+        t.bearing = p.bearing;
+    }
+
+    // Public view of a track: smoothed box and range, closing speed (m/s, + = getting
+    // nearer) and time to collision (s, Infinity when not approaching)
+    describe(t, timestamp) {
+        const depth = t.depth ? Math.max(0, t.depth.value) : 0;
+        const closingSpeed = t.depth ? -t.depth.rate : 0;
+        return {
+            id: t.id,
+            class: t.class,
+            bbox: ObjectTracker.box(t),
+            score: t.score,
+            bearing: t.bearing,
+            depth,
+            depthSigma: t.depth ? Math.sqrt(t.depth.P[0][0]) : 0,
+            closingSpeed,
+            ttc: depth > 0 && closingSpeed > this.minClosingSpeed ? depth / closingSpeed : Infinity,
+            age: timestamp - t.firstSeen,
+            missed: timestamp - t.lastSeen,
+            alerted: t.alerted
+        };
+    }
+
+    // Warnings are given once per object: the caller marks the track it warned about
+    markAlerted(id) {
+        const t = this.tracks.find(track => track.id === id);
+        if (t) t.alerted = true;
+    }
+
+    static filters(t) {
+        return [t.cx, t.cy, t.w, t.h, t.depth];
+    }
+
+    static box(t) {
+        const w = Math.max(1, t.w.value), h = Math.max(1, t.h.value);
+        return [t.cx.value - w / 2, t.cy.value - h / 2, w, h];
+    }
+
+    static iou(a, b) {
+        const x1 = Math.max(a[0], b[0]), y1 = Math.max(a[1], b[1]);
+        const x2 = Math.min(a[0] + a[2], b[0] + b[2]), y2 = Math.min(a[1] + a[3], b[1] + b[3]);
+        const inter = Math.max(0, x2 - x1) * Math.max(0, y2 - y1);
+        const union = a[2] * a[3] + b[2] * b[3] - inter;
+        return union > 0 ? inter / union : 0;
+    }
+}
@@ -1,21 +1,42 @@
 class VisionModule {
-    constructor() {
-        this.model = null;
+    constructor(options = {}) {
+        this.registry = options.registry || new ModelRegistry();
+        this.range = options.range || new RangeEstimator();
+        this.detector = null;
+        this.modelSpec = null;
         this.isLoaded = false;
         this.lastRun = 0;
         this.interval = 200; // 5 FPS
+        this.busy = false; // an inference is running: further frames are dropped
+        this.lastPredictions = [];
+        this.lastDetectionTime = 0;
+        this.latency = 0; // ms per inference
+        this.tracker = options.tracker || new ObjectTracker();
+        this.tracks = []; // confirmed tracks of the latest frame, see ObjectTracker
     }
 
-    async load() {
+    // Session replay: recorded detections stand in for the model output
+    replay(predictions, timestamp = Date.now()) {
+        this.lastPredictions = predictions;
+        this.lastDetectionTime = Date.now();
+        this.tracks = this.tracker.update(predictions, timestamp);
+        return predictions;
+    }
+
+    // Loads the registry's selected detector (or `id`), COCO-SSD if that fails.
+    // -> { spec, fallback } or null when nothing could be loaded
+    async load(id) {
         try {
-            // Load COCO-SSD
-            this.model = await cocoSsd.load();
+            const { detector, spec, fallback } = await this.registry.load(id);
+            if (this.detector) this.detector.dispose();
+            this.detector = detector;
+            this.modelSpec = spec;
             this.isLoaded = true;
-            console.log("Vision: Model Loaded");
-            return true;
+            console.log(`Vision: ${spec.name} loaded`);
+            return { spec, fallback };
         } catch (e) {
             console.error("Vision: Load Failed", e);
-            return false;
+            return null;
         }
     }
 
@@ -23,39 +44,36 @@ class VisionModule {
         if (!this.isLoaded || video.readyState < 2) return [];
 
         const now = Date.now();
-        if (now - this.lastRun < this.interval) return null; // Throttle
+        if (this.busy || now - this.lastRun < this.interval) return null; // Throttle
 
         this.lastRun = now;
 
-        const predictions = await this.model.detect(video);
+        const started = performance.now();
+        let predictions;
+        this.busy = true;
+        try {
+            predictions = await this.detector.detect(video);
+        } finally {
+            this.busy = false;
+        }
+        if (!predictions) return null; // dropped by a worker detector
+        this.latency = performance.now() - started;
 
         // AI FILTERING & DEPTH ESTIMATION
-        return predictions
-            .filter(p => p.score > 0.6) // Filter low confidence
+        const results = predictions
+            .filter(p => p.score >= this.detector.scoreThreshold) // Filter low confidence
             .map(p => {
-                // Estimate Depth: Simple heuristic based on bbox height relative to frame height
-                // Assumption: Object is on ground, camera at ~1.5m height.
-                // Distance ~= (FocalLength * RealHeight) / ImageHeight
-                // We simplify: depth = Factor / (bbox.height / video.height)
-
-                const hRatio = p.bbox[3] / video.videoHeight;
-                let depth = 0;
-
-                // Rough Real Heights (meters)
-                const realHeights = {
-                    'person': 1.7,
-                    'chair': 1.0,
-                    'table': 0.8,
-                    'couch': 0.9,
-                    'potted plant': 0.5
-                };
-
-                const realH = realHeights[p.class] || 1.0;
-                depth = realH / hRatio; // Very rough approximation
-
-                // Attach depth to prediction
-                p.depth = depth;
+                // Range with its 1-sigma uncertainty (0 when unknown), see RangeEstimator
+                const range = this.range.estimate(p, video.videoWidth, video.videoHeight);
+                p.depth = range ? range.depth : 0;
+                p.depthSigma = range ? range.sigma : 0;
+                p.depthMethod = range ? range.method : null;
+                p.bearing = this.range.bearing(p.bbox[0] + p.bbox[2] / 2, video.videoWidth);
                 return p;
             });
+        this.lastPredictions = results;
+        this.lastDetectionTime = now;
+        this.tracks = this.tracker.update(results, now);
+        return results;
     }
 }
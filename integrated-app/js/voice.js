@@ -0,0 +1,290 @@
+// Hands-free control. A recognizer turns speech (or typed text) into transcripts, a
+// keyword grammar turns transcripts into commands, and VoiceCommandController routes
+// them to AppController / NavigationModule / AccessibilityModule. The grammar runs
+// locally, so commands keep working with any recognizer, including an offline one.
+//
+// Recognizer interface: start(onResult(alternatives: string[]), onError(error)), stop(),
+// isAvailable. Anything implementing it can be plugged in, e.g. StubRecognizer in tests.
+
+// Recognition hint for engines that accept a grammar (JSGF)
+const VOICE_GRAMMAR = '#JSGF V1.0; grammar commands; public <command> = start | stop | repeat | help | cancel | ' +
+    'where am i | what\'s ahead | read the sign | take me to | go to | nearest | restroom | toilet | exit | elevator | stairs | reception | room ;';
+
+// Keyword grammar: transcript -> { intent, query?, category? }
+class VoiceCommandParser {
+    static parse(transcript) {
+        const text = VoiceCommandParser.normalize(transcript);
+        if (!text) return { intent: 'unknown', text };
+
+        // Destinations first: "take me to the nearest exit" is not "stop"
+        const nav = text.match(/^(?:please )?(?:take me to|navigate to|go to|guide me to|find|where is|where's|directions to)\s+(?:the |a |an )?(.+)$/);
+        const nearest = /\b(?:nearest|closest)\b/.test(text);
+        if (nav || nearest) {
+            const query = (nav ? nav[1] : text).replace(/\b(?:the )?(?:nearest|closest)\b\s*/, '').trim();
+            const category = PoiCatalogue.categoryIn(query);
+            // "nearest toilet", or a bare category ("take me to the toilet") -> closest of that kind
+            if (category && (nearest || query.split(' ').length === 1)) return { intent: 'nearest', category, text };
+            if (nav) return { intent: 'navigate', query, text };
+        }
+
+        if (/\bwhere am i\b|\bmy location\b|\bwhere are we\b/.test(text)) return { intent: 'where', text };
+        if (/\bread (?:the |that |this )?(?:sign|text|label|door|room number)s?\b|\bwhat does (?:it|that|this|the sign) say\b/.test(text)) return { intent: 'read', text };
+        if (/\bwhat'?s ahead\b|\bwhat is ahead\b|\bin front\b|\bwhat do you see\b|\bahead of me\b/.test(text)) return { intent: 'ahead', text };
+        if (/^(?:repeat|say (?:that|it) again|again|pardon|what did you say)\b/.test(text)) return { intent: 'repeat', text };
+        if (/^(?:cancel|clear)(?: the)?(?: route| navigation| destination)?$/.test(text)) return { intent: 'cancel', text };
+        if (/^(?:help|what can i say|commands)\b/.test(text)) return { intent: 'help', text };
+        if (/^(?:start|begin|resume|start navigation|start system)\b/.test(text)) return { intent: 'start', text };
+        if (/^(?:stop|halt|pause|stop navigation|stop system)\b/.test(text)) return { intent: 'stop', text };
+        return { intent: 'unknown', text };
+    }
+
+    // Lower case, no punctuation, spoken digits joined: "Room two oh four." -> "room 204"
+    static normalize(transcript) {
+        const digits = { zero: 0, oh: 0, o: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9 };
+        const words = String(transcript || '').toLowerCase().replace(/[^a-z0-9' ]/g, ' ').split(/\s+/).filter(Boolean);
+        const out = [];
+        for (const w of words) {
+            const prevIsNumber = /^\d+$/.test(out[out.length - 1] || '');
+            let digit = null;
+            if (/^\d+$/.test(w)) digit = w;
+            // "oh" / "o" only count as zero after another digit
+            else if (w in digits && ((w !== 'oh' && w !== 'o') || prevIsNumber)) digit = String(digits[w]);
+
+            if (digit !== null && prevIsNumber) out[out.length - 1] += digit;
+            else out.push(digit !== null ? digit : w);
+        }
+        return out.join(' ');
+    }
+}
+
+// Web Speech API (SpeechRecognition). Keeps listening until stopped, restarting after
+// the silences that end a browser session. Where the browser supports on-device
+// recognition it is requested, so commands also work without a network.
+class WebSpeechRecognizer {
+    constructor(options = {}) {
+        this.lang = options.lang || 'en-US';
+        this.Recognition = typeof window !== 'undefined' ? (window.SpeechRecognition || window.webkitSpeechRecognition) : null;
+        this.recognition = null;
+        this.listening = false;
+    }
+
+    get isAvailable() {
+        return !!this.Recognition;
+    }
+
+    start(onResult, onError = () => { }) {
+        if (!this.isAvailable || this.listening) return;
+        const r = new this.Recognition();
+        r.lang = this.lang;
+        r.continuous = true;
+        r.interimResults = false;
+        r.maxAlternatives = 3;
+        if ('processLocally' in r) r.processLocally = true;
+        const GrammarList = window.SpeechGrammarList || window.webkitSpeechGrammarList;
+        if (GrammarList) {
+            const grammars = new GrammarList();
+            grammars.addFromString(VOICE_GRAMMAR, 1);
+            r.grammars = grammars;
+        }
+
+        r.onresult = (e) => {
+            for (let i = e.resultIndex; i < e.results.length; i++) {
+                if (!e.results[i].isFinal) continue;
+                onResult(Array.from(e.results[i]).map(alt => alt.transcript));
+            }
+        };
+        r.onerror = (e) => {
+            if (e.error === 'not-allowed' || e.error === 'service-not-allowed') this.listening = false;
+            if (e.error !== 'no-speech') onError(e.error);
+        };
+        r.onend = () => {
+            if (this.listening) r.start();
+        };
+
+        this.recognition = r;
+        this.listening = true;
+        r.start();
+    }
+
+    stop() {
+        this.listening = false;
+        if (this.recognition) this.recognition.stop();
+        this.recognition = null;
+    }
+}
+
+// Typed commands from a text field (keyboard or braille display users, or no speech
+// recognition at all): Enter submits the field as one transcript
+class TextCommandRecognizer {
+    constructor(input) {
+        this.input = input;
+        this.handler = null;
+    }
+
+    get isAvailable() {
+        return !!this.input;
+    }
+
+    start(onResult) {
+        if (!this.input || this.handler) return;
+        this.handler = (e) => {
+            if (e.key !== 'Enter' || !this.input.value.trim()) return;
+            e.preventDefault();
+            onResult([this.input.value]);
+            this.input.value = '';
+        };
+        this.input.addEventListener('keydown', this.handler);
+    }
+
+    stop() {
+        if (this.handler) this.input.removeEventListener('keydown', this.handler);
+        this.handler = null;
+    }
+}
+
+// Local stand-in for tests and demos: say(text) delivers a transcript
+class StubRecognizer {
+    constructor() {
+        this.onResult = null;
+    }
+
+    get isAvailable() {
+        return true;
+    }
+
+    start(onResult) {
+        this.onResult = onResult;
+    }
+
+    stop() {
+        this.onResult = null;
+    }
+
+    say(...alternatives) {
+        if (this.onResult) this.onResult(alternatives);
+    }
+}
+
+class VoiceCommandController {
+    // app: AppController (or anything with the same methods); recognizer: see top of file.
+    // options.fallback: recognizer to switch to when the primary one cannot work
+    // (no network for a cloud recogniser, permission refused, language missing)
+    constructor(app, recognizer, options = {}) {
+        this.app = app;
+        this.recognizer = recognizer;
+        this.fallback = options.fallback || null;
+        this.onCommand = options.onCommand || (() => { });
+        this.echoWindow = options.echoWindow || 8000; // ms
+        this.listening = false;
+        this.history = []; // { transcript, command }
+    }
+
+    get isAvailable() {
+        return !!this.recognizer && this.recognizer.isAvailable;
+    }
+
+    start() {
+        if (!this.isAvailable && this.fallback) this.useFallback();
+        if (!this.isAvailable || this.listening) return false;
+        this.listening = true;
+        this.recognizer.start(
+            (alternatives) => this.handleTranscript(alternatives),
+            (error) => this.handleError(error)
+        );
+        return true;
+    }
+
+    handleError(error) {
+        this.app.log(`Voice: recognition error (${error}).`, "warning");
+        const fatal = ['network', 'not-allowed', 'service-not-allowed', 'language-not-supported', 'audio-capture'];
+        if (!fatal.includes(error) || !this.fallback) return;
+
+        this.stop();
+        this.useFallback();
+        this.start();
+        this.app.access.announce("Speech recognition is unavailable. Type commands instead.", 2);
+    }
+
+    useFallback() {
+        this.recognizer = this.fallback;
+        this.fallback = null;
+    }
+
+    stop() {
+        if (!this.listening) return;
+        this.listening = false;
+        this.recognizer.stop();
+    }
+
+    // First alternative the grammar understands wins
+    handleTranscript(alternatives) {
+        const list = Array.isArray(alternatives) ? alternatives : [alternatives];
+        if (this.isEcho(list[0])) return null;
+        let command = null, transcript = list[0];
+        for (const alt of list) {
+            command = VoiceCommandParser.parse(alt);
+            transcript = alt;
+            if (command.intent !== 'unknown') break;
+        }
+        this.history.push({ transcript, command });
+        this.onCommand(command);
+        this.execute(command);
+        return command;
+    }
+
+    // The microphone also hears our own speech ("Stop. Turn to correct heading."). Only
+    // transcripts covering most of the last announcement are dropped, so a user's
+    // own short "stop" still gets through.
+    isEcho(transcript) {
+        const access = this.app.access;
+        if (!access.lastText || Date.now() - access.lastSpoken > this.echoWindow) return false;
+        const heard = VoiceCommandParser.normalize(transcript);
+        const spoken = VoiceCommandParser.normalize(access.lastText);
+        return heard.length > 0 && spoken.includes(heard) && heard.length >= 0.6 * spoken.length;
+    }
+
+    execute(command) {
+        const app = this.app;
+        app.log(`Voice: "${command.text}" -> ${command.intent}`, "info");
+        switch (command.intent) {
+            case 'start':
+                if (!app.isRunning) app.start();
+                break;
+            case 'stop':
+                if (app.isRunning) app.stop();
+                break;
+            case 'navigate': {
+                const matches = app.pois ? app.pois.search(command.query) : [];
+                if (!matches.length) {
+                    app.access.announce(app.pois ? `I could not find ${command.query}.` : "No map active.", 2);
+                    break;
+                }
+                app.navigateTo(matches[0]);
+                break;
+            }
+            case 'nearest':
+                app.navigateToNearest(command.category);
+                break;
+            case 'cancel':
+                app.cancelNavigation();
+                break;
+            case 'where':
+                app.describeSurroundings('where');
+                break;
+            case 'ahead':
+                app.describeSurroundings('ahead');
+                break;
+            case 'read':
+                app.readSign();
+                break;
+            case 'repeat':
+                app.access.repeat();
+                break;
+            case 'help':
+                app.access.announce("Say: start, stop, take me to a room, nearest restroom, where am I, what's ahead, read the sign, repeat, or cancel.", 2);
+                break;
+            default:
+                app.access.announce("Sorry, I did not understand. Say help for commands.", 2);
+        }
+    }
+}
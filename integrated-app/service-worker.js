@@ -1,15 +1,52 @@
-const CACHE_NAME = 'indoor-nav-v1';
+const CACHE_NAME = 'indoor-nav-v2';
 const ASSETS = [
     './',
     './index.html',
     './manifest.json',
+    './js/mathutils.js',
+    './js/imageops.js',
+    './js/opticalflow.js',
+    './js/features.js',
+    './js/pose.js',
+    './js/slammap.js',
+    './js/loopclosure.js',
+    './js/posegraph.js',
+    './js/ekf.js',
+    './js/steplength.js',
+    './js/compass.js',
+    './js/attitude.js',
+    './js/session.js',
+    './js/floorplan.js',
+    './js/relocalization.js',
+    './js/depth.js',
+    './js/models.js',
+    './js/pipeline.js',
+    './js/pipeline-worker.js',
+    './js/tracking.js',
     './js/vision.js',
+    './js/ocr.js',
+    './js/avoidance.js',
+    './js/hazards.js',
     './js/odometry.js',
+    './js/routing.js',
+    './js/poi.js',
+    './js/surroundings.js',
     './js/navigation.js',
     './js/accessibility.js',
+    './js/voice.js',
+    './js/picker.js',
     './js/app.js',
     'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@latest/dist/tf.min.js',
-    'https://cdn.jsdelivr.net/npm/@tensorflow-models/coco-ssd@latest/dist/coco-ssd.min.js'
+    'https://cdn.jsdelivr.net/npm/@tensorflow-models/coco-ssd@latest/dist/coco-ssd.min.js',
+    'https://cdn.jsdelivr.net/npm/tesseract.js@5/dist/tesseract.min.js'
+];
+
+// Cross-origin files fetched at run time that must work offline: the OCR worker, its
+// WebAssembly core (the variant depends on the device) and the language data
+const RUNTIME_CACHED = [
+    'https://cdn.jsdelivr.net/npm/tesseract.js@5/',
+    'https://cdn.jsdelivr.net/npm/tesseract.js-core@5/',
+    'https://tessdata.projectnaptha.com/'
 ];
 
 self.addEventListener('install', (e) => {
@@ -28,10 +65,9 @@ self.addEventListener('fetch', (e) => {
             return fetch(e.request).then((networkResponse) => {
                 // Cache new requests (dynamic caching for model files)
                 // We only cache valid responses
-                if (!networkResponse || networkResponse.status !== 200 || networkResponse.type !== 'basic') {
-                    // Note: CORS requests (like CDN) have type 'cors', so we should allow them too if needed.
-                    // For simplicity, we just return the network response for external resources unless we explicitly cache them.
-                    // But for model files, we want to cache them.
+                const runtime = RUNTIME_CACHED.some((prefix) => e.request.url.startsWith(prefix));
+                if (!networkResponse || networkResponse.status !== 200 || (networkResponse.type !== 'basic' && !runtime)) {
+                    // CORS requests (like CDN) have type 'cors': only those in RUNTIME_CACHED are kept
                     return networkResponse;
                 }
 
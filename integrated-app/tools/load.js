@@ -0,0 +1,22 @@
+// Loads the app's browser scripts (plain globals, no modules) into one Node context,
+// in the order index.html would, so the headless parts run without a page or a phone.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const JS_DIR = path.join(__dirname, '..', 'js');
+
+// files: names under js/; globals: extra context properties (stubs for browser APIs).
+// -> the context, with every top-level class, const and function of the scripts on it
+function loadScripts(files, globals = {}) {
+    const context = vm.createContext({ console, performance, setTimeout, clearTimeout, ...globals });
+    for (const file of files) {
+        const source = fs.readFileSync(path.join(JS_DIR, file), 'utf8');
+        // Top-level declarations are script-scoped, as in a page: publish them on the context
+        const names = [...source.matchAll(/^(?:class|const|let|function) (\w+)/gm)].map(m => m[1]);
+        vm.runInContext(`${source}\n;${names.map(n => `globalThis.${n} = ${n};`).join(' ')}`, context, { filename: file });
+    }
+    return context;
+}
+
+module.exports = { loadScripts };
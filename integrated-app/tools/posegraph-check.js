@@ -0,0 +1,102 @@
+// Pose-graph optimiser on synthetic square-loop walks: odometry with a scale and
+// heading drift, closed by a loop edge at the start corner. Exits non-zero on failure.
+//   node integrated-app/tools/posegraph-check.js
+const assert = require('assert');
+const { loadScripts } = require('./load');
+
+const { PoseGraph, SE2, SeededRandom } = loadScripts(['mathutils.js', 'posegraph.js']);
+
+// Ground truth: `laps` times round a side x side square, `perSide` poses per side
+function squareWalk(perSide, laps = 1, side = 10) {
+    const poses = [];
+    let p = { x: 0, y: 0, heading: 0 };
+    for (let i = 0; i < 4 * perSide * laps; i++) {
+        poses.push(p);
+        const corner = i % perSide === perSide - 1;
+        p = SE2.compose(p, { forward: side / perSide, right: 0, dtheta: corner ? Math.PI / 2 : 0 });
+    }
+    poses.push(p);
+    return poses;
+}
+
+// Odometry steps along the truth: 5% long and with a slow heading drift
+function driftedSteps(truth, seed) {
+    const rng = new SeededRandom(seed);
+    const steps = [];
+    for (let i = 1; i < truth.length; i++) {
+        const step = SE2.between(truth[i - 1], truth[i]);
+        step.forward *= 1.05;
+        step.dtheta += 0.005 + (rng.next() - 0.5) * 0.005;
+        steps.push(step);
+    }
+    return steps;
+}
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+function singleLoop(perSide) {
+    const truth = squareWalk(perSide);
+    const graph = new PoseGraph();
+    graph.addNode(truth[0]);
+    driftedSteps(truth, 4).forEach((step, i) => {
+        graph.addNode(SE2.compose(graph.nodes[i], step));
+        graph.addOdometryEdge(i, i + 1);
+    });
+    const last = truth.length - 1;
+    const before = distance(graph.nodes[last], truth[last]);
+    const worstBefore = Math.max(...graph.nodes.map((n, i) => distance(n, truth[i])));
+    graph.addEdge(0, last, SE2.between(truth[0], truth[last]), [100, 100, 1000]);
+
+    const started = Date.now();
+    const result = graph.optimize();
+    const after = distance(graph.nodes[last], truth[last]);
+    const worst = Math.max(...graph.nodes.map((n, i) => distance(n, truth[i])));
+    console.log(`${truth.length} nodes: end error ${before.toFixed(2)} -> ${after.toFixed(3)} m, ` +
+        `worst ${worstBefore.toFixed(2)} -> ${worst.toFixed(2)} m, ${result.iterations} iterations, ${Date.now() - started} ms`);
+
+    assert(result.converged, 'did not converge');
+    assert(after < 0.05, `end error ${after} m after the loop closure`);
+    assert(worst < worstBefore / 2, `worst node error ${worst} m`);
+    return graph.nodes;
+}
+
+// Walked node by node as OdometryModule does: the graph is pruned to maxNodes and every
+// lap closes a loop with the same corner one lap earlier, still inside the window
+function longWalk(laps, perSide) {
+    const truth = squareWalk(perSide, laps);
+    const lap = 4 * perSide;
+    const graph = new PoseGraph();
+    graph.addNode(truth[0]);
+    let first = 0; // truth index of graph node 0
+    let slowest = 0;
+
+    // Each pose dead-reckoned from the latest (possibly corrected) node
+    driftedSteps(truth, 7).forEach((step, k) => {
+        const i = k + 1;
+        graph.addNode(SE2.compose(graph.nodes[graph.nodes.length - 1], step));
+        graph.addOdometryEdge(i - 1 - first, i - first);
+        first += graph.prune();
+        if (i % lap) return;
+
+        const from = i - lap - first, to = i - first;
+        assert(from >= 0, 'loop corner already pruned');
+        graph.addEdge(from, to, SE2.between(truth[i - lap], truth[i]), [100, 100, 1000]);
+        const started = Date.now();
+        const result = graph.optimize();
+        slowest = Math.max(slowest, Date.now() - started);
+        assert(result.converged, `lap ${i / lap}: did not converge`);
+        const loop = SE2.between(graph.nodes[from], graph.nodes[to]);
+        assert(Math.hypot(loop.forward, loop.right) < 0.05, `lap ${i / lap}: loop left open`);
+    });
+
+    console.log(`${truth.length} poses in ${laps} laps: ${graph.nodes.length} nodes kept, ` +
+        `${graph.edges.length} edges, slowest optimisation ${slowest} ms`);
+    assert(graph.nodes.length <= graph.maxNodes, 'graph not bounded');
+}
+
+const a = singleLoop(10);
+const b = singleLoop(10);
+assert.deepStrictEqual(a, b, 'not deterministic');
+singleLoop(50);
+longWalk(4, 40);
+console.log('ok');
@@ -0,0 +1,51 @@
+// Replays a recorded session (SessionRecorder) through the odometry and, given a target,
+// the navigation, as fast as possible and without a page; prints the replay report.
+//   node integrated-app/tools/replay.js session.json [--target x,y] [--plan plan.json]
+// plan.json: a floor plan's { walls, bounds } (metres) to route around.
+const fs = require('fs');
+const { loadScripts } = require('./load');
+
+const SCRIPTS = [
+    'mathutils.js', 'imageops.js', 'opticalflow.js', 'features.js', 'pose.js', 'slammap.js',
+    'loopclosure.js', 'posegraph.js', 'ekf.js', 'steplength.js', 'compass.js', 'attitude.js',
+    'session.js', 'relocalization.js', 'odometry.js', 'routing.js', 'navigation.js'
+];
+
+function parseArgs(argv) {
+    const args = { file: null, target: null, plan: null };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--target') args.target = argv[++i].split(',').map(Number);
+        else if (argv[i] === '--plan') args.plan = argv[++i];
+        else args.file = argv[i];
+    }
+    return args;
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.file) {
+        console.error('usage: node replay.js session.json [--target x,y] [--plan plan.json]');
+        process.exit(2);
+    }
+
+    // No saved calibration: the step model starts from its defaults, as on a new phone
+    const app = loadScripts(SCRIPTS, { atob, btoa });
+    const session = JSON.parse(fs.readFileSync(args.file, 'utf8'));
+    if (!session || session.version !== app.SESSION_VERSION || !Array.isArray(session.events)) {
+        throw new Error('Unsupported session file');
+    }
+
+    const odometry = new app.OdometryModule();
+    let nav = null;
+    if (args.target) {
+        nav = new app.NavigationModule();
+        nav.setMap(odometry.map);
+        if (args.plan) nav.setFloorPlan(JSON.parse(fs.readFileSync(args.plan, 'utf8')));
+        nav.setTarget(args.target[0], args.target[1], odometry.getPosition());
+    }
+
+    const report = new app.SessionReplayer(session, { odometry, nav }).runAll();
+    console.log(JSON.stringify({ ...report, trajectory: undefined, points: report.trajectory.length }, null, 2));
+}
+
+main();